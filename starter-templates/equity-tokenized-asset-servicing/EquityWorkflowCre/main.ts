@@ -4,6 +4,7 @@ import {
   cre,
   getNetwork,
   type ConfidentialHTTPSendRequester,
+  type CronPayload,
   type EVMLog,
   type HTTPPayload,
   type HTTPSendRequester,
@@ -15,15 +16,22 @@ import {
   type Runtime,
   TxStatus,
 } from "@chainlink/cre-sdk";
+import { hmac } from "@noble/hashes/hmac";
+import { sha256 } from "@noble/hashes/sha2";
+import { bytesToHex as bytesToPlainHex, utf8ToBytes } from "@noble/hashes/utils";
 import { privateKeyToAccount } from "viem/accounts";
-import {
-  decodeEventLog,
-  encodeAbiParameters,
-  getAddress,
-  parseAbi,
-  parseAbiParameters,
-} from "viem";
+import { decodeEventLog, getAddress, parseAbi } from "viem";
 import { z } from "zod";
+import {
+  COMPANY_ID_PATTERN,
+  EVENT_SIGNATURES,
+  SYNC_ACTION_NAMES,
+  encodeActionReport,
+  encodeRequestInstruction,
+  encodeSyncInstruction,
+  eventPayload,
+  validateSyncPayload,
+} from "../lambda-function/protocol/index.mjs";
 
 const privacyConfigSchema = z
   .object({
@@ -57,132 +65,55 @@ const configSchema = z.object({
         aceVaultAddress: z.string(),
         aceChainId: z.coerce.number().int().positive().optional(),
         chainSelectorName: z.string(),
+        isTestnet: z.boolean().optional(),
         gasLimit: z.string(),
       }),
     )
-    .min(1),
+    .min(1)
+    .refine((evms) => new Set(evms.map((evm) => evm.chainSelectorName)).size === evms.length, {
+      message: "chainSelectorName must be unique across evms",
+    }),
   aceApiUrl: z.string().optional(),
+  lambdaClientId: z.string().optional(),
+  signatureMaxAgeSeconds: z.coerce.number().int().positive().optional(),
   privacy: privacyConfigSchema,
+  // Companies served besides the default one (the evms receivers): SYNC_* payloads naming a companyId are
+  // written to its receiver, and logs from its contracts are forwarded with its companyId. Both live
+  // on the company's chainSelectorName (evms[0] when omitted).
+  companies: z
+    .array(
+      z.object({
+        companyId: z.string().regex(COMPANY_ID_PATTERN),
+        receiverAddress: z.string(),
+        contractAddresses: z.array(z.string()).optional(),
+        chainSelectorName: z.string().optional(),
+        vestingTokenAddress: z.string().optional(),
+      }),
+    )
+    .optional(),
+  // One cron pays every company with a vesting token: the default company's is tokenAddress, each
+  // other company's is its vestingTokenAddress.
+  vestingPayouts: z
+    .object({
+      schedule: z.string(),
+      tokenAddress: z.string().optional(),
+      maxBatchSize: z.coerce.number().int().positive().optional(),
+    })
+    .optional(),
 });
 
 type Config = z.infer<typeof configSchema>;
+type EvmConfig = Config["evms"][number];
+type EvmClient = InstanceType<typeof cre.capabilities.EVMClient>;
 
 const addressSchema = z.string().regex(/^0x[a-fA-F0-9]{40}$/);
-const bytes32Schema = z.string().regex(/^0x[a-fA-F0-9]{64}$/);
 const timestampSchema = z.coerce.number().int().positive();
-const uint256Schema = z.coerce.bigint().min(0n);
-
-const syncKycSchema = z.object({
-  action: z.literal("SYNC_KYC"),
-  employeeAddress: addressSchema,
-  verified: z.boolean(),
-  identityAddress: addressSchema.optional(),
-  country: z.coerce.number().int().min(0).max(65535).optional(),
-});
-
-const syncFreezeWalletSchema = z.object({
-  action: z.literal("SYNC_FREEZE_WALLET"),
-  walletAddress: addressSchema,
-  frozen: z.boolean(),
-});
-
-const syncEmploymentStatusSchema = z.object({
-  action: z.literal("SYNC_EMPLOYMENT_STATUS"),
-  employeeAddress: addressSchema,
-  employed: z.boolean(),
-});
-
-const syncGoalSchema = z.object({
-  action: z.literal("SYNC_GOAL"),
-  goalId: bytes32Schema,
-  achieved: z.boolean(),
-  employeeAddress: addressSchema.optional(),
-});
-
-const syncSetClaimRequirementsSchema = z.object({
-  action: z.literal("SYNC_SET_CLAIM_REQUIREMENTS"),
-  employeeAddress: addressSchema,
-  cliffEndTimestamp: z.coerce.number().int().min(0).max(2 ** 32 - 1),
-  goalId: bytes32Schema.optional(),
-  goalRequired: z.boolean().optional(),
-});
-
-const syncPrivateDepositSchema = z.object({
-  action: z.literal("SYNC_PRIVATE_DEPOSIT"),
-  amount: z.coerce.bigint().positive(),
-});
-
-const syncMintSchema = z.object({
-  action: z.literal("SYNC_MINT"),
-  to: addressSchema,
-  amount: z.coerce.bigint().positive(),
-});
-
-const syncRedeemTicketSchema = z.object({
-  action: z.literal("SYNC_REDEEM_TICKET"),
-  amount: z.coerce.bigint().positive(),
-  ticket: z.string(),
-});
-
-const syncSetInvestorAuthSchema = z.object({
-  action: z.literal("SYNC_SET_INVESTOR_AUTH"),
-  investorAddress: addressSchema,
-  authorized: z.boolean(),
-});
-
-const syncSetInvestorLockupSchema = z.object({
-  action: z.literal("SYNC_SET_INVESTOR_LOCKUP"),
-  investorAddress: addressSchema,
-  lockupUntil: z.coerce.number().int().min(0).max(2 ** 32 - 1),
-});
-
-const syncCreateRoundSchema = z.object({
-  action: z.literal("SYNC_CREATE_ROUND"),
-  roundId: uint256Schema,
-  startTime: z.coerce.number().int().min(0).max(2 ** 32 - 1),
-  endTime: z.coerce.number().int().min(0).max(2 ** 32 - 1),
-  tokenPriceUsdc6: uint256Schema,
-  maxUsdc: uint256Schema,
-});
-
-const syncSetRoundAllowlistSchema = z.object({
-  action: z.literal("SYNC_SET_ROUND_ALLOWLIST"),
-  roundId: uint256Schema,
-  investorAddress: addressSchema,
-  capUsdc: uint256Schema,
-});
-
-const syncOpenRoundSchema = z.object({
-  action: z.literal("SYNC_OPEN_ROUND"),
-  roundId: uint256Schema,
-});
-
-const syncCloseRoundSchema = z.object({
-  action: z.literal("SYNC_CLOSE_ROUND"),
-  roundId: uint256Schema,
-});
-
-const syncMarkPurchaseSettledSchema = z.object({
-  action: z.literal("SYNC_MARK_PURCHASE_SETTLED"),
-  purchaseId: uint256Schema,
-  aceTransferRef: bytes32Schema,
-});
-
-const syncRefundPurchaseSchema = z.object({
-  action: z.literal("SYNC_REFUND_PURCHASE"),
-  purchaseId: uint256Schema,
-  reason: bytes32Schema.optional(),
-});
-
-const syncSetTokenComplianceSchema = z.object({
-  action: z.literal("SYNC_SET_TOKEN_COMPLIANCE"),
-  complianceAddress: addressSchema,
-});
 
 const aceGenerateShieldedAddressSchema = z.object({
   action: z.literal("ACE_GENERATE_SHIELDED_ADDRESS"),
   account: addressSchema.optional(),
   timestamp: timestampSchema,
+  chainSelectorName: z.string().optional(),
 });
 
 const acePrivateTransferSchema = z.object({
@@ -193,6 +124,7 @@ const acePrivateTransferSchema = z.object({
   amount: z.coerce.bigint().positive(),
   flags: z.array(z.string()).optional(),
   timestamp: timestampSchema,
+  chainSelectorName: z.string().optional(),
 });
 
 const aceWithdrawTicketSchema = z.object({
@@ -201,53 +133,24 @@ const aceWithdrawTicketSchema = z.object({
   token: addressSchema,
   amount: z.coerce.bigint().positive(),
   timestamp: timestampSchema,
+  chainSelectorName: z.string().optional(),
 });
 
-const onchainBaseSyncInputSchema = z.discriminatedUnion("action", [
-  syncKycSchema,
-  syncEmploymentStatusSchema,
-  syncGoalSchema,
-  syncFreezeWalletSchema,
-  syncSetClaimRequirementsSchema,
-  syncPrivateDepositSchema,
-  syncMintSchema,
-  syncRedeemTicketSchema,
-  syncSetInvestorAuthSchema,
-  syncSetInvestorLockupSchema,
-  syncCreateRoundSchema,
-  syncSetRoundAllowlistSchema,
-  syncOpenRoundSchema,
-  syncCloseRoundSchema,
-  syncMarkPurchaseSettledSchema,
-  syncRefundPurchaseSchema,
-  syncSetTokenComplianceSchema,
-]);
-
-const syncBatchSchema = z.object({
-  action: z.literal("SYNC_BATCH"),
-  batches: z.array(onchainBaseSyncInputSchema),
-});
-
-const onchainSyncInputSchema = z.discriminatedUnion("action", [
-  syncKycSchema,
-  syncEmploymentStatusSchema,
-  syncGoalSchema,
-  syncFreezeWalletSchema,
-  syncSetClaimRequirementsSchema,
-  syncPrivateDepositSchema,
-  syncMintSchema,
-  syncRedeemTicketSchema,
-  syncSetInvestorAuthSchema,
-  syncSetInvestorLockupSchema,
-  syncCreateRoundSchema,
-  syncSetRoundAllowlistSchema,
-  syncOpenRoundSchema,
-  syncCloseRoundSchema,
-  syncMarkPurchaseSettledSchema,
-  syncRefundPurchaseSchema,
-  syncSetTokenComplianceSchema,
-  syncBatchSchema,
-]);
+// SYNC_* payloads are checked against the shared protocol definitions
+// (../lambda-function/protocol/index.mjs), which also encode them, so the workflow, the Lambda and the E2E scripts agree on every field.
+// Any payload may name the chainSelectorName it targets; without one it goes to its company's chain.
+const onchainSyncInputSchema = z
+  .object({
+    action: z.enum(SYNC_ACTION_NAMES as [string, ...string[]]),
+    companyId: z.string().regex(COMPANY_ID_PATTERN).optional(),
+    chainSelectorName: z.string().optional(),
+  })
+  .passthrough()
+  .superRefine((input, ctx) => {
+    for (const { field, message } of validateSyncPayload(input)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: field.split("."), message });
+    }
+  });
 
 const aceSyncInputSchema = z.discriminatedUnion("action", [
   aceGenerateShieldedAddressSchema,
@@ -258,7 +161,6 @@ const aceSyncInputSchema = z.discriminatedUnion("action", [
 const syncInputSchema = z.union([onchainSyncInputSchema, aceSyncInputSchema]);
 
 type SyncInput = z.infer<typeof syncInputSchema>;
-type OnchainSyncInput = z.infer<typeof onchainSyncInputSchema>;
 type AceSyncInput = z.infer<typeof aceSyncInputSchema>;
 
 type PostResponse = {
@@ -289,27 +191,6 @@ type ConfidentialPostOptions = {
   encryptOutput: boolean;
 };
 
-const ACTION_TYPE = {
-  SYNC_KYC: 0,
-  SYNC_EMPLOYMENT_STATUS: 1,
-  SYNC_GOAL: 2,
-  SYNC_FREEZE_WALLET: 3,
-  SYNC_PRIVATE_DEPOSIT: 4,
-  SYNC_BATCH: 5,
-  SYNC_REDEEM_TICKET: 6,
-  SYNC_MINT: 7,
-  SYNC_SET_CLAIM_REQUIREMENTS: 8,
-  SYNC_SET_INVESTOR_AUTH: 9,
-  SYNC_SET_INVESTOR_LOCKUP: 10,
-  SYNC_CREATE_ROUND: 11,
-  SYNC_SET_ROUND_ALLOWLIST: 12,
-  SYNC_OPEN_ROUND: 13,
-  SYNC_CLOSE_ROUND: 14,
-  SYNC_MARK_PURCHASE_SETTLED: 15,
-  SYNC_REFUND_PURCHASE: 16,
-  SYNC_SET_TOKEN_COMPLIANCE: 17,
-} as const;
-
 const DEFAULT_ACE_API_URL = "https://convergence2026-token-api.cldev.cloud";
 const DEFAULT_ACE_CHAIN_ID = 11155111;
 const ACE_EIP712_DOMAIN_NAME = "CompliantPrivateTokenDemo";
@@ -346,6 +227,10 @@ const SENSITIVITY_BY_FIELD: Record<string, SensitivityCategory> = {
   cliffEndTimestamp: "PUBLIC_ONCHAIN",
   flags: "PUBLIC_ONCHAIN",
   aceTransferRef: "PUBLIC_ONCHAIN",
+  blockNumber: "PUBLIC_ONCHAIN",
+  txHash: "PUBLIC_ONCHAIN",
+  logIndex: "PUBLIC_ONCHAIN",
+  chainSelectorName: "PUBLIC_ONCHAIN",
   account: "IDENTIFIER",
   employeeAddress: "IDENTIFIER",
   identityAddress: "IDENTIFIER",
@@ -356,9 +241,14 @@ const SENSITIVITY_BY_FIELD: Record<string, SensitivityCategory> = {
   sender: "IDENTIFIER",
   buyer: "IDENTIFIER",
   treasury: "IDENTIFIER",
+  previousTreasury: "IDENTIFIER",
+  oracleAddress: "IDENTIFIER",
+  agentAddress: "IDENTIFIER",
+  accountAddress: "IDENTIFIER",
   token: "IDENTIFIER",
   complianceAddress: "IDENTIFIER",
   aceRecipientCommitment: "IDENTIFIER",
+  companyId: "IDENTIFIER",
   amount: "FINANCIAL",
   usdcAmount: "FINANCIAL",
   capUsdc: "FINANCIAL",
@@ -497,23 +387,7 @@ const logHttpResult = (
   runtime.log(`${label} response: ${response.body}`);
 };
 
-const eventAbi = parseAbi([
-  "event IdentityRegistered(address indexed userAddress, address indexed identity, uint16 country)",
-  "event IdentityRemoved(address indexed userAddress, address indexed identity)",
-  "event CountryUpdated(address indexed userAddress, uint16 country)",
-  "event EmploymentStatusUpdated(address indexed employee, bool employed)",
-  "event GoalUpdated(bytes32 indexed goalId, bool achieved)",
-  "event PrivateDeposit(uint256 amount)",
-  "event TicketRedeemed(address indexed redeemer, uint256 amount)",
-  "event InvestorAuthorizationUpdated(address indexed investor, bool authorized)",
-  "event InvestorLockupUpdated(address indexed investor, uint64 lockupUntil)",
-  "event RoundCreated(uint256 indexed roundId, uint64 startTime, uint64 endTime, uint256 tokenPriceUsdc6, uint256 maxUsdc)",
-  "event RoundOpened(uint256 indexed roundId)",
-  "event RoundClosed(uint256 indexed roundId)",
-  "event PurchaseRequested(uint256 indexed purchaseId, uint256 indexed roundId, address indexed buyer, uint256 usdcAmount, bytes32 aceRecipientCommitment)",
-  "event PurchaseSettled(uint256 indexed purchaseId, bytes32 indexed aceTransferRef, uint256 usdcAmount, address treasury)",
-  "event PurchaseRefunded(uint256 indexed purchaseId, address indexed buyer, uint256 usdcAmount, bytes32 reason)",
-]);
+const eventAbi = parseAbi(EVENT_SIGNATURES);
 
 const normalizePrivateKey = (privateKey: string): `0x${string}` => {
   const trimmed = privateKey.trim();
@@ -527,8 +401,8 @@ const resolveAceApiBaseUrl = (runtime: Runtime<Config>): string => {
   return url.endsWith("/") ? url.slice(0, -1) : url;
 };
 
-const resolveAceDomain = (runtime: Runtime<Config>) => {
-  const evmConfig = runtime.config.evms[0];
+const resolveAceDomain = (runtime: Runtime<Config>, chainSelectorName: string | undefined) => {
+  const evmConfig = resolveEvmConfig(runtime.config, chainSelectorName);
   return {
     name: ACE_EIP712_DOMAIN_NAME,
     version: ACE_EIP712_DOMAIN_VERSION,
@@ -577,6 +451,7 @@ const postDataWithBody = (
   sendRequester: HTTPSendRequester,
   url: string,
   payload: Record<string, unknown>,
+  headers: Record<string, string> = {},
 ): PostResponseWithBody => {
   const bodyBytes = new TextEncoder().encode(JSON.stringify(payload));
   const body = Buffer.from(bodyBytes).toString("base64");
@@ -586,6 +461,7 @@ const postDataWithBody = (
     body,
     headers: {
       "Content-Type": "application/json",
+      ...headers,
     },
   };
 
@@ -647,223 +523,78 @@ const postConfidentialDataWithBody = (
 const postData = (
   sendRequester: HTTPSendRequester,
   lambdaUrl: string,
-  lambdaPayload: Record<string, string | number | boolean>,
+  lambdaPayload: Record<string, unknown>,
+  headers: Record<string, string>,
 ): PostResponse => {
-  const resp = postDataWithBody(sendRequester, lambdaUrl, lambdaPayload);
+  const resp = postDataWithBody(sendRequester, lambdaUrl, lambdaPayload, headers);
   return { statusCode: resp.statusCode };
 };
 
 const isAceSyncInput = (input: SyncInput): input is AceSyncInput =>
   input.action.startsWith("ACE_");
 
-const encodeActionReport = (instruction: { actionType: number; payload: `0x${string}` }): `0x${string}` =>
-  encodeAbiParameters(
-    parseAbiParameters("uint8 actionType, bytes payload"),
-    [instruction.actionType, instruction.payload],
-  );
-
-const buildInstruction = (input: OnchainSyncInput): { actionType: number; payload: `0x${string}` } => {
-  switch (input.action) {
-    case "SYNC_KYC": {
-      if (input.verified && !input.identityAddress) {
-        throw new Error("SYNC_KYC requires identityAddress when verified=true");
-      }
-
-      const employee = getAddress(input.employeeAddress);
-      const identity = getAddress(input.identityAddress ?? input.employeeAddress);
-      const country = input.country ?? 0;
-
-      const payload = encodeAbiParameters(
-        parseAbiParameters("address employee, bool verified, address identity, uint16 country"),
-        [employee, input.verified, identity, country],
-      );
-
-      return { actionType: ACTION_TYPE.SYNC_KYC, payload };
-    }
-    case "SYNC_FREEZE_WALLET": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("address walletAddress, bool frozen"),
-        [getAddress(input.walletAddress), input.frozen]
-      );
-      return { actionType: ACTION_TYPE.SYNC_FREEZE_WALLET, payload };
-    }
-    case "SYNC_EMPLOYMENT_STATUS": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("address employee, bool employed"),
-        [getAddress(input.employeeAddress), input.employed]
-      );
-      return { actionType: ACTION_TYPE.SYNC_EMPLOYMENT_STATUS, payload };
-    }
-    case "SYNC_GOAL": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("bytes32 goalId, bool achieved, address employeeHint"),
-        [
-          input.goalId as `0x${string}`,
-          input.achieved,
-          getAddress(input.employeeAddress ?? "0x0000000000000000000000000000000000000000"),
-        ],
-      );
-      return { actionType: ACTION_TYPE.SYNC_GOAL, payload };
-    }
-    case "SYNC_SET_CLAIM_REQUIREMENTS": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("address employee, uint64 cliffEndTimestamp, bytes32 goalId, bool goalRequired"),
-        [
-          getAddress(input.employeeAddress),
-          BigInt(input.cliffEndTimestamp),
-          (input.goalId ?? "0x0000000000000000000000000000000000000000000000000000000000000000") as `0x${string}`,
-          input.goalRequired ?? false,
-        ],
-      );
-
-      return {
-        actionType: ACTION_TYPE.SYNC_SET_CLAIM_REQUIREMENTS,
-        payload,
-      };
-    }
-    case "SYNC_SET_INVESTOR_AUTH": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("address investor, bool authorized"),
-        [getAddress(input.investorAddress), input.authorized],
-      );
-      return {
-        actionType: ACTION_TYPE.SYNC_SET_INVESTOR_AUTH,
-        payload,
-      };
-    }
-    case "SYNC_SET_INVESTOR_LOCKUP": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("address investor, uint64 lockupUntil"),
-        [getAddress(input.investorAddress), BigInt(input.lockupUntil)],
-      );
-      return {
-        actionType: ACTION_TYPE.SYNC_SET_INVESTOR_LOCKUP,
-        payload,
-      };
-    }
-    case "SYNC_CREATE_ROUND": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("uint256 roundId, uint64 startTime, uint64 endTime, uint256 tokenPriceUsdc6, uint256 maxUsdc"),
-        [input.roundId, BigInt(input.startTime), BigInt(input.endTime), input.tokenPriceUsdc6, input.maxUsdc],
-      );
-      return {
-        actionType: ACTION_TYPE.SYNC_CREATE_ROUND,
-        payload,
-      };
-    }
-    case "SYNC_SET_ROUND_ALLOWLIST": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("uint256 roundId, address investor, uint256 capUsdc"),
-        [input.roundId, getAddress(input.investorAddress), input.capUsdc],
-      );
-      return {
-        actionType: ACTION_TYPE.SYNC_SET_ROUND_ALLOWLIST,
-        payload,
-      };
-    }
-    case "SYNC_OPEN_ROUND": {
-      const payload = encodeAbiParameters(parseAbiParameters("uint256 roundId"), [input.roundId]);
-      return {
-        actionType: ACTION_TYPE.SYNC_OPEN_ROUND,
-        payload,
-      };
-    }
-    case "SYNC_CLOSE_ROUND": {
-      const payload = encodeAbiParameters(parseAbiParameters("uint256 roundId"), [input.roundId]);
-      return {
-        actionType: ACTION_TYPE.SYNC_CLOSE_ROUND,
-        payload,
-      };
-    }
-    case "SYNC_MARK_PURCHASE_SETTLED": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("uint256 purchaseId, bytes32 aceTransferRef"),
-        [input.purchaseId, input.aceTransferRef as `0x${string}`],
-      );
-      return {
-        actionType: ACTION_TYPE.SYNC_MARK_PURCHASE_SETTLED,
-        payload,
-      };
-    }
-    case "SYNC_REFUND_PURCHASE": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("uint256 purchaseId, bytes32 reason"),
-        [input.purchaseId, (input.reason ?? "0x0000000000000000000000000000000000000000000000000000000000000000") as `0x${string}`],
-      );
-      return {
-        actionType: ACTION_TYPE.SYNC_REFUND_PURCHASE,
-        payload,
-      };
-    }
-    case "SYNC_SET_TOKEN_COMPLIANCE": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("address complianceAddress"),
-        [getAddress(input.complianceAddress)],
-      );
-      return {
-        actionType: ACTION_TYPE.SYNC_SET_TOKEN_COMPLIANCE,
-        payload,
-      };
-    }
-    case "SYNC_PRIVATE_DEPOSIT": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("uint256 amount"),
-        [input.amount]
-      );
-
-      return {
-        actionType: ACTION_TYPE.SYNC_PRIVATE_DEPOSIT,
-        payload,
-      };
-    }
-    case "SYNC_MINT": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("address to, uint256 amount"),
-        [getAddress(input.to), input.amount],
-      );
+// The evms entry for a chain; payloads that name no chain go to evms[0].
+const resolveEvmConfig = (config: Config, chainSelectorName: string | undefined): EvmConfig => {
+  if (chainSelectorName === undefined) {
+    return config.evms[0];
+  }
+  const evmConfig = config.evms.find((candidate) => candidate.chainSelectorName === chainSelectorName);
+  if (!evmConfig) {
+    throw new Error(`Unknown chainSelectorName ${chainSelectorName}: add it to config.evms`);
+  }
+  return evmConfig;
+};
 
-      return {
-        actionType: ACTION_TYPE.SYNC_MINT,
-        payload,
-      };
-    }
-    case "SYNC_REDEEM_TICKET": {
-      const payload = encodeAbiParameters(
-        parseAbiParameters("uint256 amount, bytes ticket"),
-        [input.amount, input.ticket as `0x${string}`]
-      );
+type Company = NonNullable<Config["companies"]>[number];
 
-      return {
-        actionType: ACTION_TYPE.SYNC_REDEEM_TICKET,
-        payload,
-      };
-    }
-    case "SYNC_BATCH": {
-      const payloads = input.batches.map((batch) => encodeActionReport(buildInstruction(batch)));
-      const payload = encodeAbiParameters(
-        parseAbiParameters("bytes[] batches"),
-        [payloads],
-      );
+const companyChainSelectorName = (config: Config, company: Company): string =>
+  company.chainSelectorName ?? config.evms[0].chainSelectorName;
 
-      return {
-        actionType: ACTION_TYPE.SYNC_BATCH,
-        payload,
-      };
-    }
-    default:
-      throw new Error("Unsupported sync action");
+// Chain and receiver of a SYNC_* payload. Payloads without a companyId belong to the default
+// company, whose receiver is on every configured chain; another company's receiver is on its chain only.
+const resolveSyncTarget = (
+  runtime: Runtime<Config>,
+  input: { companyId?: string; chainSelectorName?: string },
+): { evmConfig: EvmConfig; receiverAddress: string } => {
+  if (input.companyId === undefined) {
+    const evmConfig = resolveEvmConfig(runtime.config, input.chainSelectorName);
+    return { evmConfig, receiverAddress: evmConfig.receiverAddress };
+  }
+  const company = runtime.config.companies?.find((candidate) => candidate.companyId === input.companyId);
+  if (!company) {
+    throw new Error(`Unknown companyId ${input.companyId}: add it to config.companies`);
+  }
+  const chainSelectorName = companyChainSelectorName(runtime.config, company);
+  if (input.chainSelectorName !== undefined && input.chainSelectorName !== chainSelectorName) {
+    throw new Error(`Company ${company.companyId} has no receiver on ${input.chainSelectorName}`);
   }
+  return { evmConfig: resolveEvmConfig(runtime.config, chainSelectorName), receiverAddress: company.receiverAddress };
 };
 
+// Company whose contract emitted a log on a chain, or undefined for the default company's contracts.
+const companyIdForAddress = (
+  runtime: Runtime<Config>,
+  chainSelectorName: string,
+  address: string,
+): string | undefined =>
+  runtime.config.companies?.find(
+    (company) =>
+      companyChainSelectorName(runtime.config, company) === chainSelectorName &&
+      (company.contractAddresses ?? []).some((candidate) => candidate.toLowerCase() === address.toLowerCase()),
+  )?.companyId;
+
 const submitInstruction = (
   runtime: Runtime<Config>,
-  evmClient: InstanceType<typeof cre.capabilities.EVMClient>,
+  evmClient: EvmClient,
   instruction: { actionType: number; payload: `0x${string}` },
+  target: { evmConfig: EvmConfig; receiverAddress: string },
 ): string => {
-  const evmConfig = runtime.config.evms[0];
+  const { evmConfig, receiverAddress } = target;
   const reportData = encodeActionReport(instruction);
 
-  runtime.log(`Submitting instruction actionType=${instruction.actionType}`);
+  runtime.log(
+    `Submitting instruction actionType=${instruction.actionType} to ${receiverAddress} on ${evmConfig.chainSelectorName}`,
+  );
 
   const reportResponse = runtime
     .report({
@@ -876,7 +607,7 @@ const submitInstruction = (
 
   const resp = evmClient
     .writeReport(runtime, {
-      receiver: evmConfig.receiverAddress,
+      receiver: receiverAddress,
       report: reportResponse,
       gasConfig: {
         gasLimit: evmConfig.gasLimit,
@@ -901,7 +632,7 @@ const executeAceAction = async (
   const httpClient = new cre.capabilities.HTTPClient();
   const confidentialHttpClient = new cre.capabilities.ConfidentialHTTPClient();
   const baseUrl = resolveAceApiBaseUrl(runtime);
-  const domain = resolveAceDomain(runtime);
+  const domain = resolveAceDomain(runtime, input.chainSelectorName);
   const signer = resolveAceSignerAccount(runtime, input.account);
 
   const sendAceRequest = (
@@ -1017,10 +748,32 @@ const executeAceAction = async (
   return `${input.action}:${response.statusCode}`;
 };
 
+const protoBigIntToBigInt = (value: EVMLog["blockNumber"]): bigint => {
+  if (!value) {
+    return 0n;
+  }
+  let result = 0n;
+  for (const byte of value.absVal) {
+    result = (result << 8n) | BigInt(byte);
+  }
+  return value.sign < 0n ? -result : result;
+};
+
+// (txHash, logIndex) identifies a log across redeliveries; the Lambda dedupes on it. contractAddress
+// tells apart events that several contracts emit with the same signature (OracleStatusUpdated).
+const buildLogIdentity = (
+  log: EVMLog,
+): { blockNumber: number; txHash: string; logIndex: number; contractAddress: string } => ({
+  blockNumber: Number(protoBigIntToBigInt(log.blockNumber)),
+  txHash: bytesToHex(log.txHash),
+  logIndex: Number(log.index),
+  contractAddress: bytesToHex(log.address),
+});
+
 const buildLambdaPayloadFromLog = (
   runtime: Runtime<Config>,
   log: EVMLog,
-): Record<string, string | number | boolean> | null => {
+): ({ action: string } & Record<string, string | number | boolean>) | null => {
   const topics = log.topics.map((topic) => bytesToHex(topic)) as [
     `0x${string}`,
     ...`0x${string}`[],
@@ -1040,115 +793,101 @@ const buildLambdaPayloadFromLog = (
   }
 
   runtime.log(`Detected event: ${decoded.eventName}`);
-  const args = decoded.args as Record<string, unknown>;
-
-  switch (decoded.eventName) {
-    case "IdentityRegistered":
-      return {
-        action: "IdentityRegistered",
-        employeeAddress: String(args.userAddress),
-        identityAddress: String(args.identity),
-        country: Number(args.country),
-      };
-    case "IdentityRemoved":
-      return {
-        action: "IdentityRemoved",
-        employeeAddress: String(args.userAddress),
-        identityAddress: String(args.identity),
-      };
-    case "CountryUpdated":
-      return {
-        action: "CountryUpdated",
-        employeeAddress: String(args.userAddress),
-        country: Number(args.country),
-      };
-    case "EmploymentStatusUpdated":
-      return {
-        action: "EmploymentStatusUpdated",
-        employeeAddress: String(args.employee),
-        employed: Boolean(args.employed),
-      };
-    case "GoalUpdated":
-      return {
-        action: "GoalUpdated",
-        goalId: String(args.goalId),
-        achieved: Boolean(args.achieved),
-      };
-    case "PrivateDeposit":
-      return {
-        action: "PrivateDeposit",
-        amount: String(args.amount),
-      };
-    case "TicketRedeemed":
-      return {
-        action: "TicketRedeemed",
-        employeeAddress: String(args.redeemer),
-        amount: String(args.amount),
-      };
-    case "InvestorAuthorizationUpdated":
-      return {
-        action: "InvestorAuthorizationUpdated",
-        investorAddress: String(args.investor),
-        authorized: Boolean(args.authorized),
-      };
-    case "InvestorLockupUpdated":
-      return {
-        action: "InvestorLockupUpdated",
-        investorAddress: String(args.investor),
-        lockupUntil: Number(args.lockupUntil),
-      };
-    case "RoundCreated":
-      return {
-        action: "RoundCreated",
-        roundId: String(args.roundId),
-        startTime: Number(args.startTime),
-        endTime: Number(args.endTime),
-        tokenPriceUsdc6: String(args.tokenPriceUsdc6),
-        maxUsdc: String(args.maxUsdc),
-      };
-    case "RoundOpened":
-      return {
-        action: "RoundOpened",
-        roundId: String(args.roundId),
-      };
-    case "RoundClosed":
-      return {
-        action: "RoundClosed",
-        roundId: String(args.roundId),
-      };
-    case "PurchaseRequested":
-      return {
-        action: "PurchaseRequested",
-        purchaseId: String(args.purchaseId),
-        roundId: String(args.roundId),
-        buyer: String(args.buyer),
-        usdcAmount: String(args.usdcAmount),
-        aceRecipientCommitment: String(args.aceRecipientCommitment),
-      };
-    case "PurchaseSettled":
-      return {
-        action: "PurchaseSettled",
-        purchaseId: String(args.purchaseId),
-        aceTransferRef: String(args.aceTransferRef),
-        usdcAmount: String(args.usdcAmount),
-        treasury: String(args.treasury),
-      };
-    case "PurchaseRefunded":
-      return {
-        action: "PurchaseRefunded",
-        purchaseId: String(args.purchaseId),
-        buyer: String(args.buyer),
-        usdcAmount: String(args.usdcAmount),
-        reason: String(args.reason),
-      };
-    default:
-      return null;
+  return eventPayload(decoded.eventName, decoded.args as Record<string, unknown>);
+};
+
+const LAMBDA_SIGNING_SECRET_ID = "LAMBDA_SIGNING_SECRET";
+const DEFAULT_LAMBDA_CLIENT_ID = "cre-workflow";
+const DEFAULT_SIGNATURE_MAX_AGE_SECONDS = 300;
+
+const signedEnvelopeSchema = z.object({
+  payload: z.string(),
+  timestamp: z.number().int().positive(),
+  nonce: z.string().min(8).max(200),
+  signature: z.string().regex(/^[0-9a-f]{64}$/),
+});
+
+// HMAC-SHA256 over `<timestamp>.<nonce>.<body>`, hex-encoded: the scheme of the Lambda's auth.mjs.
+const signMessage = (secret: string, timestamp: number, nonce: string, body: string): string =>
+  bytesToPlainHex(hmac(sha256, utf8ToBytes(secret), utf8ToBytes(`${timestamp}.${nonce}.${body}`)));
+
+const constantTimeEqual = (a: string, b: string): boolean => {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
   }
+  return diff === 0;
+};
+
+// With LAMBDA_SIGNING_SECRET configured, only signed envelopes from the Lambda are accepted:
+// the signature must match and the timestamp must be within signatureMaxAgeSeconds. The workflow
+// keeps no state between executions, so replays inside that window are stopped on chain instead:
+// see withRequestId.
+const unwrapSignedPayload = (runtime: Runtime<Config>, parsedPayload: unknown): { input: unknown; signed: boolean } => {
+  const secret = resolveOptionalSecret(runtime, LAMBDA_SIGNING_SECRET_ID);
+  const envelope = signedEnvelopeSchema.safeParse(parsedPayload);
+  if (!secret) {
+    if (envelope.success) {
+      throw new Error(`Signed payload received but ${LAMBDA_SIGNING_SECRET_ID} is not configured`);
+    }
+    return { input: parsedPayload, signed: false };
+  }
+  if (!envelope.success) {
+    throw new Error(`Unsigned HTTP payload rejected: ${LAMBDA_SIGNING_SECRET_ID} is configured`);
+  }
+
+  const { payload, timestamp, nonce, signature } = envelope.data;
+  const maxAgeSeconds = runtime.config.signatureMaxAgeSeconds ?? DEFAULT_SIGNATURE_MAX_AGE_SECONDS;
+  const nowSeconds = Math.floor(runtime.now().getTime() / 1000);
+  if (Math.abs(nowSeconds - timestamp) > maxAgeSeconds) {
+    throw new Error(`Stale signed payload rejected (nonce ${nonce}, timestamp ${timestamp})`);
+  }
+  if (!constantTimeEqual(signMessage(secret, timestamp, nonce, payload), signature)) {
+    throw new Error(`Invalid payload signature (nonce ${nonce})`);
+  }
+  runtime.log(`Signed payload verified (nonce ${nonce})`);
+
+  try {
+    return { input: JSON.parse(payload), signed: true };
+  } catch {
+    throw new Error("Signed payload is not valid JSON");
+  }
+};
+
+const requestIdSchema = z.string().min(1).max(200);
+
+// Takes the Lambda's `requestId` (its outbox id, the same on every delivery attempt) off a payload.
+const splitRequestId = (input: unknown): { requestId?: string; body: unknown } => {
+  if (input === null || typeof input !== "object" || !("requestId" in input)) {
+    return { body: input };
+  }
+  const { requestId, ...body } = input as Record<string, unknown>;
+  return { requestId: requestIdSchema.parse(requestId), body };
+};
+
+// Wraps a receiver instruction in a request report keyed by sha256(requestId). The receiver executes
+// each key once, so a signed envelope replayed inside the signature window, or an outbox retry of a
+// write that already landed, changes nothing on chain. Signed payloads must carry a requestId.
+const withRequestId = (
+  instruction: { actionType: number; payload: `0x${string}` },
+  requestId: string | undefined,
+  signed: boolean,
+): { actionType: number; payload: `0x${string}` } => {
+  if (requestId === undefined) {
+    if (signed) {
+      throw new Error("Signed SYNC_* payload rejected: it carries no requestId");
+    }
+    return instruction;
+  }
+  return encodeRequestInstruction(`0x${bytesToPlainHex(sha256(utf8ToBytes(requestId)))}`, instruction);
 };
 
 const onHTTPTrigger = async (
   runtime: Runtime<Config>,
-  evmClient: InstanceType<typeof cre.capabilities.EVMClient>,
+  evmClients: Map<string, EvmClient>,
   payload: HTTPPayload,
 ): Promise<string> => {
   if (!payload.input || payload.input.length === 0) {
@@ -1165,7 +904,9 @@ const onHTTPTrigger = async (
     throw new Error("HTTP payload is not valid JSON");
   }
 
-  const syncInput = syncInputSchema.parse(parsedPayload);
+  const { input, signed } = unwrapSignedPayload(runtime, parsedPayload);
+  const { requestId, body } = splitRequestId(input);
+  const syncInput = syncInputSchema.parse(body);
   runtime.log(`Parsed sync action: ${formatForLog(runtime, syncInput)}`);
 
   if (isAceSyncInput(syncInput)) {
@@ -1178,76 +919,291 @@ const onHTTPTrigger = async (
     );
   }
 
-  const instruction = buildInstruction(syncInput);
-  return submitInstruction(runtime, evmClient, instruction);
+  const instruction = withRequestId(encodeSyncInstruction(syncInput), requestId, signed);
+  const target = resolveSyncTarget(runtime, syncInput);
+  const evmClient = evmClients.get(target.evmConfig.chainSelectorName);
+  if (!evmClient) {
+    throw new Error(`No EVM client for chain ${target.evmConfig.chainSelectorName}`);
+  }
+  return submitInstruction(runtime, evmClient, instruction, target);
 };
 
-const onLogTrigger = (runtime: Runtime<Config>, log: EVMLog): string => {
-  const lambdaPayload = buildLambdaPayloadFromLog(runtime, log);
-  if (!lambdaPayload) {
-    return "Ignored event";
+const resolveOptionalSecret = (runtime: Runtime<Config>, id: string): string | null => {
+  try {
+    const value = runtime.getSecret({ id }).result().value;
+    return value && value.length > 0 ? value : null;
+  } catch {
+    return null;
   }
+};
 
-  assertExternalPayloadPolicy("LAMBDA", lambdaPayload);
-  runtime.log(`Forwarding event payload to Lambda: ${formatForLog(runtime, lambdaPayload)}`);
+// The Lambda only accepts on-chain event actions from the `cre-workflow` role. With the
+// LAMBDA_SIGNING_SECRET secret each request is HMAC-signed; the nonce is the log identity, so the
+// copies sent by every DON node share it and the Lambda's event ledger collapses them. Otherwise
+// the LAMBDA_WORKFLOW_TOKEN bearer token is sent, or nothing at all.
+const buildLambdaRequestHeaders = (
+  runtime: Runtime<Config>,
+  lambdaPayload: Record<string, unknown>,
+  nonce: string,
+): Record<string, string> => {
+  const secret = resolveOptionalSecret(runtime, LAMBDA_SIGNING_SECRET_ID);
+  if (secret) {
+    const timestamp = Math.floor(runtime.now().getTime() / 1000);
+    return {
+      "X-Client-Id": runtime.config.lambdaClientId ?? DEFAULT_LAMBDA_CLIENT_ID,
+      "X-Timestamp": String(timestamp),
+      "X-Nonce": nonce,
+      "X-Signature": signMessage(secret, timestamp, nonce, JSON.stringify(lambdaPayload)),
+    };
+  }
 
-  // Try secrets vault first (production), fall back to config url (simulation)
-  let lambdaUrl: string;
+  const token = resolveOptionalSecret(runtime, "LAMBDA_WORKFLOW_TOKEN");
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Try secrets vault first (production), fall back to config url (simulation)
+const resolveLambdaUrl = (runtime: Runtime<Config>): string => {
   try {
-    lambdaUrl = runtime.getSecret({ id: "LAMBDA_URL" }).result().value;
+    return runtime.getSecret({ id: "LAMBDA_URL" }).result().value;
   } catch {
     if (!runtime.config.url) {
       throw new Error("LAMBDA_URL secret not found and no url in config");
     }
-    lambdaUrl = runtime.config.url;
+    return runtime.config.url;
+  }
+};
+
+// Logs are tagged with the chain they were emitted on; the Lambda keys its event ledger on it.
+const onLogTrigger = (runtime: Runtime<Config>, chainSelectorName: string, log: EVMLog): string => {
+  const eventPayload = buildLambdaPayloadFromLog(runtime, log);
+  if (!eventPayload) {
+    return "Ignored event";
   }
 
+  const logIdentity = buildLogIdentity(log);
+  const companyId = companyIdForAddress(runtime, chainSelectorName, logIdentity.contractAddress);
+  const lambdaPayload = {
+    ...eventPayload,
+    ...logIdentity,
+    chainSelectorName,
+    ...(companyId ? { companyId } : {}),
+  };
+
+  assertExternalPayloadPolicy("LAMBDA", lambdaPayload);
+  runtime.log(`Forwarding event payload to Lambda: ${formatForLog(runtime, lambdaPayload)}`);
+
   const httpClient = new cre.capabilities.HTTPClient();
   const resp = httpClient
     .sendRequest(runtime, postData, consensusIdenticalAggregation<PostResponse>())(
-      lambdaUrl,
+      resolveLambdaUrl(runtime),
       lambdaPayload,
+      buildLambdaRequestHeaders(
+        runtime,
+        lambdaPayload,
+        `${chainSelectorName}:${lambdaPayload.txHash}:${lambdaPayload.logIndex}`,
+      ),
     )
     .result();
 
   runtime.log(`Onchain event synced to Lambda. Status ${resp.statusCode}`);
-  return lambdaPayload.action as string;
+  return eventPayload.action;
+};
+
+const DEFAULT_VESTING_BATCH_SIZE = 10;
+
+const vestingPayoutListSchema = z.object({
+  batchId: z.string(),
+  hasMore: z.boolean(),
+  data: z.array(z.object({ employeeAddress: addressSchema, amount: z.coerce.bigint().positive() })),
+});
+
+type VestingPayoutResult = {
+  employeeAddress: string;
+  amount: string;
+  status: "sent" | "failed";
+  error?: string;
+};
+
+type VestingTarget = { companyId?: string; tokenAddress: string; chainSelectorName?: string };
+
+// Companies paid by the vesting cron, the default company first. Companies without a vesting token
+// are left out.
+const vestingTargets = (config: Config): VestingTarget[] => {
+  const targets: VestingTarget[] = [];
+  if (config.vestingPayouts?.tokenAddress) {
+    targets.push({ tokenAddress: config.vestingPayouts.tokenAddress });
+  }
+  for (const company of config.companies ?? []) {
+    if (!company.vestingTokenAddress) continue;
+    targets.push({
+      companyId: company.companyId,
+      tokenAddress: company.vestingTokenAddress,
+      chainSelectorName: companyChainSelectorName(config, company),
+    });
+  }
+  return targets;
+};
+
+// One company's payout batch: list, transfer on the company's chain, record. The nonces carry the
+// companyId, so the companies' calls for one tick never share one.
+const payVestingBatch = async (
+  runtime: Runtime<Config>,
+  httpClient: InstanceType<typeof cre.capabilities.HTTPClient>,
+  asOf: number,
+  target: VestingTarget,
+): Promise<string> => {
+  const lambdaUrl = resolveLambdaUrl(runtime);
+  const noncePrefix = target.companyId === undefined ? `vesting:${asOf}` : `vesting:${target.companyId}:${asOf}`;
+  const company = target.companyId === undefined ? {} : { companyId: target.companyId };
+
+  const listPayload = {
+    action: "ListVestingPayouts",
+    ...company,
+    asOf,
+    limit: runtime.config.vestingPayouts?.maxBatchSize ?? DEFAULT_VESTING_BATCH_SIZE,
+  };
+  const listResponse = httpClient
+    .sendRequest(runtime, postDataWithBody, consensusIdenticalAggregation<PostResponseWithBody>())(
+      lambdaUrl,
+      listPayload,
+      buildLambdaRequestHeaders(runtime, listPayload, `${noncePrefix}:list`),
+    )
+    .result();
+  const { batchId, hasMore, data } = vestingPayoutListSchema.parse(JSON.parse(listResponse.body));
+
+  runtime.log(`Vesting payouts due: ${data.length}${hasMore ? " (more pending)" : ""}`);
+  if (data.length === 0) {
+    return "none due";
+  }
+
+  const payouts: VestingPayoutResult[] = [];
+  for (const { employeeAddress, amount } of data) {
+    try {
+      await executeAceAction(runtime, {
+        action: "ACE_PRIVATE_TRANSFER",
+        recipient: employeeAddress,
+        token: target.tokenAddress,
+        amount,
+        timestamp: asOf,
+        chainSelectorName: target.chainSelectorName,
+      });
+      payouts.push({ employeeAddress, amount: amount.toString(), status: "sent" });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      runtime.log(`Vesting payout to ${formatForLog(runtime, employeeAddress)} failed: ${message}`);
+      payouts.push({ employeeAddress, amount: amount.toString(), status: "failed", error: message });
+    }
+  }
+
+  const recordPayload = { action: "RecordVestingPayouts", ...company, batchId, payouts };
+  assertExternalPayloadPolicy("LAMBDA", recordPayload);
+  // Only the status is compared: just the first copy to arrive is answered with recorded payouts.
+  // Nodes that saw different transfer outcomes send different bodies; the Lambda keeps a `sent`.
+  const recordResponse = httpClient
+    .sendRequest(runtime, postData, consensusIdenticalAggregation<PostResponse>())(
+      lambdaUrl,
+      recordPayload,
+      buildLambdaRequestHeaders(runtime, recordPayload, `${noncePrefix}:record`),
+    )
+    .result();
+
+  const sent = payouts.filter(({ status }) => status === "sent").length;
+  runtime.log(`Vesting payouts recorded. Status ${recordResponse.statusCode}`);
+  return `sent=${sent} failed=${payouts.length - sent}`;
+};
+
+// Pays out newly vested grant amounts with ACE private transfers, for every company with a vesting
+// token. The Lambda decides who is eligible (employed, goal met, past the cliff) and records the
+// results, so a failed transfer is listed again on the next tick. The calls are signed with nonces
+// derived from the scheduled time, which every DON node shares, and the Lambda records each batch
+// once. One company's failing batch does not hold up the others'.
+const onVestingCronTrigger = async (runtime: Runtime<Config>, payload: CronPayload): Promise<string> => {
+  if (!payload.scheduledExecutionTime) {
+    throw new Error("Scheduled execution time is required");
+  }
+  const targets = vestingTargets(runtime.config);
+  if (targets.length === 0) {
+    throw new Error("vestingPayouts has no company to pay: set tokenAddress or a company's vestingTokenAddress");
+  }
+
+  const asOf = Number(payload.scheduledExecutionTime.seconds);
+  const httpClient = new cre.capabilities.HTTPClient();
+  const summaries: string[] = [];
+  const failedCompanies: string[] = [];
+  for (const target of targets) {
+    const companyId = target.companyId ?? "default company";
+    try {
+      summaries.push(`${companyId}: ${await payVestingBatch(runtime, httpClient, asOf, target)}`);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      runtime.log(`Vesting payouts for ${companyId} failed: ${message}`);
+      failedCompanies.push(companyId);
+    }
+  }
+
+  if (failedCompanies.length > 0) {
+    throw new Error(`Vesting payouts failed for ${failedCompanies.join(", ")} (${summaries.join("; ")})`);
+  }
+  return `Vesting payouts ${summaries.join("; ")}`;
+};
+
+// Contracts watched on one chain: that evms entry's contracts plus the companies deployed there.
+const triggerAddressesForChain = (config: Config, evmConfig: EvmConfig): Set<string> => {
+  const addresses = new Set<string>([evmConfig.identityRegistryAddress, evmConfig.acePrivacyManagerAddress]);
+  if (evmConfig.complianceV2Address) addresses.add(evmConfig.complianceV2Address);
+  if (evmConfig.privateRoundsMarketAddress) addresses.add(evmConfig.privateRoundsMarketAddress);
+  for (const company of config.companies ?? []) {
+    if (companyChainSelectorName(config, company) !== evmConfig.chainSelectorName) continue;
+    for (const address of company.contractAddresses ?? []) addresses.add(address);
+  }
+  return addresses;
 };
 
 const initWorkflow = (config: Config) => {
-  const evmConfig = config.evms[0];
-  const network = getNetwork({
-    chainFamily: "evm",
-    chainSelectorName: evmConfig.chainSelectorName,
-    isTestnet: true,
-  });
+  const evmClients = new Map<string, EvmClient>();
+  for (const evmConfig of config.evms) {
+    const network = getNetwork({
+      chainFamily: "evm",
+      chainSelectorName: evmConfig.chainSelectorName,
+      isTestnet: evmConfig.isTestnet ?? true,
+    });
+
+    if (!network) {
+      throw new Error(`Network not found for chain selector name: ${evmConfig.chainSelectorName}`);
+    }
 
-  if (!network) {
-    throw new Error(`Network not found for chain selector name: ${evmConfig.chainSelectorName}`);
+    evmClients.set(evmConfig.chainSelectorName, new cre.capabilities.EVMClient(network.chainSelector.selector));
+  }
+  // A company on a chain missing from evms fails here rather than on its first payload.
+  for (const company of config.companies ?? []) {
+    resolveEvmConfig(config, companyChainSelectorName(config, company));
   }
 
-  const evmClient = new cre.capabilities.EVMClient(network.chainSelector.selector);
   const httpTrigger = new cre.capabilities.HTTPCapability();
-  const onHTTPTriggerWithClient = (runtime: Runtime<Config>, payload: HTTPPayload): Promise<string> =>
-    onHTTPTrigger(runtime, evmClient, payload);
-
-  const triggerAddresses = new Set<string>([
-    evmConfig.identityRegistryAddress,
-    evmConfig.acePrivacyManagerAddress,
-  ]);
-  if (evmConfig.complianceV2Address) triggerAddresses.add(evmConfig.complianceV2Address);
-  if (evmConfig.privateRoundsMarketAddress) triggerAddresses.add(evmConfig.privateRoundsMarketAddress);
-
-  const logHandlers = [...triggerAddresses].map((address) =>
-    cre.handler(
-      evmClient.logTrigger({
-        addresses: [hexToBase64(address)],
-      }),
-      onLogTrigger,
-    ),
-  );
+  const onHTTPTriggerWithClients = (runtime: Runtime<Config>, payload: HTTPPayload): Promise<string> =>
+    onHTTPTrigger(runtime, evmClients, payload);
+
+  const logHandlers = config.evms.flatMap((evmConfig) => {
+    const { chainSelectorName } = evmConfig;
+    const evmClient = evmClients.get(chainSelectorName) as EvmClient;
+    const onChainLogTrigger = (runtime: Runtime<Config>, log: EVMLog): string =>
+      onLogTrigger(runtime, chainSelectorName, log);
+    return [...triggerAddressesForChain(config, evmConfig)].map((address) =>
+      cre.handler(
+        evmClient.logTrigger({
+          addresses: [hexToBase64(address)],
+        }),
+        onChainLogTrigger,
+      ),
+    );
+  });
+
+  const cronTrigger = new cre.capabilities.CronCapability();
+  const cronHandlers = config.vestingPayouts
+    ? [cre.handler(cronTrigger.trigger({ schedule: config.vestingPayouts.schedule }), onVestingCronTrigger)]
+    : [];
 
-  return [cre.handler(httpTrigger.trigger({}), onHTTPTriggerWithClient), ...logHandlers];
+  return [cre.handler(httpTrigger.trigger({}), onHTTPTriggerWithClients), ...logHandlers, ...cronHandlers];
 };
 
 export async function main() {
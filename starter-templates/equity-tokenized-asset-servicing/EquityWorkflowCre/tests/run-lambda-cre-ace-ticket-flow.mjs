@@ -8,7 +8,8 @@
  * Required env:
  *   CRE_ETH_PRIVATE_KEY
  *   CRE_EMPLOYEE_ETH_PRIVATE_KEY
- *   LAMBDA_URL (or config.staging.json url)
+ *   LAMBDA_URL (or config.staging.json url; http://127.0.0.1:3000 with lambda-function `npm run start:local`)
+ *   LAMBDA_AUTH_TOKEN                  (company-admin bearer token, when the Lambda has AUTH_CLIENTS)
  *
  * Optional env:
  *   USE_DIRECT_RECEIVER_REPORTS=true   (default true for test mode; bypass CRE and call receiver directly)
@@ -30,14 +31,13 @@ import { fileURLToPath } from "node:url";
 import {
   createPublicClient,
   createWalletClient,
-  encodeAbiParameters,
   formatEther,
   http,
-  parseAbiParameters,
   parseEther,
 } from "viem";
 import { privateKeyToAccount } from "viem/accounts";
 import { sepolia } from "viem/chains";
+import { encodeSyncReport } from "../../lambda-function/protocol/index.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -63,18 +63,6 @@ const DEFAULT_GOAL_ID = "0x00000000000000000000000000000000000000000000000000000
 const DEFAULT_AMOUNT_WEI = 1_000_000_000_000_000_000n;
 const DEFAULT_EMPLOYEE_MIN_GAS_WEI = parseEther("0.003");
 
-const ACTION_TYPE = {
-  SYNC_KYC: 0,
-  SYNC_EMPLOYMENT_STATUS: 1,
-  SYNC_GOAL: 2,
-  SYNC_FREEZE_WALLET: 3,
-  SYNC_MINT: 7,
-  SYNC_SET_CLAIM_REQUIREMENTS: 8,
-  SYNC_SET_INVESTOR_AUTH: 9,
-  SYNC_SET_INVESTOR_LOCKUP: 10,
-  SYNC_SET_TOKEN_COMPLIANCE: 17,
-};
-
 const IDENTITY_REGISTRY_ABI = [
   {
     type: "function",
@@ -521,115 +509,12 @@ const run = async () => {
     throw new Error(`CRE command failed after retries:\n${lastOutput}`);
   };
 
-  const encodeInstruction = (payload) => {
-    if (payload.action === "SYNC_KYC") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address employee, bool verified, address identity, uint16 country"),
-        [payload.employeeAddress, payload.verified, payload.identityAddress, payload.country],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_KYC,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_FREEZE_WALLET") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address walletAddress, bool frozen"),
-        [payload.walletAddress, payload.frozen],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_FREEZE_WALLET,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_EMPLOYMENT_STATUS") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address employee, bool employed"),
-        [payload.employeeAddress, payload.employed],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_EMPLOYMENT_STATUS,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_GOAL") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("bytes32 goalId, bool achieved, address employeeHint"),
-        [payload.goalId, payload.achieved, payload.employeeAddress ?? "0x0000000000000000000000000000000000000000"],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_GOAL,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_SET_CLAIM_REQUIREMENTS") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address employee, uint64 cliffEndTimestamp, bytes32 goalId, bool goalRequired"),
-        [payload.employeeAddress, BigInt(payload.cliffEndTimestamp), payload.goalId, payload.goalRequired],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_SET_CLAIM_REQUIREMENTS,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_SET_INVESTOR_AUTH") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address investor, bool authorized"),
-        [payload.investorAddress, payload.authorized],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_SET_INVESTOR_AUTH,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_SET_INVESTOR_LOCKUP") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address investor, uint64 lockupUntil"),
-        [payload.investorAddress, BigInt(payload.lockupUntil)],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_SET_INVESTOR_LOCKUP,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_SET_TOKEN_COMPLIANCE") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address complianceAddress"),
-        [payload.complianceAddress],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_SET_TOKEN_COMPLIANCE,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_MINT") {
-      const encodedPayload = encodeAbiParameters(parseAbiParameters("address to, uint256 amount"), [
-        payload.to,
-        BigInt(payload.amount),
-      ]);
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_MINT,
-        encodedPayload,
-      ]);
-    }
-
-    throw new Error(`Unsupported action for onchain report: ${payload.action}`);
-  };
-
   const sendOnchainAction = async (payload) => {
     if (!useDirectReceiverReports) {
       return runCre(payload);
     }
 
-    const report = encodeInstruction(payload);
+    const report = encodeSyncReport(payload);
     const txHash = await adminWalletClient.writeContract({
       address: receiverAddress,
       abi: RECEIVER_ABI,
@@ -640,10 +525,14 @@ const run = async () => {
     return txHash;
   };
 
+  const lambdaAuthToken = process.env.LAMBDA_AUTH_TOKEN || envFromFile.LAMBDA_AUTH_TOKEN;
   const postLambda = async (body) => {
     const resp = await fetch(lambdaUrl, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: {
+        "Content-Type": "application/json",
+        ...(lambdaAuthToken ? { Authorization: `Bearer ${lambdaAuthToken}` } : {}),
+      },
       body: JSON.stringify(body),
     });
     const data = await asJson(resp);
@@ -27,12 +27,11 @@ import { spawnSync } from "node:child_process";
 import {
   createPublicClient,
   createWalletClient,
-  encodeAbiParameters,
   http,
-  parseAbiParameters,
 } from "viem";
 import { privateKeyToAccount } from "viem/accounts";
 import { sepolia } from "viem/chains";
+import { encodeSyncReport } from "../../lambda-function/protocol/index.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -50,19 +49,6 @@ const DEFAULT_UNAUTHORIZED_IDENTITY = "0x00000000000000000000000000000000000000b
 const DEFAULT_ACE_REF = "0x0000000000000000000000000000000000000000000000000000000000000ace";
 const DEFAULT_REFUND_REASON = "0x524546554e445f42595f4f5241434c4500000000000000000000000000000000";
 
-const ACTION_TYPE = {
-  SYNC_KYC: 0,
-  SYNC_MINT: 7,
-  SYNC_SET_INVESTOR_AUTH: 9,
-  SYNC_SET_INVESTOR_LOCKUP: 10,
-  SYNC_CREATE_ROUND: 11,
-  SYNC_SET_ROUND_ALLOWLIST: 12,
-  SYNC_OPEN_ROUND: 13,
-  SYNC_MARK_PURCHASE_SETTLED: 15,
-  SYNC_REFUND_PURCHASE: 16,
-  SYNC_SET_TOKEN_COMPLIANCE: 17,
-};
-
 const RECEIVER_ABI = [
   {
     type: "function",
@@ -299,117 +285,6 @@ const run = async () => {
     return receipt;
   };
 
-  const encodeInstruction = (payload) => {
-    if (payload.action === "SYNC_KYC") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address employee, bool verified, address identity, uint16 country"),
-        [payload.employeeAddress, payload.verified, payload.identityAddress, payload.country],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_KYC,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_SET_INVESTOR_AUTH") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address investor, bool authorized"),
-        [payload.investorAddress, payload.authorized],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_SET_INVESTOR_AUTH,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_SET_INVESTOR_LOCKUP") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address investor, uint64 lockupUntil"),
-        [payload.investorAddress, BigInt(payload.lockupUntil)],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_SET_INVESTOR_LOCKUP,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_CREATE_ROUND") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("uint256 roundId, uint64 startTime, uint64 endTime, uint256 tokenPriceUsdc6, uint256 maxUsdc"),
-        [BigInt(payload.roundId), BigInt(payload.startTime), BigInt(payload.endTime), BigInt(payload.tokenPriceUsdc6), BigInt(payload.maxUsdc)],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_CREATE_ROUND,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_SET_ROUND_ALLOWLIST") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("uint256 roundId, address investor, uint256 capUsdc"),
-        [BigInt(payload.roundId), payload.investorAddress, BigInt(payload.capUsdc)],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_SET_ROUND_ALLOWLIST,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_OPEN_ROUND") {
-      const encodedPayload = encodeAbiParameters(parseAbiParameters("uint256 roundId"), [BigInt(payload.roundId)]);
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_OPEN_ROUND,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_MARK_PURCHASE_SETTLED") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("uint256 purchaseId, bytes32 aceTransferRef"),
-        [BigInt(payload.purchaseId), payload.aceTransferRef],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_MARK_PURCHASE_SETTLED,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_REFUND_PURCHASE") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("uint256 purchaseId, bytes32 reason"),
-        [BigInt(payload.purchaseId), payload.reason],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_REFUND_PURCHASE,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_SET_TOKEN_COMPLIANCE") {
-      const encodedPayload = encodeAbiParameters(
-        parseAbiParameters("address complianceAddress"),
-        [payload.complianceAddress],
-      );
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_SET_TOKEN_COMPLIANCE,
-        encodedPayload,
-      ]);
-    }
-
-    if (payload.action === "SYNC_MINT") {
-      const encodedPayload = encodeAbiParameters(parseAbiParameters("address to, uint256 amount"), [
-        payload.to,
-        BigInt(payload.amount),
-      ]);
-      return encodeAbiParameters(parseAbiParameters("uint8 actionType, bytes payload"), [
-        ACTION_TYPE.SYNC_MINT,
-        encodedPayload,
-      ]);
-    }
-
-    throw new Error(`Unsupported action: ${payload.action}`);
-  };
-
   const runCre = async (payload) => {
     const payloadJson = JSON.stringify(payload, (_, value) =>
       typeof value === "bigint" ? value.toString() : value,
@@ -452,7 +327,7 @@ const run = async () => {
       return runCre(payload);
     }
 
-    const report = encodeInstruction(payload);
+    const report = encodeSyncReport(payload);
     const txHash = await adminWalletClient.writeContract({
       address: receiverAddress,
       abi: RECEIVER_ABI,
@@ -11,7 +11,7 @@ import "./PrivateEmployeeEquity.sol";
 /// @title EquityWorkflowReceiver
 /// @notice Receives CRE workflow reports and dispatches them to the Equity Protocol.
 ///
-///  Action Types (0-17):
+///  Action Types (0-19):
 ///    0  = SYNC_KYC
 ///    1  = SYNC_EMPLOYMENT_STATUS
 ///    2  = SYNC_GOAL
@@ -30,6 +30,8 @@ import "./PrivateEmployeeEquity.sol";
 ///    15 = SYNC_MARK_PURCHASE_SETTLED
 ///    16 = SYNC_REFUND_PURCHASE
 ///    17 = SYNC_SET_TOKEN_COMPLIANCE
+///    18 = SYNC_CANCEL_ROUND
+///    19 = SYNC_REQUEST (wraps one report with its requestId; top level only)
 ///
 /// @dev This contract must hold:
 ///   - Ownership of IdentityRegistry  (for registerIdentity / deleteIdentity / setCountry)
@@ -54,7 +56,9 @@ contract EquityWorkflowReceiver is ReceiverTemplate {
         SYNC_CLOSE_ROUND,        // 14
         SYNC_MARK_PURCHASE_SETTLED, // 15
         SYNC_REFUND_PURCHASE,    // 16
-        SYNC_SET_TOKEN_COMPLIANCE // 17
+        SYNC_SET_TOKEN_COMPLIANCE, // 17
+        SYNC_CANCEL_ROUND,       // 18
+        SYNC_REQUEST             // 19
     }
 
     IIdentityRegistry public identityRegistry;
@@ -63,7 +67,12 @@ contract EquityWorkflowReceiver is ReceiverTemplate {
     IComplianceV2 public complianceV2;
     IPrivateRoundsMarket public privateRoundsMarket;
 
+    /// @notice Request ids (sha256 of the Lambda's outbox id) whose report has been executed.
+    mapping(bytes32 => bool) public processedRequests;
+
     event SyncActionExecuted(ActionType indexed actionType, bytes payload);
+    event RequestProcessed(bytes32 indexed requestId);
+    event RequestAlreadyProcessed(bytes32 indexed requestId);
     event TargetsUpdated(
         address indexed identityRegistry,
         address indexed privateEquity,
@@ -129,7 +138,22 @@ contract EquityWorkflowReceiver is ReceiverTemplate {
     // ──────────────────────────────────────────────────────
 
     function _processReport(bytes calldata report) internal override {
-        _processSingleReport(report);
+        (uint8 rawActionType, bytes memory payload) = abi.decode(report, (uint8, bytes));
+        if (rawActionType != uint8(ActionType.SYNC_REQUEST)) {
+            _processSingleReport(report);
+            return;
+        }
+
+        // A replayed or re-delivered request is dropped without reverting, so the retry that
+        // delivers it again succeeds instead of failing until the outbox gives up.
+        (bytes32 requestId, bytes memory innerReport) = abi.decode(payload, (bytes32, bytes));
+        if (processedRequests[requestId]) {
+            emit RequestAlreadyProcessed(requestId);
+            return;
+        }
+        processedRequests[requestId] = true;
+        _processSingleReport(innerReport);
+        emit RequestProcessed(requestId);
     }
 
     function _processSingleReport(bytes memory report) internal {
@@ -175,6 +199,8 @@ contract EquityWorkflowReceiver is ReceiverTemplate {
             _processRefundPurchasePayload(payload);
         } else if (actionType == ActionType.SYNC_SET_TOKEN_COMPLIANCE) {
             _processSetTokenCompliancePayload(payload);
+        } else if (actionType == ActionType.SYNC_CANCEL_ROUND) {
+            _processCancelRoundPayload(payload);
         } else {
             revert UnsupportedAction(rawActionType);
         }
@@ -276,6 +302,11 @@ contract EquityWorkflowReceiver is ReceiverTemplate {
         _marketTarget().closeRound(roundId);
     }
 
+    function _processCancelRoundPayload(bytes memory payload) internal {
+        uint256 roundId = abi.decode(payload, (uint256));
+        _marketTarget().cancelRound(roundId);
+    }
+
     function _processMarkPurchaseSettledPayload(bytes memory payload) internal {
         (uint256 purchaseId, bytes32 aceTransferRef) = abi.decode(payload, (uint256, bytes32));
         _marketTarget().markPurchaseSettled(purchaseId, aceTransferRef);
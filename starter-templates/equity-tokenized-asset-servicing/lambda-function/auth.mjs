@@ -0,0 +1,121 @@
+import { createHash, createHmac, timingSafeEqual } from "crypto";
+
+export const ROLE_COMPANY_ADMIN = "company-admin";
+export const ROLE_CRE_WORKFLOW = "cre-workflow";
+export const ROLE_READ_ONLY = "read-only";
+export const ROLES = [ROLE_COMPANY_ADMIN, ROLE_CRE_WORKFLOW, ROLE_READ_ONLY];
+
+// AUTH_CLIENTS is a JSON object keyed by client id:
+//   { "company-backend": { "role": "company-admin", "token": "..." },
+//     "cre-workflow":    { "role": "cre-workflow", "hmacSecret": "..." } }
+// A client authenticates with `Authorization: Bearer <token>`, or with an HMAC request signature
+// (`X-Client-Id`, `X-Timestamp`, `X-Nonce`, `X-Signature`) when it has an `hmacSecret`. A client
+// with a `companyId` only reaches that company's records; clients without one reach every company.
+export const parseAuthClients = (json) => {
+  if (!json) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error("Invalid AUTH_CLIENTS: not valid JSON");
+  }
+  return Object.entries(parsed).map(([clientId, client]) => {
+    if (!ROLES.includes(client?.role)) {
+      throw new Error(`Invalid AUTH_CLIENTS: client ${clientId} has unknown role ${client?.role}`);
+    }
+    if (!client.token && !client.hmacSecret) {
+      throw new Error(`Invalid AUTH_CLIENTS: client ${clientId} needs a token or an hmacSecret`);
+    }
+    return {
+      clientId,
+      role: client.role,
+      token: client.token,
+      hmacSecret: client.hmacSecret,
+      companyId: client.companyId,
+    };
+  });
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+// Signature over `<timestamp>.<nonce>.<raw body>`, hex-encoded HMAC-SHA256. The workflow signs
+// its Lambda requests and verifies SYNC_* envelopes with the same scheme.
+export const signRequest = (secret, { timestamp, nonce }, body) =>
+  createHmac("sha256", secret).update(`${timestamp}.${nonce}.${body}`).digest("hex");
+
+export const hashBody = (body) => createHash("sha256").update(body).digest("hex");
+
+// Body sent to the CRE HTTP trigger when SYNC_SIGNING_SECRET is set. `payload` stays the exact
+// JSON string that was signed, so the workflow never has to re-serialize it.
+export const buildSignedEnvelope = (secret, payload, { timestamp, nonce }) => {
+  const body = JSON.stringify(payload);
+  return { payload: body, timestamp, nonce, signature: signRequest(secret, { timestamp, nonce }, body) };
+};
+
+const lowerCaseHeaders = (headers = {}) =>
+  Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+export const rawRequestBody = (event) => {
+  if (typeof event?.body !== "string") {
+    return event?.body == null ? "" : JSON.stringify(event.body);
+  }
+  return event.isBase64Encoded ? Buffer.from(event.body, "base64").toString("utf8") : event.body;
+};
+
+// Returns the calling client ({ clientId, role, companyId?, nonce? }) or throws "Unauthorized: ...".
+// Signed requests still have to pass the nonce check in index.mjs before they run.
+export const authenticateRequest = (event, clients, { maxSkewSeconds, nowSeconds = Math.floor(Date.now() / 1000) }) => {
+  const headers = lowerCaseHeaders(event?.headers);
+
+  const authorization = headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) {
+    const token = authorization.slice("Bearer ".length).trim();
+    const client = clients.find((candidate) => candidate.token && safeEqual(candidate.token, token));
+    if (!client) {
+      throw new Error("Unauthorized: unknown bearer token");
+    }
+    return { clientId: client.clientId, role: client.role, companyId: client.companyId };
+  }
+
+  if (headers["x-signature"]) {
+    const client = clients.find((candidate) => candidate.clientId === headers["x-client-id"] && candidate.hmacSecret);
+    if (!client) {
+      throw new Error("Unauthorized: unknown client id");
+    }
+    const timestamp = Number(headers["x-timestamp"]);
+    if (!Number.isInteger(timestamp) || Math.abs(nowSeconds - timestamp) > maxSkewSeconds) {
+      throw new Error("Unauthorized: request timestamp missing or outside the allowed window");
+    }
+    const nonce = headers["x-nonce"];
+    if (!nonce || !/^[\w:.-]{8,200}$/.test(nonce)) {
+      throw new Error("Unauthorized: request nonce missing or malformed");
+    }
+    const body = rawRequestBody(event);
+    const expected = signRequest(client.hmacSecret, { timestamp: headers["x-timestamp"], nonce }, body);
+    if (!safeEqual(expected, headers["x-signature"])) {
+      throw new Error("Unauthorized: invalid request signature");
+    }
+    return { clientId: client.clientId, role: client.role, companyId: client.companyId, nonce, bodyHash: hashBody(body) };
+  }
+
+  throw new Error("Unauthorized: missing credentials");
+};
+
+export const authorizeAction = (action, role, actionRoles) => {
+  if (!(actionRoles[action] || []).includes(role)) {
+    throw new Error(`Forbidden: role ${role} may not call ${action}`);
+  }
+};
+
+export const authorizeCompany = (companyId, client) => {
+  if (client.companyId !== undefined && client.companyId !== companyId) {
+    throw new Error(`Forbidden: client ${client.clientId} may not access company ${companyId}`);
+  }
+};
@@ -0,0 +1,211 @@
+// Read-only access to the deployed contracts over JSON-RPC (eth_call), used by Reconcile to compare
+// stored records with on-chain state. Calls are ABI-encoded with the shared protocol codec, so the
+// Lambda does not need viem; the selectors are keccak256 of the signatures next to them.
+import { ZERO_ADDRESS, ZERO_BYTES32, decodeParameters, encodeParameters } from "./protocol/index.mjs";
+import http from "http";
+import https from "https";
+
+const VIEWS = {
+  isVerified: { selector: "0xb9209e33", inputs: "address", outputs: "bool" }, // isVerified(address)
+  identity: { selector: "0xf0eb5e54", inputs: "address", outputs: "address" }, // identity(address)
+  investorCountry: { selector: "0x7e42683b", inputs: "address", outputs: "uint16" }, // investorCountry(address)
+  employmentStatus: { selector: "0x42031eaa", inputs: "address", outputs: "bool" }, // employmentStatus(address)
+  claimRequirements: {
+    selector: "0x10b55a18", // claimRequirements(address)
+    inputs: "address",
+    outputs: "uint64 cliffEndTimestamp, bytes32 goalId, bool goalRequired, bool initialized",
+  },
+  isFrozen: { selector: "0xe5839836", inputs: "address", outputs: "bool" }, // isFrozen(address)
+  isInvestorAuthorized: { selector: "0x33d33fb3", inputs: "address", outputs: "bool" }, // isInvestorAuthorized(address)
+  investorLockupUntil: { selector: "0xe7349f87", inputs: "address", outputs: "uint64" }, // investorLockupUntil(address)
+  rounds: {
+    selector: "0x8c65c81f", // rounds(uint256)
+    inputs: "uint256",
+    outputs:
+      "uint256 id, uint64 startTime, uint64 endTime, uint256 tokenPriceUsdc6, uint256 maxUsdc, uint256 soldUsdc, uint8 status",
+  },
+  purchases: {
+    selector: "0x8392fe31", // purchases(uint256)
+    inputs: "uint256",
+    outputs:
+      "uint256 id, uint256 roundId, address buyer, uint256 usdcAmount, bytes32 aceRecipientCommitment, uint64 createdAt, uint8 status, bytes32 aceTransferRef",
+  },
+};
+
+// IPrivateRoundsMarket.RoundStatus / PurchaseStatus, in the casing the Lambda stores.
+const ROUND_STATUSES = ["none", "draft", "open", "closed", "cancelled"];
+const PURCHASE_STATUSES = ["none", "pending", "settled", "refunded"];
+
+// Contract name -> env var holding its address (the names used by the project .env).
+export const CONTRACT_ENV_VARS = {
+  identityRegistry: "IDENTITY_REGISTRY_ADDRESS",
+  privateEquity: "PRIVATE_EQUITY_ADDRESS",
+  token: "TOKEN_ADDRESS",
+  compliance: "COMPLIANCE_V2_ADDRESS",
+  privateRoundsMarket: "PRIVATE_ROUNDS_MARKET_ADDRESS",
+};
+
+const postJsonRpc = async (rpcUrl, requests) => {
+  const body = JSON.stringify(requests);
+  const parsedUrl = new URL(rpcUrl);
+  const transport = parsedUrl.protocol === "http:" ? http : https;
+
+  const response = await new Promise((resolve, reject) => {
+    const req = transport.request(
+      {
+        hostname: parsedUrl.hostname,
+        port: parsedUrl.port || (transport === http ? 80 : 443),
+        path: parsedUrl.pathname + parsedUrl.search,
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+      },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+        res.on("end", () => resolve({ statusCode: res.statusCode, body: data }));
+      },
+    );
+    req.on("error", reject);
+    req.write(body);
+    req.end();
+  });
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw new Error(`RPC request failed (${response.statusCode}): ${response.body}`);
+  }
+  return JSON.parse(response.body);
+};
+
+const toJsonNumber = (value) => (value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : String(value));
+
+// Unset identities come back as the zero address; the Lambda stores them as missing.
+const toOptionalAddress = (value) => (value === ZERO_ADDRESS ? null : value);
+
+/**
+ * Creates a reader for the on-chain state the Lambda mirrors. Contracts without an address are not
+ * read, and the fields they back are left out of the result.
+ * @param {{ rpcUrl: string, contracts: Record<string, string | undefined> }} options
+ */
+export const createChainReader = ({ rpcUrl, contracts }) => {
+  const configured = Object.fromEntries(Object.entries(contracts).filter(([, address]) => Boolean(address)));
+
+  // One JSON-RPC batch per record: [{ key, contract, view, arg }] -> { key: decoded outputs }.
+  const readViews = async (calls) => {
+    const available = calls.filter(({ contract }) => configured[contract]);
+    if (available.length === 0) {
+      return {};
+    }
+
+    const requests = available.map(({ contract, view, arg }, index) => ({
+      jsonrpc: "2.0",
+      id: index,
+      method: "eth_call",
+      params: [
+        {
+          to: configured[contract],
+          data: VIEWS[view].selector + encodeParameters(VIEWS[view].inputs, [arg]).slice(2),
+        },
+        "latest",
+      ],
+    }));
+
+    const responses = await postJsonRpc(rpcUrl, requests);
+    const byId = new Map((Array.isArray(responses) ? responses : [responses]).map((entry) => [entry.id, entry]));
+
+    return Object.fromEntries(
+      available.map(({ key, view }, index) => {
+        const entry = byId.get(index);
+        if (!entry || entry.error || typeof entry.result !== "string") {
+          throw new Error(`RPC call ${view} failed: ${entry?.error?.message || "no result"}`);
+        }
+        return [key, decodeParameters(VIEWS[view].outputs, entry.result)];
+      }),
+    );
+  };
+
+  const readIdentity = async (address, extraCalls) => {
+    const results = await readViews([
+      { key: "verified", contract: "identityRegistry", view: "isVerified", arg: address },
+      { key: "identity", contract: "identityRegistry", view: "identity", arg: address },
+      { key: "country", contract: "identityRegistry", view: "investorCountry", arg: address },
+      ...extraCalls,
+    ]);
+    const state = {};
+    if (results.verified) {
+      state.kycVerified = results.verified[0];
+      state.identityAddress = toOptionalAddress(results.identity[0]);
+      state.country = Number(results.country[0]);
+    }
+    return { results, state };
+  };
+
+  return {
+    configuredContracts: Object.keys(configured),
+
+    readEmployee: async (employeeAddress) => {
+      const { results, state } = await readIdentity(employeeAddress, [
+        { key: "employed", contract: "privateEquity", view: "employmentStatus", arg: employeeAddress },
+        { key: "requirements", contract: "privateEquity", view: "claimRequirements", arg: employeeAddress },
+        { key: "frozen", contract: "token", view: "isFrozen", arg: employeeAddress },
+      ]);
+      if (results.employed) {
+        state.employed = results.employed[0];
+        const [cliffEndTimestamp, goalId, goalRequired] = results.requirements;
+        state.cliffEndTimestamp = toJsonNumber(cliffEndTimestamp);
+        state.goalId = goalId === ZERO_BYTES32 ? null : goalId;
+        state.goalRequired = goalRequired;
+      }
+      if (results.frozen) {
+        state.walletFrozen = results.frozen[0];
+      }
+      return state;
+    },
+
+    readInvestor: async (investorAddress) => {
+      const { results, state } = await readIdentity(investorAddress, [
+        { key: "authorized", contract: "compliance", view: "isInvestorAuthorized", arg: investorAddress },
+        { key: "lockup", contract: "compliance", view: "investorLockupUntil", arg: investorAddress },
+      ]);
+      if (results.authorized) {
+        state.authorized = results.authorized[0];
+        state.lockupUntil = toJsonNumber(results.lockup[0]);
+      }
+      return state;
+    },
+
+    readRound: async (roundId) => {
+      const { round } = await readViews([{ key: "round", contract: "privateRoundsMarket", view: "rounds", arg: roundId }]);
+      if (!round) {
+        return {};
+      }
+      const [, startTime, endTime, tokenPriceUsdc6, maxUsdc, soldUsdc, status] = round;
+      return {
+        status: ROUND_STATUSES[Number(status)] ?? String(status),
+        startTime: toJsonNumber(startTime),
+        endTime: toJsonNumber(endTime),
+        tokenPriceUsdc6: String(tokenPriceUsdc6),
+        maxUsdc: String(maxUsdc),
+        soldUsdc: String(soldUsdc),
+      };
+    },
+
+    readPurchase: async (purchaseId) => {
+      const { purchase } = await readViews([
+        { key: "purchase", contract: "privateRoundsMarket", view: "purchases", arg: purchaseId },
+      ]);
+      if (!purchase) {
+        return {};
+      }
+      const [, roundId, buyer, usdcAmount, , , status, aceTransferRef] = purchase;
+      return {
+        status: PURCHASE_STATUSES[Number(status)] ?? String(status),
+        roundId: String(roundId),
+        buyer,
+        usdcAmount: String(usdcAmount),
+        aceTransferRef: aceTransferRef === ZERO_BYTES32 ? null : aceTransferRef,
+      };
+    },
+  };
+};
@@ -0,0 +1,69 @@
+// Cap-table / vesting export for the monthly equity ledger: runs the Export action against the
+// configured store (same backends as the Lambda) and writes one file per report.
+//
+//   STORAGE_BACKEND=sqlite node export.mjs --format csv --out ./exports
+//   node export.mjs --reports employees,vault              (JSON on stdout when --out is omitted)
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+
+/**
+ * Invokes the Export action and, with `out`, writes `<report>-<YYYY-MM-DD>.<format>` files there.
+ * Returns the action result and the files written.
+ * @param {(event: object) => Promise<{ statusCode: number, body: string }>} handler
+ * @param {{ reports?: string[], format?: "json" | "csv", out?: string }} options
+ */
+export const runExport = async (handler, { reports, format = "json", out }) => {
+  const response = await handler({ action: "Export", reports, format });
+  const result = JSON.parse(response.body);
+  if (response.statusCode !== 200) {
+    throw new Error(`Export failed (${response.statusCode}): ${result.error}`);
+  }
+  if (!out) {
+    return { result, files: [] };
+  }
+
+  await mkdir(out, { recursive: true });
+  const date = result.generatedAt.slice(0, 10);
+  const files = [];
+  for (const [report, content] of Object.entries(result.reports)) {
+    const file = path.join(out, `${report}-${date}.${format}`);
+    await writeFile(file, format === "csv" ? content : `${JSON.stringify(content, null, 2)}\n`);
+    files.push(file);
+  }
+  return { result, files };
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      reports: { type: "string" },
+      format: { type: "string", default: "json" },
+      out: { type: "string" },
+    },
+  });
+
+  process.env.STORAGE_BACKEND ??= "sqlite";
+  const { handler } = await import("./index.mjs");
+  const { result, files } = await runExport(handler, {
+    reports: values.reports ? values.reports.split(",").map((report) => report.trim()) : undefined,
+    format: values.format,
+    out: values.out,
+  });
+
+  if (files.length === 0) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  for (const file of files) {
+    console.log(`Wrote ${file}`);
+  }
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
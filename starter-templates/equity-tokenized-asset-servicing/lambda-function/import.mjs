@@ -0,0 +1,153 @@
+// Spreadsheet imports: turns CSV or JSON-lines content into the item objects the batch Company*
+// actions take. Rows keep the line they started on so errors point back into the source file.
+import { boolean, syncPayloads, timestamp, uint16 } from "./validation.mjs";
+
+export const IMPORT_FORMATS = ["csv", "jsonl"];
+
+// RFC 4180 records: quoted fields may hold commas, newlines and "" escapes. Blank lines are skipped.
+const parseCsvRecords = (content) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0].trim() !== "") {
+      records.push({ line: recordLine, values: record });
+    }
+    record = [];
+  };
+
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      field = "";
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n") {
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else if (char !== "\r") {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`unterminated quoted field starting on line ${recordLine}`);
+  }
+  endRecord();
+  return records;
+};
+
+const parseCsv = (content) => {
+  const [header, ...records] = parseCsvRecords(content);
+  if (!header) {
+    return [];
+  }
+  const columns = header.values.map((column) => column.trim());
+  return records.map(({ line, values }) => {
+    if (values.length > columns.length) {
+      return { line, error: `has ${values.length} values for ${columns.length} columns` };
+    }
+    // Empty cells mean "leave unchanged", like an omitted JSON field.
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = (values[index] ?? "").trim();
+      if (value !== "") {
+        row[column] = value;
+      }
+    });
+    return { line, row };
+  });
+};
+
+const parseJsonLines = (content) =>
+  content.split(/\r?\n/).flatMap((text, index) => {
+    if (text.trim() === "") {
+      return [];
+    }
+    const line = index + 1;
+    try {
+      const row = JSON.parse(text);
+      return row !== null && typeof row === "object" && !Array.isArray(row)
+        ? [{ line, row }]
+        : [{ line, error: "must be a JSON object" }];
+    } catch {
+      return [{ line, error: "is not valid JSON" }];
+    }
+  });
+
+/**
+ * Splits `content` into rows: { line, row } or, for a line that cannot be read, { line, error }.
+ * Throws when the content as a whole cannot be parsed (an unterminated CSV quote).
+ * @param {"csv" | "jsonl"} format
+ * @param {string} content
+ */
+export const parseImportRows = (format, content) => (format === "csv" ? parseCsv(content) : parseJsonLines(content));
+
+// CSV cells are strings; turn the ones a schema types as booleans, numbers or payload lists into
+// those types. Values that do not convert are left for validation to report.
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+const coerceValue = (type, value) => {
+  if (typeof value !== "string") {
+    return value;
+  }
+  if (type === boolean) {
+    return BOOLEAN_VALUES[value.toLowerCase()] ?? value;
+  }
+  if ((type === uint16 || type === timestamp) && /^\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (type === syncPayloads) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+};
+
+/**
+ * Renames a row's columns (`columns` maps source column -> field) and coerces values to the types
+ * in `schema`. Columns that match no schema field are dropped and returned in `ignored`.
+ * @param {Record<string, unknown>} row
+ * @param {Record<string, unknown>} schema
+ * @param {Record<string, string>} [columns]
+ */
+export const mapImportRow = (row, schema, columns = {}) => {
+  const item = {};
+  const ignored = [];
+  for (const [column, value] of Object.entries(row)) {
+    const field = columns[column] ?? column;
+    const spec = schema[field];
+    if (!spec) {
+      ignored.push(column);
+      continue;
+    }
+    item[field] = coerceValue(spec.required ? spec.type : spec, value);
+  }
+  return { item, ignored };
+};
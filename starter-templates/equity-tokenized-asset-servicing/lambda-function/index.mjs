@@ -1,48 +1,462 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, GetCommand, PutCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
+import {
+  ROLE_COMPANY_ADMIN,
+  ROLE_CRE_WORKFLOW,
+  ROLE_READ_ONLY,
+  authenticateRequest,
+  authorizeAction,
+  authorizeCompany,
+  buildSignedEnvelope,
+  parseAuthClients,
+} from "./auth.mjs";
+import { CONTRACT_ENV_VARS, createChainReader } from "./chain.mjs";
+import { IMPORT_FORMATS, mapImportRow, parseImportRows } from "./import.mjs";
+import { EXPORT_FORMATS, EXPORT_REPORTS, buildReports, toCsv } from "./reports.mjs";
+import { ConditionFailedError, createCompanyStore, createStore } from "./storage/index.mjs";
+import { VESTING_SCHEDULES, computeVesting, grantScheduleErrors } from "./vesting.mjs";
+import {
+  ValidationError,
+  address,
+  arrayOf,
+  boolean,
+  booleanFilter,
+  bytes32,
+  companyId,
+  httpUrl,
+  keyedBy,
+  listOf,
+  nonEmptyString,
+  object,
+  oneOf,
+  positiveInteger,
+  positiveUint256,
+  required,
+  schemaErrors,
+  string,
+  syncPayloads,
+  timestamp,
+  uint16,
+  uint256,
+  validateParams,
+} from "./validation.mjs";
+import { ZERO_ADDRESS, ZERO_BYTES32, syncPayload } from "./protocol/index.mjs";
+import { randomUUID } from "crypto";
+import http from "http";
 import https from "https";
 import { URL } from "url";
 
 const STATUS_OK = 200;
 const STATUS_BAD_REQUEST = 400;
+const STATUS_UNAUTHORIZED = 401;
+const STATUS_FORBIDDEN = 403;
 const STATUS_NOT_FOUND = 404;
+const STATUS_CONFLICT = 409;
 const STATUS_SERVER_ERROR = 500;
 
+// Storage backend: "dynamodb" (default), "memory" (process-local) or "sqlite" (file at SQLITE_PATH).
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "dynamodb";
+const SQLITE_PATH = process.env.SQLITE_PATH || "./equity-state.sqlite";
 const TABLE_NAME = process.env.TABLE_NAME || "EquityEmployeeState";
 const PARTITION_KEY = process.env.PARTITION_KEY || "RecordId";
+
+// Requests without a companyId (and clients without one) act for this company. Its records keep the
+// single-company layout; every other company's records live under a `<companyId>#` prefix (see
+// storage/company.mjs) and its SYNC_* payloads carry `companyId`.
+const DEFAULT_COMPANY_ID = process.env.DEFAULT_COMPANY_ID || "default";
 const yourAwsRegion = ""; // Optional fallback (for console testing)
 const AWS_REGION = process.env.AWS_REGION || yourAwsRegion;
 
-const REQUIRED_FIELDS = {
-  readEmployee: ["employeeAddress"],
-  listEmployees: [],
-  readInvestor: ["investorAddress"],
-  readRound: ["roundId"],
-  readPurchase: ["purchaseId"],
-  CompanyEmployeeInput: ["employeeAddress"],
-  CompanyEmployeeBatchInput: ["employees"],
-  CompanyInvestorInput: ["investorAddress"],
-  CompanyRoundInput: ["roundId"],
-  CompanyRoundAllowlistInput: ["roundId", "investorAddress", "capUsdc"],
-  CompanyRoundAllowlistBatchInput: ["roundId", "entries"],
-  MarketPurchaseSettlementInput: ["purchaseId", "aceTransferRef"],
-  MarketPurchaseRefundInput: ["purchaseId"],
-  ManualSyncToCre: ["apiUrl", "payload"],
-  IdentityRegistered: ["employeeAddress", "identityAddress", "country"],
-  IdentityRemoved: ["employeeAddress"],
-  CountryUpdated: ["employeeAddress", "country"],
-  EmploymentStatusUpdated: ["employeeAddress", "employed"],
-  PrivateDeposit: ["amount"],
-  TicketRedeemed: ["employeeAddress", "amount"],
-  GoalUpdated: ["goalId", "achieved"],
-  InvestorAuthorizationUpdated: ["investorAddress", "authorized"],
-  InvestorLockupUpdated: ["investorAddress", "lockupUntil"],
-  RoundCreated: ["roundId", "startTime", "endTime", "tokenPriceUsdc6", "maxUsdc"],
-  RoundOpened: ["roundId"],
-  RoundClosed: ["roundId"],
-  PurchaseRequested: ["purchaseId", "roundId", "buyer", "usdcAmount", "aceRecipientCommitment"],
-  PurchaseSettled: ["purchaseId", "aceTransferRef", "usdcAmount", "treasury"],
-  PurchaseRefunded: ["purchaseId", "buyer", "usdcAmount", "reason"],
+// Sync outbox retry policy: exponential backoff capped at OUTBOX_BACKOFF_MAX_SECONDS,
+// entries move to "failed" after OUTBOX_MAX_ATTEMPTS and wait for an operator replay.
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const OUTBOX_BACKOFF_BASE_SECONDS = Number(process.env.OUTBOX_BACKOFF_BASE_SECONDS || 30);
+const OUTBOX_BACKOFF_MAX_SECONDS = Number(process.env.OUTBOX_BACKOFF_MAX_SECONDS || 3600);
+const OUTBOX_DRAIN_DEFAULT_LIMIT = 25;
+// A delivery holds its entry as "delivering" until the lease expires; only then may DrainSyncOutbox
+// take over an entry whose invocation died mid-POST. Keep it above the Lambda timeout.
+const OUTBOX_LEASE_SECONDS = Number(process.env.OUTBOX_LEASE_SECONDS || 900);
+
+// Batch Company* actions split their SYNC_BATCH into reports of at most this many actions.
+const SYNC_BATCH_MAX_SIZE = Number(process.env.SYNC_BATCH_MAX_SIZE || 20);
+
+// Optimistic concurrency: upsertRecord re-reads and retries this many times before answering 409.
+const UPSERT_MAX_RETRIES = Number(process.env.UPSERT_MAX_RETRIES || 3);
+
+// Running totals stored as numbers so the store can ADD to them atomically.
+// They are always returned as strings (bigint-safe); DynamoDB keeps up to 38 significant digits.
+const ACCUMULATOR_FIELDS = ["claimedAmount", "totalDeposited", "paidOutAmount"];
+
+// Processed-events ledger: a redelivered (chainSelectorName, txHash, logIndex) returns the original result.
+// Duplicates arriving while the first delivery is still running wait up to EVENT_LEDGER_WAIT_MS;
+// a claim older than EVENT_CLAIM_TTL_SECONDS is considered abandoned and can be taken over.
+const EVENT_LEDGER_WAIT_MS = Number(process.env.EVENT_LEDGER_WAIT_MS || 5000);
+const EVENT_LEDGER_POLL_MS = 200;
+const EVENT_CLAIM_TTL_SECONDS = Number(process.env.EVENT_CLAIM_TTL_SECONDS || 300);
+
+// Audit trail: history items are read through a GSI with partition key `historyOf` (S)
+// and sort key `historySeq` (N). Internal bookkeeping records get no history.
+const HISTORY_INDEX_NAME = process.env.HISTORY_INDEX_NAME || "historyOf-historySeq-index";
+const HISTORY_EXCLUDED_ENTITY_TYPES = new Set(["history", "syncOutbox", "processedEvent"]);
+const HISTORY_IGNORED_FIELDS = new Set([PARTITION_KEY, "version", "updatedAt"]);
+
+// List actions query a GSI with partition key `entityType` (S) and sort key = PARTITION_KEY (S).
+// Filters are applied after the key condition, so one page may need several queries; each list
+// call stops after MAX_LIST_QUERY_PAGES and hands back a cursor.
+const ENTITY_TYPE_INDEX_NAME = process.env.ENTITY_TYPE_INDEX_NAME || "entityType-index";
+const MAX_LIST_QUERY_PAGES = 10;
+
+// Request authentication (see auth.mjs). Without AUTH_CLIENTS every HTTP caller is trusted,
+// which is only meant for local runs. Direct invocations (no HTTP body) are authorized by IAM.
+const AUTH_CLIENTS = parseAuthClients(process.env.AUTH_CLIENTS);
+const AUTH_MAX_SKEW_SECONDS = Number(process.env.AUTH_MAX_SKEW_SECONDS || 300);
+
+// Shared secret for SYNC_* payloads sent to the CRE HTTP trigger (LAMBDA_SIGNING_SECRET in the
+// workflow vault). When set, every delivery is wrapped in a signed envelope.
+const SYNC_SIGNING_SECRET = process.env.SYNC_SIGNING_SECRET || "";
+
+// Must match PrivateRoundsMarket.settlementTimeoutSeconds (the deploy script reads the same variable):
+// a purchase still pending this long after PurchaseRequested is overdue and can be refunded. Once a
+// SettlementTimeoutUpdated event has been seen, the timeout it carries is used instead.
+const PRIVATE_ROUNDS_SETTLEMENT_TIMEOUT_SECONDS = Number(process.env.PRIVATE_ROUNDS_SETTLEMENT_TIMEOUT_SECONDS || 3600);
+
+// bytes32 refund reasons: bytes32("MANUAL_REFUND") and bytes32("SETTLEMENT_TIMEOUT").
+const MANUAL_REFUND_REASON = "0x4d414e55414c5f524546554e4400000000000000000000000000000000000000";
+const SETTLEMENT_TIMEOUT_REFUND_REASON = "0x534554544c454d454e545f54494d454f55540000000000000000000000000000";
+
+// Offboarding closes on-chain claims by moving the cliff out of reach. It is the largest value that
+// still comes back through ClaimRequirementsUpdated, whose timestamps are safe integers here.
+const CLAIMS_CLOSED_CLIFF_TIMESTAMP = Number.MAX_SAFE_INTEGER;
+
+// Reconcile reads on-chain state through this JSON-RPC endpoint and the company's contracts: the
+// addresses in CONTRACT_ENV_VARS (see chain.mjs) for the default company, the `contracts` of its
+// CompanyConfigInput for every other one.
+const RPC_URL = process.env.RPC_URL || "";
+const RECONCILE_ENTITY_TYPES = ["employee", "investor", "round", "purchase"];
+const RECONCILE_MODES = ["report", "queueSync", "updateLambda"];
+
+// Round lifecycle as PrivateRoundsMarket enforces it: a draft opens, an open round closes, a closed
+// round can be reopened, and any round that is not cancelled yet can be cancelled.
+const ROUND_STATUSES = ["draft", "open", "closed", "cancelled"];
+const ROUND_TRANSITIONS = {
+  draft: ["open", "cancelled"],
+  open: ["closed", "cancelled"],
+  closed: ["open", "cancelled"],
+  cancelled: [],
+};
+const ROUND_TRANSITION_FLAGS = { openRound: "open", closeRound: "closed", cancelRound: "cancelled" };
+
+const COMPANY_EMPLOYEE_SCHEMA = {
+  employeeAddress: required(address),
+  employeeId: string,
+  identityAddress: address,
+  country: uint16,
+  kycVerified: boolean,
+  employed: boolean,
+  goalId: bytes32,
+  goalAchieved: boolean,
+  cliffEndTimestamp: timestamp,
+  goalRequired: boolean,
+  walletFrozen: boolean,
+  privateDepositAmount: positiveUint256,
+  ticketRedeemAmount: positiveUint256,
+  notes: string,
+  syncKyc: boolean,
+  syncEmployment: boolean,
+  syncGoal: boolean,
+  syncClaimRequirements: boolean,
+  syncFreezeWallet: boolean,
+  syncPrivateDeposit: boolean,
+  syncRedeemTicket: boolean,
+  extraSyncPayloads: syncPayloads,
+};
+
+const COMPANY_INVESTOR_SCHEMA = {
+  investorAddress: required(address),
+  identityAddress: address,
+  country: uint16,
+  kycVerified: boolean,
+  authorized: boolean,
+  lockupUntil: timestamp,
+  notes: string,
+  syncKyc: boolean,
+  syncInvestorAuth: boolean,
+  syncInvestorLockup: boolean,
+};
+
+const ALLOWLIST_ENTRY_SCHEMA = {
+  investorAddress: required(address),
+  capUsdc: required(uint256),
+};
+
+// CompanyImport: the row schema of each importable entity and the batch action its rows go through.
+const IMPORT_TARGETS = {
+  employee: { schema: COMPANY_EMPLOYEE_SCHEMA, action: "CompanyEmployeeBatchInput", itemsField: "employees" },
+  investor: { schema: COMPANY_INVESTOR_SCHEMA, action: "CompanyInvestorBatchInput", itemsField: "investors" },
+  allowlist: { schema: ALLOWLIST_ENTRY_SCHEMA, action: "CompanyRoundAllowlistBatchInput", itemsField: "entries" },
+};
+
+// Parameter types per action (see validation.mjs). Fields not listed here are ignored by the handlers.
+const ACTION_SCHEMAS = {
+  readEmployee: { employeeAddress: required(address) },
+  readEmployeeVesting: { employeeAddress: required(address), asOf: timestamp },
+  listEmployees: { kycVerified: booleanFilter, employed: booleanFilter, walletFrozen: booleanFilter },
+  listInvestors: { kycVerified: booleanFilter, authorized: booleanFilter },
+  listRounds: { status: string },
+  listPurchases: { status: string, roundId: uint256, buyer: address },
+  listAllowlist: { roundId: uint256, investorAddress: address },
+  readInvestor: { investorAddress: required(address) },
+  readRound: { roundId: required(uint256) },
+  readRoundAllowlist: { roundId: required(uint256), investorAddress: address },
+  readOnchainConfig: {},
+  readCompanyConfig: {},
+  ListVestingPayouts: { asOf: timestamp, limit: positiveInteger },
+  RecordVestingPayouts: {
+    batchId: required(nonEmptyString),
+    payouts: required(
+      arrayOf({
+        employeeAddress: required(address),
+        amount: required(positiveUint256),
+        status: required(oneOf("sent", "failed")),
+        error: string,
+      }),
+    ),
+  },
+  readPurchase: { purchaseId: required(uint256) },
+  readEmployeeHistory: { employeeAddress: required(address) },
+  readInvestorHistory: { investorAddress: required(address) },
+  readRoundHistory: { roundId: required(uint256) },
+  readPurchaseHistory: { purchaseId: required(uint256) },
+  readSyncOutboxEntry: { outboxId: required(nonEmptyString) },
+  listSyncOutbox: { status: string },
+  CompanyEmployeeInput: { ...COMPANY_EMPLOYEE_SCHEMA, apiUrl: httpUrl, dryRun: boolean },
+  CompanyEmployeeBatchInput: {
+    employees: required(arrayOf(COMPANY_EMPLOYEE_SCHEMA)),
+    apiUrl: httpUrl,
+    dryRun: boolean,
+  },
+  CompanyInvestorInput: { ...COMPANY_INVESTOR_SCHEMA, apiUrl: httpUrl, dryRun: boolean },
+  CompanyConfigInput: {
+    name: string,
+    apiUrl: httpUrl,
+    contracts: keyedBy(Object.keys(CONTRACT_ENV_VARS), address),
+    dryRun: boolean,
+  },
+  CompanyEmployeeOffboard: {
+    employeeAddress: required(address),
+    reason: required(nonEmptyString),
+    terminationTimestamp: timestamp,
+    freezeWallet: boolean,
+    freezeGraceSeconds: positiveInteger,
+    apiUrl: httpUrl,
+    dryRun: boolean,
+  },
+  ApplyDueWalletFreezes: { apiUrl: required(httpUrl), asOf: timestamp },
+  CompanyGrantInput: {
+    employeeAddress: required(address),
+    totalAmount: positiveUint256,
+    schedule: oneOf(...VESTING_SCHEDULES),
+    startTimestamp: timestamp,
+    cliffEndTimestamp: timestamp,
+    durationSeconds: positiveInteger,
+    periodSeconds: positiveInteger,
+    periodCount: positiveInteger,
+    goalTranches: arrayOf({ goalId: required(bytes32), amount: required(positiveUint256) }),
+    dryRun: boolean,
+  },
+  CompanyInvestorBatchInput: {
+    investors: required(arrayOf(COMPANY_INVESTOR_SCHEMA)),
+    apiUrl: httpUrl,
+    dryRun: boolean,
+  },
+  CompanyRoundInput: {
+    roundId: required(uint256),
+    startTime: timestamp,
+    endTime: timestamp,
+    tokenPriceUsdc6: uint256,
+    maxUsdc: uint256,
+    status: oneOf(...ROUND_STATUSES),
+    notes: string,
+    syncCreateRound: boolean,
+    openRound: boolean,
+    closeRound: boolean,
+    cancelRound: boolean,
+    apiUrl: httpUrl,
+    dryRun: boolean,
+  },
+  CompanyRoundAllowlistInput: {
+    roundId: required(uint256),
+    ...ALLOWLIST_ENTRY_SCHEMA,
+    apiUrl: httpUrl,
+    dryRun: boolean,
+  },
+  CompanyRoundAllowlistBatchInput: {
+    roundId: required(uint256),
+    entries: required(arrayOf(ALLOWLIST_ENTRY_SCHEMA)),
+    apiUrl: httpUrl,
+    dryRun: boolean,
+  },
+  CompanyImport: {
+    entityType: required(oneOf(...Object.keys(IMPORT_TARGETS))),
+    format: required(oneOf(...IMPORT_FORMATS)),
+    content: required(string),
+    columns: object,
+    roundId: uint256,
+    apiUrl: httpUrl,
+    dryRun: boolean,
+  },
+  MarketPurchaseSettlementInput: { purchaseId: required(uint256), aceTransferRef: required(bytes32), apiUrl: httpUrl },
+  MarketPurchaseRefundInput: { purchaseId: required(uint256), reason: bytes32, apiUrl: httpUrl },
+  ListOverduePurchases: { asOf: timestamp, settlementTimeoutSeconds: positiveInteger, roundId: uint256 },
+  RefundOverduePurchases: {
+    apiUrl: required(httpUrl),
+    asOf: timestamp,
+    settlementTimeoutSeconds: positiveInteger,
+    roundId: uint256,
+  },
+  ManualSyncToCre: { apiUrl: required(httpUrl), payload: required(object) },
+  DrainSyncOutbox: { limit: positiveInteger },
+  ReplaySyncOutboxEntry: { outboxId: required(nonEmptyString), apiUrl: httpUrl },
+  DiscardSyncOutboxEntry: { outboxId: required(nonEmptyString), reason: string },
+  Reconcile: {
+    rpcUrl: httpUrl,
+    mode: oneOf(...RECONCILE_MODES),
+    entityTypes: listOf(oneOf(...RECONCILE_ENTITY_TYPES)),
+    apiUrl: httpUrl,
+  },
+  Export: { reports: listOf(oneOf(...EXPORT_REPORTS)), format: oneOf(...EXPORT_FORMATS) },
+  IdentityRegistered: { employeeAddress: required(address), identityAddress: required(address), country: required(uint16) },
+  IdentityRemoved: { employeeAddress: required(address) },
+  CountryUpdated: { employeeAddress: required(address), country: required(uint16) },
+  EmploymentStatusUpdated: { employeeAddress: required(address), employed: required(boolean) },
+  PrivateDeposit: { amount: required(uint256) },
+  TicketRedeemed: { employeeAddress: required(address), amount: required(uint256) },
+  GrantCreated: { employeeAddress: required(address), amount: required(uint256) },
+  TokensClaimed: { employeeAddress: required(address), amount: required(uint256) },
+  GrantRevoked: { employeeAddress: required(address), amountForfeited: required(uint256) },
+  GoalUpdated: { goalId: required(bytes32), achieved: required(boolean) },
+  ClaimRequirementsUpdated: {
+    employeeAddress: required(address),
+    cliffEndTimestamp: required(timestamp),
+    goalId: required(bytes32),
+    goalRequired: required(boolean),
+  },
+  OracleStatusUpdated: {
+    contractAddress: required(address),
+    oracleAddress: required(address),
+    authorized: required(boolean),
+  },
+  AgentUpdated: { agentAddress: required(address), authorized: required(boolean) },
+  TrustedCounterpartyUpdated: { accountAddress: required(address), trusted: required(boolean) },
+  InvestorAuthorizationUpdated: { investorAddress: required(address), authorized: required(boolean) },
+  InvestorLockupUpdated: { investorAddress: required(address), lockupUntil: required(timestamp) },
+  RoundCreated: {
+    roundId: required(uint256),
+    startTime: required(timestamp),
+    endTime: required(timestamp),
+    tokenPriceUsdc6: required(uint256),
+    maxUsdc: required(uint256),
+  },
+  RoundOpened: { roundId: required(uint256) },
+  RoundClosed: { roundId: required(uint256) },
+  RoundCancelled: { roundId: required(uint256) },
+  RoundAllowlistUpdated: { roundId: required(uint256), investorAddress: required(address), capUsdc: required(uint256) },
+  TreasuryUpdated: { previousTreasury: required(address), treasury: required(address) },
+  SettlementTimeoutUpdated: { previousTimeoutSeconds: required(timestamp), settlementTimeoutSeconds: required(timestamp) },
+  PurchaseRequested: {
+    purchaseId: required(uint256),
+    roundId: required(uint256),
+    buyer: required(address),
+    usdcAmount: required(uint256),
+    aceRecipientCommitment: required(bytes32),
+  },
+  PurchaseSettled: {
+    purchaseId: required(uint256),
+    aceTransferRef: required(bytes32),
+    usdcAmount: required(uint256),
+    treasury: required(address),
+  },
+  PurchaseRefunded: {
+    purchaseId: required(uint256),
+    buyer: required(address),
+    usdcAmount: required(uint256),
+    reason: required(bytes32),
+  },
+};
+
+const READERS = [ROLE_COMPANY_ADMIN, ROLE_READ_ONLY];
+const COMPANY = [ROLE_COMPANY_ADMIN];
+const ONCHAIN = [ROLE_CRE_WORKFLOW];
+
+// Roles allowed to call each action; an action missing here is denied to every caller.
+const ACTION_ROLES = {
+  readEmployee: READERS,
+  readEmployeeVesting: READERS,
+  listEmployees: READERS,
+  listInvestors: READERS,
+  listRounds: READERS,
+  listPurchases: READERS,
+  listAllowlist: READERS,
+  readInvestor: READERS,
+  readRound: READERS,
+  readRoundAllowlist: READERS,
+  readOnchainConfig: READERS,
+  readCompanyConfig: READERS,
+  ListVestingPayouts: [...READERS, ROLE_CRE_WORKFLOW],
+  RecordVestingPayouts: [ROLE_COMPANY_ADMIN, ROLE_CRE_WORKFLOW],
+  readPurchase: READERS,
+  readEmployeeHistory: READERS,
+  readInvestorHistory: READERS,
+  readRoundHistory: READERS,
+  readPurchaseHistory: READERS,
+  readSyncOutboxEntry: READERS,
+  listSyncOutbox: READERS,
+  CompanyEmployeeInput: COMPANY,
+  CompanyEmployeeBatchInput: COMPANY,
+  CompanyInvestorInput: COMPANY,
+  CompanyConfigInput: COMPANY,
+  CompanyEmployeeOffboard: COMPANY,
+  ApplyDueWalletFreezes: COMPANY,
+  CompanyGrantInput: COMPANY,
+  CompanyInvestorBatchInput: COMPANY,
+  CompanyRoundInput: COMPANY,
+  CompanyRoundAllowlistInput: COMPANY,
+  CompanyRoundAllowlistBatchInput: COMPANY,
+  CompanyImport: COMPANY,
+  MarketPurchaseSettlementInput: COMPANY,
+  MarketPurchaseRefundInput: COMPANY,
+  ListOverduePurchases: READERS,
+  RefundOverduePurchases: COMPANY,
+  ManualSyncToCre: COMPANY,
+  DrainSyncOutbox: COMPANY,
+  ReplaySyncOutboxEntry: COMPANY,
+  DiscardSyncOutboxEntry: COMPANY,
+  Reconcile: COMPANY,
+  Export: READERS,
+  IdentityRegistered: ONCHAIN,
+  IdentityRemoved: ONCHAIN,
+  CountryUpdated: ONCHAIN,
+  EmploymentStatusUpdated: ONCHAIN,
+  PrivateDeposit: ONCHAIN,
+  TicketRedeemed: ONCHAIN,
+  GrantCreated: ONCHAIN,
+  TokensClaimed: ONCHAIN,
+  GrantRevoked: ONCHAIN,
+  GoalUpdated: ONCHAIN,
+  ClaimRequirementsUpdated: ONCHAIN,
+  OracleStatusUpdated: ONCHAIN,
+  AgentUpdated: ONCHAIN,
+  TrustedCounterpartyUpdated: ONCHAIN,
+  InvestorAuthorizationUpdated: ONCHAIN,
+  InvestorLockupUpdated: ONCHAIN,
+  RoundCreated: ONCHAIN,
+  RoundOpened: ONCHAIN,
+  RoundClosed: ONCHAIN,
+  RoundCancelled: ONCHAIN,
+  RoundAllowlistUpdated: ONCHAIN,
+  TreasuryUpdated: ONCHAIN,
+  SettlementTimeoutUpdated: ONCHAIN,
+  PurchaseRequested: ONCHAIN,
+  PurchaseSettled: ONCHAIN,
+  PurchaseRefunded: ONCHAIN,
 };
 
 const COMPANY_ALLOWED_FIELDS = [
@@ -69,17 +483,33 @@ const buildResponse = (statusCode, body) => ({
   body: JSON.stringify(body),
 });
 
-const buildKey = (recordId) => ({
-  [PARTITION_KEY]: recordId,
-});
-
 const normalizeAddress = (value) => String(value || "").toLowerCase();
 const employeeRecordId = (employeeAddress) => `employee:${normalizeAddress(employeeAddress)}`;
 const goalRecordId = (goalId) => `goal:${String(goalId || "").toLowerCase()}`;
 const investorRecordId = (investorAddress) => `investor:${normalizeAddress(investorAddress)}`;
+const grantRecordId = (employeeAddress) => `grant:${normalizeAddress(employeeAddress)}`;
+const vestingPayoutRecordId = (batchId, employeeAddress) =>
+  `vestingPayout:${String(batchId)}:${normalizeAddress(employeeAddress)}`;
 const roundRecordId = (roundId) => `round:${String(roundId)}`;
 const purchaseRecordId = (purchaseId) => `purchase:${String(purchaseId)}`;
 const aceSettlementRecordId = (purchaseId) => `aceSettlement:${String(purchaseId)}`;
+const allowlistRecordId = (roundId, investorAddress) =>
+  `${roundRecordId(roundId)}:allowlist:${normalizeAddress(investorAddress)}`;
+const oracleRecordId = (contractAddress, oracleAddress) =>
+  `oracle:${normalizeAddress(contractAddress)}:${normalizeAddress(oracleAddress)}`;
+const complianceAgentRecordId = (agentAddress) => `complianceAgent:${normalizeAddress(agentAddress)}`;
+const trustedCounterpartyRecordId = (accountAddress) => `trustedCounterparty:${normalizeAddress(accountAddress)}`;
+const MARKET_CONFIG_RECORD_ID = "marketConfig:main";
+const COMPANY_CONFIG_RECORD_ID = "companyConfig:main";
+const outboxRecordId = (outboxId) => `outbox:${String(outboxId)}`;
+const historyRecordId = (recordId, version) => `history:${recordId}:${String(version).padStart(12, "0")}`;
+const nonceRecordId = (clientId, nonce) => `nonce:${clientId}:${nonce}`;
+// Events without a chainSelectorName use the original ledger key, which is also where every log
+// ingested before the workflow tagged events with their chain was recorded (see processEventOnce).
+const eventRecordId = (txHash, logIndex, chainSelectorName) =>
+  chainSelectorName == null
+    ? `event:${String(txHash).toLowerCase()}:${Number(logIndex)}`
+    : `event:${chainSelectorName}:${String(txHash).toLowerCase()}:${Number(logIndex)}`;
 
 const parseBigInt = (value) => {
   try {
@@ -89,50 +519,283 @@ const parseBigInt = (value) => {
   }
 };
 
-const validateParams = (action, params) => {
-  const required = REQUIRED_FIELDS[action];
-  if (!required || !required.every((field) => params[field] != null)) {
-    throw new Error(`Missing required parameters for action ${action}`);
+const normalizeAccumulators = (item) => {
+  if (!item) {
+    return item;
+  }
+  for (const field of ACCUMULATOR_FIELDS) {
+    if (item[field] != null) {
+      item[field] = String(item[field]);
+    }
+  }
+  return item;
+};
+
+const toStoredItem = (item) => {
+  const stored = { ...item };
+  for (const field of ACCUMULATOR_FIELDS) {
+    if (stored[field] != null) {
+      stored[field] = parseBigInt(stored[field]);
+    }
+  }
+  return stored;
+};
+
+const isConditionalCheckFailure = (error) => error instanceof ConditionFailedError;
+
+// Condition for replacing `current`: the item must still be absent, or still carry the version we read.
+const buildVersionCondition = (current) => {
+  if (!current) {
+    return { exists: false };
+  }
+  return { equals: { version: current.version ?? null } };
+};
+
+const readRawRecord = async (store, recordId) => store.get(recordId);
+
+const getRecord = async (store, recordId) =>
+  normalizeAccumulators(await readRawRecord(store, recordId));
+
+const putRecord = async (store, item, condition) => {
+  await store.write([{ put: toStoredItem(item), condition }]);
+};
+
+const historySource = (patch) => patch.lastOnchainEvent || patch.source || "system";
+
+// One append-only history item per version of a business record, holding only the fields that changed.
+const buildHistoryItem = (current, updated, patch) => {
+  if (HISTORY_EXCLUDED_ENTITY_TYPES.has(updated.entityType)) {
+    return null;
+  }
+
+  const previous = {};
+  const next = {};
+  const fields = new Set([...Object.keys(current || {}), ...Object.keys(updated)]);
+  for (const field of fields) {
+    if (HISTORY_IGNORED_FIELDS.has(field)) {
+      continue;
+    }
+    const before = current?.[field] ?? null;
+    const after = updated[field] ?? null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      previous[field] = before;
+      next[field] = after;
+    }
+  }
+  if (Object.keys(next).length === 0) {
+    return null;
+  }
+
+  const recordId = updated[PARTITION_KEY];
+  return {
+    [PARTITION_KEY]: historyRecordId(recordId, updated.version),
+    entityType: "history",
+    historyOf: recordId,
+    historySeq: updated.version,
+    recordEntityType: updated.entityType ?? null,
+    source: historySource(patch),
+    changedAt: updated.updatedAt,
+    previous,
+    next,
+  };
+};
+
+// Writes the record (conditional on the version read) and its history item atomically.
+const writeWithHistory = async (store, recordWrite, historyItem, extraOperations = []) => {
+  const operations = [recordWrite, ...extraOperations];
+  if (historyItem) {
+    operations.push({ put: historyItem, condition: buildVersionCondition(null) });
   }
+  await store.write(operations);
 };
 
-const getRecord = async (client, recordId) => {
-  const command = new GetCommand({
-    TableName: TABLE_NAME,
-    Key: buildKey(recordId),
+const withVersionRetries = async (recordId, attemptWrite) => {
+  for (let attempt = 0; attempt <= UPSERT_MAX_RETRIES; attempt += 1) {
+    try {
+      return await attemptWrite();
+    } catch (error) {
+      if (!isConditionalCheckFailure(error)) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`Concurrent update conflict on ${recordId}: retries exhausted`);
+};
+
+const withoutUndefined = (patch) =>
+  Object.fromEntries(Object.entries(patch).filter(([, value]) => value !== undefined));
+
+const mergeRecord = (current, recordId, definedPatch) => ({
+  ...(current || {}),
+  ...definedPatch,
+  [PARTITION_KEY]: recordId,
+  version: Number(current?.version || 0) + 1,
+  updatedAt: new Date().toISOString(),
+});
+
+const upsertRecord = async (store, recordId, patch) => {
+  const definedPatch = withoutUndefined(patch);
+
+  return withVersionRetries(recordId, async () => {
+    const current = await getRecord(store, recordId);
+    const updated = mergeRecord(current, recordId, definedPatch);
+
+    const recordWrite = { put: toStoredItem(updated), condition: buildVersionCondition(current) };
+    await writeWithHistory(store, recordWrite, buildHistoryItem(current, updated, definedPatch));
+    return updated;
   });
+};
 
-  const { Item } = await client.send(command);
-  return Item || null;
+// Company* actions called with `dryRun: true` get the record merged as upsertRecord would merge
+// it, without writing it.
+const saveCompanyRecord = async (store, recordId, patch, dryRun) => {
+  if (!dryRun) {
+    return upsertRecord(store, recordId, patch);
+  }
+  return mergeRecord(await getRecord(store, recordId), recordId, withoutUndefined(patch));
 };
 
-const putRecord = async (client, item) => {
-  const command = new PutCommand({
-    TableName: TABLE_NAME,
-    Item: item,
+// ADDs `increments` to accumulator fields and SETs `patch` in a single update.
+// The write is conditional on the version read, so no increment is lost and the history
+// item records exact previous/new totals.
+// `guard`, when given, runs before every attempt and returns operations to commit in the same
+// transaction, or null to skip the update (incrementRecord then returns null).
+const incrementRecord = async (store, recordId, increments, patch, guard) => {
+  const definedPatch = withoutUndefined(patch);
+
+  return withVersionRetries(recordId, async () => {
+    const guardOperations = guard ? await guard() : [];
+    if (guardOperations === null) {
+      return null;
+    }
+    const raw = await readRawRecord(store, recordId);
+    const current = normalizeAccumulators(raw ? { ...raw } : null);
+    const updated = {
+      ...(current || {}),
+      ...definedPatch,
+      [PARTITION_KEY]: recordId,
+      version: Number(current?.version || 0) + 1,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const set = { version: updated.version, updatedAt: updated.updatedAt, ...definedPatch };
+    const add = {};
+    for (const [field, amount] of Object.entries(increments)) {
+      const total = parseBigInt(current?.[field] || "0") + parseBigInt(amount);
+      updated[field] = total.toString();
+      // Records written before accumulators were numeric hold them as strings, which ADD
+      // rejects; those are rewritten with the computed total under the same version condition.
+      if (typeof raw?.[field] === "string") {
+        set[field] = total;
+      } else {
+        add[field] = parseBigInt(amount);
+      }
+    }
+
+    const recordWrite = { update: { recordId, set, add }, condition: buildVersionCondition(current) };
+    await writeWithHistory(store, recordWrite, buildHistoryItem(current, updated, definedPatch), guardOperations);
+    return updated;
   });
-  await client.send(command);
 };
 
-const upsertRecord = async (client, recordId, patch) => {
-  const current = (await getRecord(client, recordId)) || {};
-  const updated = {
-    ...current,
-    ...patch,
-    [PARTITION_KEY]: recordId,
-    updatedAt: new Date().toISOString(),
-  };
-  await putRecord(client, updated);
-  return updated;
+const DEFAULT_PAGE_LIMIT = 25;
+const MAX_PAGE_LIMIT = 100;
+
+const resolvePageLimit = (limit) => {
+  const value = Number(limit ?? DEFAULT_PAGE_LIMIT);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid limit: ${limit}`);
+  }
+  return Math.min(value, MAX_PAGE_LIMIT);
+};
+
+// Cursors are the opaque, base64url-encoded last key of the previous page.
+const encodeCursor = (lastKey) =>
+  lastKey ? Buffer.from(JSON.stringify(lastKey)).toString("base64url") : null;
+
+const decodeCursor = (cursor) => {
+  if (!cursor) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+};
+
+const toBooleanFilter = (value) => (value === undefined ? undefined : value === true || value === "true");
+
+const listByEntityType = async (store, entityType, { limit, cursor, filters = {}, recordIdPrefix }) => {
+  const pageLimit = resolvePageLimit(limit);
+  const items = [];
+  let exclusiveStartKey = decodeCursor(cursor);
+  let nextKey = null;
+
+  for (let page = 0; page < MAX_LIST_QUERY_PAGES; page += 1) {
+    const { items: pageItems, lastKey } = await store.queryByEntityType(entityType, {
+      filters,
+      recordIdPrefix,
+      limit: pageLimit,
+      exclusiveStartKey,
+    });
+
+    const remaining = pageLimit - items.length;
+    if (pageItems.length > remaining) {
+      items.push(...pageItems.slice(0, remaining));
+      const last = items[items.length - 1];
+      nextKey = { [PARTITION_KEY]: last[PARTITION_KEY], entityType: last.entityType };
+      break;
+    }
+
+    items.push(...pageItems);
+    nextKey = lastKey;
+    if (!lastKey || items.length === pageLimit) {
+      break;
+    }
+    exclusiveStartKey = lastKey;
+  }
+
+  return { data: items.map(normalizeAccumulators), nextCursor: encodeCursor(nextKey) };
+};
+
+const queryAllByEntityType = async (store, entityType, filters = {}) => {
+  const items = [];
+  let exclusiveStartKey;
+  do {
+    const { items: pageItems, lastKey } = await store.queryByEntityType(entityType, {
+      filters,
+      exclusiveStartKey,
+    });
+    items.push(...pageItems);
+    exclusiveStartKey = lastKey;
+  } while (exclusiveStartKey);
+  return items.map(normalizeAccumulators);
+};
+
+const readHistory = async (store, recordId, { limit, cursor, order }) => {
+  const { items, lastKey } = await store.queryHistory(recordId, {
+    limit: resolvePageLimit(limit),
+    exclusiveStartKey: decodeCursor(cursor),
+    ascending: order === "asc",
+  });
+  return { data: items, nextCursor: encodeCursor(lastKey) };
+};
+
+const deleteRecord = async (store, recordId) => {
+  await store.delete(recordId);
 };
 
 const postJson = async (apiUrl, payload) => {
   const body = JSON.stringify(payload);
   const parsedUrl = new URL(apiUrl);
+  // Plain http is only expected for local CRE simulators.
+  const transport = parsedUrl.protocol === "http:" ? http : https;
 
   const options = {
     hostname: parsedUrl.hostname,
-    port: parsedUrl.port || 443,
+    port: parsedUrl.port || (transport === http ? 80 : 443),
     path: parsedUrl.pathname + parsedUrl.search,
     method: "POST",
     headers: {
@@ -142,7 +805,7 @@ const postJson = async (apiUrl, payload) => {
   };
 
   const response = await new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
+    const req = transport.request(options, (res) => {
       let data = "";
       res.on("data", (chunk) => {
         data += chunk;
@@ -163,6 +826,507 @@ const postJson = async (apiUrl, payload) => {
   return response;
 };
 
+// Each delivery attempt gets its own nonce, so a replayed attempt is distinguishable from a retry.
+// The signed payload also carries `requestId`, the same on every attempt: the receiver executes a
+// request id once, so neither a replayed envelope nor a retry of a write that landed runs twice.
+const signSyncPayload = (payload, nonce, requestId) =>
+  SYNC_SIGNING_SECRET
+    ? buildSignedEnvelope(
+        SYNC_SIGNING_SECRET,
+        { ...payload, requestId },
+        { timestamp: Math.floor(Date.now() / 1000), nonce },
+      )
+    : payload;
+
+const computeOutboxBackoffSeconds = (attemptCount) =>
+  Math.min(OUTBOX_BACKOFF_BASE_SECONDS * 2 ** Math.max(attemptCount - 1, 0), OUTBOX_BACKOFF_MAX_SECONDS);
+
+// Payloads of a company other than the default one name it, so the workflow writes them to that
+// company's receiver.
+const withCompanyId = (store, payload) => (store.companyId ? { ...payload, companyId: store.companyId } : payload);
+
+const outboxLeaseExpiry = (from) => new Date(Date.parse(from) + OUTBOX_LEASE_SECONDS * 1000).toISOString();
+
+const hasLiveLease = (entry, now = new Date().toISOString()) =>
+  entry.status === "delivering" && Boolean(entry.leaseExpiresAt) && entry.leaseExpiresAt > now;
+
+// With `claim`, the entry is written already claimed for its first attempt, so the caller can
+// deliver it inline without a drain picking it up in between.
+const enqueueSyncPayload = async (store, apiUrl, companyPayload, origin, { claim = false } = {}) => {
+  const payload = withCompanyId(store, companyPayload);
+  const outboxId = randomUUID();
+  const now = new Date().toISOString();
+  const entry = {
+    version: 1,
+    [PARTITION_KEY]: outboxRecordId(outboxId),
+    entityType: "syncOutbox",
+    outboxId,
+    apiUrl,
+    payload,
+    syncAction: payload.action,
+    originAction: origin.action,
+    originRecordId: origin.recordId ?? null,
+    status: claim ? "delivering" : "pending",
+    attemptCount: claim ? 1 : 0,
+    attempts: [],
+    nextAttemptAt: claim ? null : now,
+    leaseExpiresAt: claim ? outboxLeaseExpiry(now) : null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await putRecord(store, entry, buildVersionCondition(null));
+  return entry;
+};
+
+// Moves `entry` to "delivering" for one more attempt, conditional on the version that was read,
+// so of two invocations racing for an entry only one posts it. Returns null for the loser.
+const claimOutboxEntry = async (store, entry, patch = {}) => {
+  const claimedAt = new Date().toISOString();
+  const claimed = mergeRecord(entry, entry[PARTITION_KEY], {
+    ...patch,
+    status: "delivering",
+    attemptCount: (entry.attemptCount || 0) + 1,
+    nextAttemptAt: null,
+    leaseExpiresAt: outboxLeaseExpiry(claimedAt),
+  });
+
+  try {
+    await putRecord(store, claimed, buildVersionCondition(entry));
+    return claimed;
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Delivers an entry claimed by enqueueSyncPayload or claimOutboxEntry and records the outcome.
+const deliverOutboxEntry = async (store, claimed) => {
+  const attemptedAt = new Date().toISOString();
+  const { attemptCount } = claimed;
+
+  let response = null;
+  let statusPatch;
+  let attempt;
+  try {
+    const body = signSyncPayload(claimed.payload, `${claimed.outboxId}:${attemptCount}`, claimed.outboxId);
+    response = await postJson(claimed.apiUrl, body);
+    attempt = { attemptedAt, ok: true, statusCode: response.statusCode };
+    statusPatch = {
+      status: "delivered",
+      deliveredAt: attemptedAt,
+      nextAttemptAt: null,
+      lastError: null,
+    };
+  } catch (error) {
+    const errorMessage = error?.message || String(error);
+    const exhausted = attemptCount >= OUTBOX_MAX_ATTEMPTS;
+    const retryAt = Date.parse(attemptedAt) + computeOutboxBackoffSeconds(attemptCount) * 1000;
+    attempt = { attemptedAt, ok: false, error: errorMessage };
+    statusPatch = {
+      status: exhausted ? "failed" : "pending",
+      nextAttemptAt: exhausted ? null : new Date(retryAt).toISOString(),
+      lastError: errorMessage,
+    };
+  }
+
+  const updated = mergeRecord(claimed, claimed[PARTITION_KEY], {
+    ...statusPatch,
+    leaseExpiresAt: null,
+    attempts: [...(claimed.attempts || []), attempt],
+    lastAttemptAt: attemptedAt,
+  });
+
+  try {
+    await putRecord(store, updated, buildVersionCondition(claimed));
+  } catch (error) {
+    if (!isConditionalCheckFailure(error)) {
+      throw error;
+    }
+    // The lease ran out and another invocation claimed the entry; its outcome stands.
+    return { entry: await getRecord(store, claimed[PARTITION_KEY]), response };
+  }
+
+  return { entry: updated, response };
+};
+
+const toSyncResponse = ({ entry, response }) => ({
+  action: entry.syncAction,
+  outboxId: entry.outboxId,
+  deliveryStatus: entry.status,
+  statusCode: response ? response.statusCode : null,
+  responseBody: response ? response.body : null,
+  error: entry.lastError || undefined,
+});
+
+// Every CRE sync payload is persisted to the outbox before delivery, so a CRE outage
+// leaves a pending entry for DrainSyncOutbox instead of losing the on-chain sync.
+const dispatchSyncPayload = async (store, apiUrl, payload, origin) => {
+  const entry = await enqueueSyncPayload(store, apiUrl, payload, origin, { claim: true });
+  return toSyncResponse(await deliverOutboxEntry(store, entry));
+};
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Pending purchases whose settlement deadline is at or before `asOf`, oldest deadline first. The
+// stored deadline comes from PurchaseRequested; `settlementTimeoutSeconds` recomputes it (e.g. after
+// the market's timeout changed). The Lambda records requestedAt when the event arrives, a little
+// after the block, so its deadline is never earlier than the market's.
+const findOverduePurchases = async (store, { asOf = nowSeconds(), settlementTimeoutSeconds, roundId }) => {
+  const pending = await queryAllByEntityType(store, "purchase", {
+    status: "pending",
+    roundId: roundId !== undefined ? String(roundId) : undefined,
+  });
+  return pending
+    .map((purchase) => {
+      const settlementDeadline =
+        settlementTimeoutSeconds !== undefined && purchase.requestedAt != null
+          ? Number(purchase.requestedAt) + Number(settlementTimeoutSeconds)
+          : purchase.settlementDeadline;
+      return { ...purchase, settlementDeadline, overdueSeconds: Number(asOf) - settlementDeadline };
+    })
+    .filter(({ settlementDeadline }) => settlementDeadline != null && settlementDeadline <= Number(asOf))
+    .sort((a, b) => a.settlementDeadline - b.settlementDeadline);
+};
+
+// Cap usage counted like PrivateRoundsMarket: a purchase uses cap from PurchaseRequested until it
+// is refunded, so pending and settled purchases are both committed.
+const summarizePurchaseUsdc = (purchases) => {
+  const totals = { pending: 0n, settled: 0n, refunded: 0n };
+  for (const purchase of purchases) {
+    if (purchase.status in totals) {
+      totals[purchase.status] += parseBigInt(purchase.usdcAmount || "0");
+    }
+  }
+  return {
+    committedUsdc: totals.pending + totals.settled,
+    pendingUsdc: totals.pending,
+    settledUsdc: totals.settled,
+    refundedUsdc: totals.refunded,
+  };
+};
+
+const toUsageFields = (limit, summary) => {
+  const remaining = limit == null ? null : parseBigInt(limit) - summary.committedUsdc;
+  return {
+    ...Object.fromEntries(Object.entries(summary).map(([field, amount]) => [field, amount.toString()])),
+    remainingUsdc: remaining == null ? null : (remaining > 0n ? remaining : 0n).toString(),
+  };
+};
+
+const groupPurchasesByBuyer = (purchases) => {
+  const byBuyer = new Map();
+  for (const purchase of purchases) {
+    byBuyer.set(purchase.buyer, [...(byBuyer.get(purchase.buyer) || []), purchase]);
+  }
+  return byBuyer;
+};
+
+// Raised versus maxUsdc for the round, plus the total of its allowlist caps.
+const buildRoundUsage = async (store, round) => {
+  const [purchases, allowlist] = await Promise.all([
+    queryAllByEntityType(store, "purchase", { roundId: String(round.roundId) }),
+    queryAllByEntityType(store, "roundAllowlist", { roundId: String(round.roundId) }),
+  ]);
+  return {
+    maxUsdc: round.maxUsdc ?? null,
+    ...toUsageFields(round.maxUsdc, summarizePurchaseUsdc(purchases)),
+    allowlistCount: allowlist.length,
+    allowlistCapUsdc: allowlist.reduce((total, entry) => total + parseBigInt(entry.capUsdc || "0"), 0n).toString(),
+  };
+};
+
+// Used versus remaining cap per investor. Buyers without a stored allowlist entry (e.g. a cap set
+// directly on the market) are listed with `capUsdc: null`.
+const buildAllowlistUsage = async (store, roundId, investorAddress) => {
+  const filters = { roundId: String(roundId) };
+  const [purchases, allowlist] = await Promise.all([
+    queryAllByEntityType(store, "purchase", { ...filters, buyer: investorAddress }),
+    queryAllByEntityType(store, "roundAllowlist", { ...filters, investorAddress }),
+  ]);
+  const purchasesByBuyer = groupPurchasesByBuyer(purchases);
+  const entries = allowlist.map(({ investorAddress: investor, capUsdc }) => ({ investorAddress: investor, capUsdc }));
+  for (const buyer of purchasesByBuyer.keys()) {
+    if (!entries.some((entry) => entry.investorAddress === buyer)) {
+      entries.push({ investorAddress: buyer, capUsdc: null });
+    }
+  }
+  return entries.map((entry) => {
+    const buyerPurchases = purchasesByBuyer.get(entry.investorAddress) || [];
+    return {
+      ...entry,
+      ...toUsageFields(entry.capUsdc, summarizePurchaseUsdc(buyerPurchases)),
+      purchaseCount: buyerPurchases.length,
+    };
+  });
+};
+
+// Warnings for allowlist caps set below what the investor already committed in the round. The
+// market accepts such a cap (it only blocks further purchases), so they do not fail the input.
+const findCapWarnings = async (store, roundId, entries, fieldOf) => {
+  const purchases = await queryAllByEntityType(store, "purchase", { roundId: String(roundId) });
+  const purchasesByBuyer = groupPurchasesByBuyer(purchases);
+  return entries.flatMap((entry, index) => {
+    const { committedUsdc } = summarizePurchaseUsdc(purchasesByBuyer.get(normalizeAddress(entry.investorAddress)) || []);
+    return parseBigInt(entry.capUsdc) < committedUsdc
+      ? [{ field: fieldOf(index), message: `is below the ${committedUsdc} USDC already committed by this investor` }]
+      : [];
+  });
+};
+
+// Vesting of an employee's grant at `asOf`. A grant without its own cliff uses the employee's
+// on-chain claim requirement; goal tranches vest once their GoalUpdated record is achieved.
+const buildEmployeeVesting = async (store, grant, employee, asOf) => {
+  const goals = await Promise.all(
+    (grant.goalTranches || []).map(({ goalId }) => getRecord(store, goalRecordId(goalId))),
+  );
+  const achievedGoals = new Set(goals.filter((goal) => goal?.achieved).map((goal) => String(goal.goalId).toLowerCase()));
+  const cliffEndTimestamp = grant.cliffEndTimestamp ?? employee?.cliffEndTimestamp ?? null;
+  return {
+    employeeAddress: grant.employeeAddress,
+    schedule: grant.schedule ?? "cliff",
+    status: grant.status ?? "active",
+    cliffEndTimestamp,
+    forfeitedAmount: grant.forfeitedAmount ?? null,
+    ...computeVesting(
+      { ...grant, cliffEndTimestamp },
+      { asOf, claimedAmount: employee?.claimedAmount, paidOutAmount: grant.paidOutAmount, achievedGoals },
+    ),
+  };
+};
+
+// Vesting stops at the termination time: the grant is revoked then, and its cliff is pinned so the
+// closed on-chain cliff that comes back from SYNC_SET_CLAIM_REQUIREMENTS does not change the result.
+const buildOffboardedGrant = async (store, grant, employee, terminationTimestamp) => {
+  const cliffEndTimestamp = Number(grant.cliffEndTimestamp ?? employee?.cliffEndTimestamp ?? 0);
+  const vesting = await buildEmployeeVesting(
+    store,
+    { ...grant, cliffEndTimestamp, status: "revoked", revokedAt: terminationTimestamp },
+    employee,
+    terminationTimestamp,
+  );
+  return {
+    patch: {
+      status: "revoked",
+      revokedAt: terminationTimestamp,
+      cliffEndTimestamp,
+      forfeitedAmount: vesting.unvestedAmount,
+      revokedReason: "offboarded",
+    },
+    vesting,
+  };
+};
+
+const buildOffboardingSyncPayloads = (employeeState, { freezeNow }) => {
+  const employeeAddress = employeeState.employeeAddress;
+  const payloads = [
+    syncPayload("SYNC_EMPLOYMENT_STATUS", { employeeAddress, employed: false }),
+    syncPayload("SYNC_SET_CLAIM_REQUIREMENTS", {
+      employeeAddress,
+      cliffEndTimestamp: CLAIMS_CLOSED_CLIFF_TIMESTAMP,
+      goalId: String(employeeState.goalId || ZERO_BYTES32),
+      goalRequired: Boolean(employeeState.goalRequired),
+    }),
+  ];
+  if (freezeNow) {
+    payloads.push(syncPayload("SYNC_FREEZE_WALLET", { walletAddress: employeeAddress, frozen: true }));
+  }
+  return [syncPayload("SYNC_BATCH", { batches: payloads })];
+};
+
+const DEFAULT_VESTING_PAYOUT_LIMIT = 10;
+
+// Conditional put of a vesting payout result; false when the condition does not hold.
+const putPayoutRecord = async (store, item, condition) => {
+  try {
+    await putRecord(store, item, condition);
+    return true;
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Why an employee's vested amount is not paid out by the vesting driver, or null when it can be.
+const vestingPayoutBlocker = async (store, employee, vesting) => {
+  if (vesting.status !== "active") return "grant revoked";
+  if (employee?.employed !== true) return "not employed";
+  if (employee.walletFrozen === true) return "wallet frozen";
+  if (employee.goalRequired === true) {
+    const goal = employee.goalId ? await getRecord(store, goalRecordId(employee.goalId)) : null;
+    if (!goal?.achieved) return "goal not achieved";
+  }
+  return BigInt(vesting.claimableAmount) > 0n ? null : "nothing claimable";
+};
+
+// TicketRedeemed (PrivateEmployeeEquity) and TokensClaimed (vesting contracts) both add to claimedAmount.
+const recordClaim = (store, employeeAddress, amount, eventName) =>
+  incrementRecord(store, employeeRecordId(employeeAddress), { claimedAmount: amount }, {
+    entityType: "employee",
+    employeeAddress: normalizeAddress(employeeAddress),
+    lastClaimedAmount: String(amount),
+    lastOnchainEvent: eventName,
+  });
+
+const getOutboxEntry = async (store, outboxId) => {
+  const entry = await getRecord(store, outboxRecordId(outboxId));
+  if (!entry) {
+    throw new Error("Outbox entry not found");
+  }
+  return entry;
+};
+
+// Vesting driver calls arrive from every DON node with the same nonce and body, like on-chain
+// events: listing is read-only and RecordVestingPayouts records each batch once.
+const DON_REPEATED_ACTIONS = new Set(["ListVestingPayouts", "RecordVestingPayouts"]);
+
+// Each node reports the transfer outcomes it saw, so RecordVestingPayouts copies for one batch may
+// differ in body; they share this key and the handler reconciles them per (batchId, employee).
+const donCopyKey = (params) =>
+  params.action === "RecordVestingPayouts" ? `RecordVestingPayouts:${params.batchId}` : null;
+
+// A signed request runs at most once per nonce. The CRE DON sends each on-chain event from every
+// node with the same nonce and body; those copies are let through and collapsed by the event ledger.
+const assertFreshNonce = async (store, caller, params) => {
+  const recordId = nonceRecordId(caller.clientId, caller.nonce);
+  const seenAt = new Date();
+  try {
+    await putRecord(store, {
+      [PARTITION_KEY]: recordId,
+      entityType: "requestNonce",
+      clientId: caller.clientId,
+      nonce: caller.nonce,
+      bodyHash: caller.bodyHash,
+      copyKey: donCopyKey(params),
+      firstSeenAt: seenAt.toISOString(),
+      expiresAt: Math.floor(seenAt.getTime() / 1000) + 2 * AUTH_MAX_SKEW_SECONDS,
+    }, buildVersionCondition(null));
+    return;
+  } catch (error) {
+    if (!isConditionalCheckFailure(error)) {
+      throw error;
+    }
+  }
+
+  const seen = await getRecord(store, recordId);
+  if (seen?.bodyHash === caller.bodyHash && (hasEventIdentity(params) || DON_REPEATED_ACTIONS.has(params.action))) {
+    return;
+  }
+  if (seen?.copyKey && seen.copyKey === donCopyKey(params)) {
+    return;
+  }
+  throw new Error("Unauthorized: replayed request nonce");
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const hasEventIdentity = (params) => params.txHash != null && params.logIndex != null;
+
+const assertEventIdentity = ({ txHash, logIndex, chainSelectorName }) => {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(String(txHash)) || !Number.isInteger(Number(logIndex)) || Number(logIndex) < 0) {
+    throw new Error(`Invalid event identity: txHash=${txHash} logIndex=${logIndex}`);
+  }
+  if (chainSelectorName != null && !/^[a-z0-9-]{1,100}$/.test(String(chainSelectorName))) {
+    throw new Error(`Invalid event identity: chainSelectorName=${chainSelectorName}`);
+  }
+};
+
+const claimEvent = async (store, recordId, action, params, previousClaim) => {
+  const claim = {
+    [PARTITION_KEY]: recordId,
+    entityType: "processedEvent",
+    action,
+    txHash: String(params.txHash).toLowerCase(),
+    logIndex: Number(params.logIndex),
+    blockNumber: params.blockNumber != null ? Number(params.blockNumber) : null,
+    chainSelectorName: params.chainSelectorName ?? null,
+    status: "processing",
+    claimedAt: new Date().toISOString(),
+  };
+  const condition = previousClaim
+    ? { equals: { claimedAt: previousClaim.claimedAt, status: "processing" } }
+    : buildVersionCondition(null);
+
+  try {
+    await putRecord(store, claim, condition);
+    return true;
+  } catch (error) {
+    if (isConditionalCheckFailure(error)) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const isAbandonedClaim = (entry) =>
+  entry.status === "processing" &&
+  Date.now() - Date.parse(entry.claimedAt) > EVENT_CLAIM_TTL_SECONDS * 1000;
+
+// Runs an on-chain event handler at most once per (chainSelectorName, txHash, logIndex).
+const processEventOnce = async (store, action, params) => {
+  assertEventIdentity(params);
+  const recordId = eventRecordId(params.txHash, params.logIndex, params.chainSelectorName);
+
+  // A log recorded under the untagged key before the upgrade is the same log: a txHash never
+  // repeats across chains. Its redelivery returns that result instead of being applied again.
+  if (params.chainSelectorName != null) {
+    const legacyRecordId = eventRecordId(params.txHash, params.logIndex);
+    const legacy = await getRecord(store, legacyRecordId);
+    if (legacy && legacy.action !== action) {
+      throw new Error(`Event identity conflict: ${legacyRecordId} was already ingested as ${legacy.action}`);
+    }
+    if (legacy?.status === "processed") {
+      return { ...legacy.result, duplicate: true };
+    }
+    if (legacy && !isAbandonedClaim(legacy)) {
+      throw new Error(`Event identity conflict: ${legacyRecordId} is still being processed`);
+    }
+  }
+
+  let claimed = await claimEvent(store, recordId, action, params);
+  const deadline = Date.now() + EVENT_LEDGER_WAIT_MS;
+  while (!claimed) {
+    const entry = await getRecord(store, recordId);
+    if (!entry) {
+      claimed = await claimEvent(store, recordId, action, params);
+      continue;
+    }
+    if (entry.action !== action) {
+      throw new Error(`Event identity conflict: ${recordId} was already ingested as ${entry.action}`);
+    }
+    if (entry.status === "processed") {
+      return { ...entry.result, duplicate: true };
+    }
+    if (isAbandonedClaim(entry)) {
+      claimed = await claimEvent(store, recordId, action, params, entry);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Event identity conflict: ${recordId} is still being processed`);
+    }
+    await sleep(EVENT_LEDGER_POLL_MS);
+  }
+
+  let result;
+  try {
+    result = await handlers[action](store, params);
+  } catch (error) {
+    // Release the claim so a redelivery of the same log can be processed again.
+    await deleteRecord(store, recordId);
+    throw error;
+  }
+
+  await upsertRecord(store, recordId, {
+    status: "processed",
+    processedAt: new Date().toISOString(),
+    result,
+  });
+  return result;
+};
+
 const pickCompanyPatch = (params) => {
   const patch = {};
   for (const field of COMPANY_ALLOWED_FIELDS) {
@@ -185,31 +1349,24 @@ const buildSyncPayloadsFromCompanyInput = (params, employeeState) => {
 
   if (shouldSyncKyc) {
     const verified = Boolean(employeeState.kycVerified);
-    const kycPayload = {
-      action: "SYNC_KYC",
+    if (verified && !employeeState.identityAddress) {
+      throw new Error("identityAddress is required to sync KYC when kycVerified=true");
+    }
+    payloads.push(syncPayload("SYNC_KYC", {
       employeeAddress,
       verified,
+      identityAddress: verified ? employeeState.identityAddress : undefined,
       country: Number(employeeState.country ?? 0),
-    };
-
-    if (verified) {
-      if (!employeeState.identityAddress) {
-        throw new Error("identityAddress is required to sync KYC when kycVerified=true");
-      }
-      kycPayload.identityAddress = employeeState.identityAddress;
-    }
-
-    payloads.push(kycPayload);
+    }));
   }
 
   const shouldSyncEmployment =
     params.syncEmployment === true || params.employed !== undefined;
   if (shouldSyncEmployment) {
-    payloads.push({
-      action: "SYNC_EMPLOYMENT_STATUS",
+    payloads.push(syncPayload("SYNC_EMPLOYMENT_STATUS", {
       employeeAddress,
       employed: Boolean(employeeState.employed),
-    });
+    }));
   }
 
   const shouldSyncGoal =
@@ -217,12 +1374,11 @@ const buildSyncPayloadsFromCompanyInput = (params, employeeState) => {
     params.goalId !== undefined ||
     params.goalAchieved !== undefined;
   if (shouldSyncGoal && employeeState.goalId && employeeState.goalAchieved !== undefined) {
-    payloads.push({
-      action: "SYNC_GOAL",
+    payloads.push(syncPayload("SYNC_GOAL", {
       goalId: employeeState.goalId,
       achieved: Boolean(employeeState.goalAchieved),
       employeeAddress,
-    });
+    }));
   }
 
   const shouldSyncClaimRequirements =
@@ -232,31 +1388,28 @@ const buildSyncPayloadsFromCompanyInput = (params, employeeState) => {
     params.goalRequired !== undefined;
 
   if (shouldSyncClaimRequirements) {
-    payloads.push({
-      action: "SYNC_SET_CLAIM_REQUIREMENTS",
+    payloads.push(syncPayload("SYNC_SET_CLAIM_REQUIREMENTS", {
       employeeAddress,
       cliffEndTimestamp: Number(employeeState.cliffEndTimestamp ?? 0),
-      goalId: String(employeeState.goalId || "0x0000000000000000000000000000000000000000000000000000000000000000"),
+      goalId: String(employeeState.goalId || ZERO_BYTES32),
       goalRequired: Boolean(employeeState.goalRequired),
-    });
+    }));
   }
 
   const shouldSyncFreeze =
     params.syncFreezeWallet === true || params.walletFrozen !== undefined;
   if (shouldSyncFreeze) {
-    payloads.push({
-      action: "SYNC_FREEZE_WALLET",
+    payloads.push(syncPayload("SYNC_FREEZE_WALLET", {
       walletAddress: employeeAddress,
       frozen: Boolean(employeeState.walletFrozen),
-    });
+    }));
   }
 
   const shouldSyncDeposit = params.syncPrivateDeposit === true || params.privateDepositAmount !== undefined;
   if (shouldSyncDeposit && employeeState.privateDepositAmount) {
-    payloads.push({
-      action: "SYNC_PRIVATE_DEPOSIT",
+    payloads.push(syncPayload("SYNC_PRIVATE_DEPOSIT", {
       amount: String(employeeState.privateDepositAmount)
-    });
+    }));
   }
 
   const shouldSyncTicket = params.syncRedeemTicket === true || params.ticketRedeemAmount !== undefined;
@@ -273,6 +1426,19 @@ const buildSyncPayloadsFromCompanyInput = (params, employeeState) => {
   return payloads;
 };
 
+const buildInvestorPatch = (params, now) => ({
+  entityType: "investor",
+  investorAddress: normalizeAddress(params.investorAddress),
+  identityAddress: params.identityAddress !== undefined ? normalizeAddress(params.identityAddress) : undefined,
+  country: params.country !== undefined ? Number(params.country) : undefined,
+  kycVerified: params.kycVerified !== undefined ? Boolean(params.kycVerified) : undefined,
+  authorized: params.authorized !== undefined ? Boolean(params.authorized) : undefined,
+  lockupUntil: params.lockupUntil !== undefined ? Number(params.lockupUntil) : undefined,
+  notes: params.notes,
+  source: "company",
+  lastCompanyUpdateAt: now,
+});
+
 const buildSyncPayloadsFromInvestorInput = (params, investorState) => {
   const payloads = [];
   const investorAddress = investorState.investorAddress;
@@ -284,282 +1450,894 @@ const buildSyncPayloadsFromInvestorInput = (params, investorState) => {
     params.country !== undefined;
   if (shouldSyncKyc) {
     const verified = Boolean(investorState.kycVerified);
-    const kycPayload = {
-      action: "SYNC_KYC",
+    if (verified && !investorState.identityAddress) {
+      throw new Error("identityAddress is required to sync KYC when kycVerified=true");
+    }
+    payloads.push(syncPayload("SYNC_KYC", {
       employeeAddress: investorAddress,
       verified,
+      identityAddress: verified ? investorState.identityAddress : undefined,
       country: Number(investorState.country ?? 0),
-    };
-    if (verified) {
-      if (!investorState.identityAddress) {
-        throw new Error("identityAddress is required to sync KYC when kycVerified=true");
-      }
-      kycPayload.identityAddress = investorState.identityAddress;
-    }
-    payloads.push(kycPayload);
+    }));
   }
 
   const shouldSyncInvestorAuth =
     params.syncInvestorAuth === true || params.authorized !== undefined;
   if (shouldSyncInvestorAuth) {
-    payloads.push({
-      action: "SYNC_SET_INVESTOR_AUTH",
+    payloads.push(syncPayload("SYNC_SET_INVESTOR_AUTH", {
       investorAddress,
       authorized: Boolean(investorState.authorized),
-    });
+    }));
   }
 
   const shouldSyncInvestorLockup =
     params.syncInvestorLockup === true || params.lockupUntil !== undefined;
   if (shouldSyncInvestorLockup) {
-    payloads.push({
-      action: "SYNC_SET_INVESTOR_LOCKUP",
+    payloads.push(syncPayload("SYNC_SET_INVESTOR_LOCKUP", {
       investorAddress,
       lockupUntil: Number(investorState.lockupUntil ?? 0),
-    });
+    }));
   }
 
   return payloads;
 };
 
+const isRoundCreateRequested = (params) =>
+  params.syncCreateRound === true ||
+  params.startTime !== undefined ||
+  params.endTime !== undefined ||
+  params.tokenPriceUsdc6 !== undefined ||
+  params.maxUsdc !== undefined;
+
+// Checks the lifecycle step a CompanyRoundInput call asks for (an openRound / closeRound / cancelRound
+// flag or an explicit `status`) against the stored status. A round the Lambda holds no status for
+// is not checked, unless the same call creates it (it then starts as a draft).
+const assertRoundTransition = (params, currentStatus) => {
+  const flags = Object.keys(ROUND_TRANSITION_FLAGS).filter((flag) => params[flag] === true);
+  const fail = (field, message) => {
+    throw new ValidationError("Invalid round transition", [{ field, message }]);
+  };
+
+  if (flags.length > 1) {
+    fail(flags[1], `cannot be combined with ${flags[0]}`);
+  }
+  const [flag] = flags;
+  const target = flag ? ROUND_TRANSITION_FLAGS[flag] : params.status;
+  if (flag && params.status !== undefined && params.status !== target) {
+    fail("status", `conflicts with ${flag}`);
+  }
+
+  const from = currentStatus ?? (isRoundCreateRequested(params) ? "draft" : undefined);
+  if (target === undefined || !ROUND_TRANSITIONS[from]) {
+    return;
+  }
+  if (target === from) {
+    if (flag) {
+      fail(flag, `round is already ${from}`);
+    }
+    return;
+  }
+  if (!ROUND_TRANSITIONS[from].includes(target)) {
+    fail(flag || "status", `cannot move a ${from} round to ${target}`);
+  }
+};
+
 const buildSyncPayloadsFromRoundInput = (params, roundState) => {
   const payloads = [];
-  const createRequested =
-    params.syncCreateRound === true ||
-    params.startTime !== undefined ||
-    params.endTime !== undefined ||
-    params.tokenPriceUsdc6 !== undefined ||
-    params.maxUsdc !== undefined;
+  const createRequested = isRoundCreateRequested(params);
 
   if (createRequested) {
-    payloads.push({
-      action: "SYNC_CREATE_ROUND",
+    payloads.push(syncPayload("SYNC_CREATE_ROUND", {
       roundId: String(roundState.roundId),
       startTime: Number(roundState.startTime),
       endTime: Number(roundState.endTime),
       tokenPriceUsdc6: String(roundState.tokenPriceUsdc6),
       maxUsdc: String(roundState.maxUsdc),
-    });
+    }));
   }
 
   if (params.openRound === true) {
-    payloads.push({
-      action: "SYNC_OPEN_ROUND",
+    payloads.push(syncPayload("SYNC_OPEN_ROUND", {
       roundId: String(roundState.roundId),
-    });
+    }));
   }
 
   if (params.closeRound === true) {
-    payloads.push({
-      action: "SYNC_CLOSE_ROUND",
+    payloads.push(syncPayload("SYNC_CLOSE_ROUND", {
       roundId: String(roundState.roundId),
-    });
+    }));
+  }
+
+  if (params.cancelRound === true) {
+    payloads.push(syncPayload("SYNC_CANCEL_ROUND", {
+      roundId: String(roundState.roundId),
+    }));
   }
 
   return payloads;
 };
 
+const buildAllowlistSyncPayload = (roundId, entry) =>
+  syncPayload("SYNC_SET_ROUND_ALLOWLIST", {
+    roundId: String(roundId),
+    investorAddress: normalizeAddress(entry.investorAddress),
+    capUsdc: String(entry.capUsdc),
+  });
+
+const chunkSyncBatch = (payloads) => {
+  const chunks = [];
+  for (let start = 0; start < payloads.length; start += SYNC_BATCH_MAX_SIZE) {
+    chunks.push(syncPayload("SYNC_BATCH", { batches: payloads.slice(start, start + SYNC_BATCH_MAX_SIZE) }));
+  }
+  return chunks;
+};
+
+// Batch Company* actions. Every item is merged and its SYNC_* payloads built before anything is
+// written, then the valid items are stored one by one; a failing item is reported and skipped
+// without blocking the rest. `prepareItem(item)` returns { recordId, patch, buildPayloads(state) }.
+const runCompanyBatch = async (store, items, field, { prepareItem, apiUrl, dryRun }) => {
+  const staged = new Map();
+  const results = [];
+  for (const [index, item] of items.entries()) {
+    try {
+      const { recordId, patch, buildPayloads } = prepareItem(item);
+      const definedPatch = withoutUndefined(patch);
+      const current = staged.has(recordId) ? staged.get(recordId) : await getRecord(store, recordId);
+      const merged = mergeRecord(current, recordId, definedPatch);
+      const syncPayloads = apiUrl ? buildPayloads(merged) : [];
+      staged.set(recordId, merged);
+      results.push({ index, recordId, status: "valid", data: merged, patch: definedPatch, syncPayloads });
+    } catch (error) {
+      results.push({ index, status: "failed", error: error.message });
+    }
+  }
+
+  if (!dryRun) {
+    for (const result of results.filter(({ status }) => status === "valid")) {
+      try {
+        result.data = await upsertRecord(store, result.recordId, result.patch);
+        result.status = "stored";
+      } catch (error) {
+        Object.assign(result, { status: "failed", error: error.message, data: null });
+      }
+    }
+  }
+
+  const syncPayloads = results.flatMap((result) => (result.status === "failed" ? [] : result.syncPayloads));
+  return {
+    results: results.map(({ index, recordId, status, data, error }) => ({ index, recordId, status, data, error })),
+    errors: results
+      .filter(({ status }) => status === "failed")
+      .map(({ index, error }) => ({ field: `${field}[${index}]`, message: error })),
+    syncBatches: chunkSyncBatch(syncPayloads),
+  };
+};
+
+// One dispatch per SYNC_BATCH chunk, in order, so a later chunk never overtakes an earlier one.
+const dispatchSyncBatches = async (store, apiUrl, syncBatches, origin) => {
+  const syncResponses = [];
+  for (const payload of syncBatches) {
+    syncResponses.push(await dispatchSyncPayload(store, apiUrl, payload, origin));
+  }
+  return syncResponses;
+};
+
+// Response of a Company* action called with `dryRun: true`: the merged record(s) and the SYNC_*
+// payloads the call would send. A payload that cannot be built is reported, not thrown.
+const buildDryRunResult = (data, buildPayloads, validationErrors = []) => {
+  const errors = [...validationErrors];
+  let syncPayloads = [];
+  try {
+    syncPayloads = buildPayloads();
+  } catch (error) {
+    errors.push({ field: "syncPayloads", message: error.message });
+  }
+  return {
+    message: "Dry run: nothing was stored or sent to CRE",
+    dryRun: true,
+    valid: errors.length === 0,
+    errors,
+    syncPayloads,
+    data,
+  };
+};
+
+// Fields Reconcile compares per entity type. Fields the Lambda never stored, or that come from a
+// contract without a configured address, are skipped.
+const RECONCILE_FIELDS = {
+  employee: [
+    "kycVerified",
+    "identityAddress",
+    "country",
+    "employed",
+    "walletFrozen",
+    "cliffEndTimestamp",
+    "goalId",
+    "goalRequired",
+  ],
+  investor: ["kycVerified", "identityAddress", "country", "authorized", "lockupUntil"],
+  round: ["status", "startTime", "endTime", "tokenPriceUsdc6", "maxUsdc"],
+  purchase: ["status", "roundId", "buyer", "usdcAmount", "aceTransferRef"],
+};
+
+const RECONCILE_READERS = {
+  employee: (chain, record) => chain.readEmployee(record.employeeAddress),
+  investor: (chain, record) => chain.readInvestor(record.investorAddress),
+  round: (chain, record) => chain.readRound(record.roundId),
+  purchase: (chain, record) => chain.readPurchase(record.purchaseId),
+};
+
+const DEFAULT_COMPANY_CONTRACTS = Object.fromEntries(
+  Object.entries(CONTRACT_ENV_VARS).map(([contract, envVar]) => [contract, process.env[envVar] || ""]),
+);
+
+// Contract name (a CONTRACT_ENV_VARS key) -> address for the store's company; unset ones are "".
+const companyContracts = async (store) => {
+  if (!store.companyId) {
+    return DEFAULT_COMPANY_CONTRACTS;
+  }
+  const config = await getRecord(store, COMPANY_CONFIG_RECORD_ID);
+  return Object.fromEntries(
+    Object.keys(CONTRACT_ENV_VARS).map((contract) => [contract, config?.contracts?.[contract] || ""]),
+  );
+};
+
+const normalizeContracts = (contracts) =>
+  Object.fromEntries(Object.entries(contracts).map(([contract, value]) => [contract, normalizeAddress(value)]));
+
+// Name of the company's contract at `contractAddress`, or null.
+const contractNameOf = async (store, contractAddress) =>
+  Object.entries(await companyContracts(store)).find(
+    ([, configured]) => configured && normalizeAddress(configured) === normalizeAddress(contractAddress),
+  )?.[0] ?? null;
+
+const reconcileValue = (value) =>
+  value == null || value === ZERO_ADDRESS || value === ZERO_BYTES32 ? null : String(value).toLowerCase();
+
+const diffRecord = (entityType, record, onchain) => {
+  // Rounds and purchases that do not exist on chain read back as status "none".
+  if (onchain.status === "none") {
+    return [{ field: "status", lambda: record.status ?? null, onchain: "none" }];
+  }
+  return RECONCILE_FIELDS[entityType]
+    .filter((field) => record[field] !== undefined && onchain[field] !== undefined)
+    .filter((field) => reconcileValue(record[field]) !== reconcileValue(onchain[field]))
+    .map((field) => ({ field, lambda: record[field], onchain: onchain[field] }));
+};
+
+const differsIn = (differences, fields) => differences.some(({ field }) => fields.includes(field));
+
+// SYNC_* payloads that bring the chain in line with the Lambda record, built with the same
+// builders as the Company* actions. Purchases are created and settled on chain, so they get none.
+const buildCorrectiveSyncPayloads = (entityType, record, differences) => {
+  switch (entityType) {
+    case "employee":
+      return buildSyncPayloadsFromCompanyInput(
+        {
+          syncKyc: differsIn(differences, ["kycVerified", "identityAddress", "country"]),
+          syncEmployment: differsIn(differences, ["employed"]),
+          syncFreezeWallet: differsIn(differences, ["walletFrozen"]),
+          syncClaimRequirements: differsIn(differences, ["cliffEndTimestamp", "goalId", "goalRequired"]),
+        },
+        record,
+      );
+    case "investor":
+      return buildSyncPayloadsFromInvestorInput(
+        {
+          syncKyc: differsIn(differences, ["kycVerified", "identityAddress", "country"]),
+          syncInvestorAuth: differsIn(differences, ["authorized"]),
+          syncInvestorLockup: differsIn(differences, ["lockupUntil"]),
+        },
+        record,
+      );
+    case "round": {
+      const onchainStatus = differences.find(({ field }) => field === "status")?.onchain;
+      if (onchainStatus === "none") {
+        return buildSyncPayloadsFromRoundInput(
+          { syncCreateRound: true, openRound: record.status === "open" },
+          record,
+        );
+      }
+      return buildSyncPayloadsFromRoundInput(
+        {
+          openRound: record.status === "open" && onchainStatus === "draft",
+          closeRound: record.status === "closed" && (onchainStatus === "draft" || onchainStatus === "open"),
+          cancelRound: record.status === "cancelled" && onchainStatus !== "cancelled",
+        },
+        record,
+      );
+    }
+    default:
+      return [];
+  }
+};
+
+const queueCorrectiveSync = async (store, apiUrl, entityType, record, differences) => {
+  let payloads;
+  try {
+    payloads = buildCorrectiveSyncPayloads(entityType, record, differences);
+  } catch (error) {
+    return { queuedSync: [], unresolved: error.message };
+  }
+
+  const queuedSync = [];
+  for (const payload of payloads) {
+    const entry = await enqueueSyncPayload(store, apiUrl, payload, {
+      action: "Reconcile",
+      recordId: record[PARTITION_KEY],
+    });
+    queuedSync.push({ outboxId: entry.outboxId, action: payload.action });
+  }
+  return { queuedSync };
+};
+
+// Copies the on-chain values into the Lambda record. A round or purchase missing on chain is left
+// alone: there is nothing to copy.
+const applyOnchainValues = async (store, record, differences, reconciledAt) => {
+  const patch = Object.fromEntries(
+    differences.filter(({ onchain }) => onchain !== "none").map(({ field, onchain }) => [field, onchain]),
+  );
+  if (Object.keys(patch).length === 0) {
+    return false;
+  }
+  await upsertRecord(store, record[PARTITION_KEY], { ...patch, source: "reconcile", lastReconciledAt: reconciledAt });
+  return true;
+};
+
 const handlers = {
-  readEmployee: async (client, { employeeAddress }) => {
+  readEmployee: async (store, { employeeAddress }) => {
     const recordId = employeeRecordId(employeeAddress);
-    const item = await getRecord(client, recordId);
+    const item = await getRecord(store, recordId);
     if (!item) {
       throw new Error("Employee not found");
     }
     return { data: item };
   },
 
-  listEmployees: async (client) => {
-    const command = new ScanCommand({
-      TableName: TABLE_NAME,
-      FilterExpression: "entityType = :type",
-      ExpressionAttributeValues: {
-        ":type": "employee"
+  listEmployees: async (store, params) =>
+    listByEntityType(store, "employee", {
+      ...params,
+      filters: {
+        kycVerified: toBooleanFilter(params.kycVerified),
+        employed: toBooleanFilter(params.employed),
+        walletFrozen: toBooleanFilter(params.walletFrozen),
+      },
+    }),
+
+  listInvestors: async (store, params) =>
+    listByEntityType(store, "investor", {
+      ...params,
+      filters: {
+        kycVerified: toBooleanFilter(params.kycVerified),
+        authorized: toBooleanFilter(params.authorized),
+      },
+    }),
+
+  listRounds: async (store, params) =>
+    listByEntityType(store, "round", {
+      ...params,
+      filters: { status: params.status },
+    }),
+
+  listPurchases: async (store, params) =>
+    listByEntityType(store, "purchase", {
+      ...params,
+      filters: {
+        status: params.status,
+        roundId: params.roundId !== undefined ? String(params.roundId) : undefined,
+        buyer: params.buyer !== undefined ? normalizeAddress(params.buyer) : undefined,
+      },
+    }),
+
+  listAllowlist: async (store, params) =>
+    listByEntityType(store, "roundAllowlist", {
+      ...params,
+      recordIdPrefix: params.roundId !== undefined ? `${roundRecordId(params.roundId)}:allowlist:` : undefined,
+      filters: {
+        investorAddress: params.investorAddress !== undefined ? normalizeAddress(params.investorAddress) : undefined,
+      },
+    }),
+
+  readEmployeeVesting: async (store, { employeeAddress, asOf }) => {
+    const grant = await getRecord(store, grantRecordId(employeeAddress));
+    if (!grant) throw new Error("Grant not found");
+    const employee = await getRecord(store, employeeRecordId(employeeAddress));
+    const at = Number(asOf ?? nowSeconds());
+    return { asOf: at, data: await buildEmployeeVesting(store, grant, employee, at) };
+  },
+
+  // Employees whose vested amount can be paid out now (active grant, employed, wallet not frozen,
+  // claim goal met, past the cliff), in a stable order so every DON node gets the same batch.
+  ListVestingPayouts: async (store, { asOf, limit }) => {
+    const at = Number(asOf ?? nowSeconds());
+    const batchSize = Number(limit ?? DEFAULT_VESTING_PAYOUT_LIMIT);
+    const grants = (await queryAllByEntityType(store, "grant")).sort((a, b) =>
+      a.employeeAddress.localeCompare(b.employeeAddress),
+    );
+
+    const payouts = [];
+    const skipped = {};
+    for (const grant of grants) {
+      const employee = await getRecord(store, employeeRecordId(grant.employeeAddress));
+      const vesting = await buildEmployeeVesting(store, grant, employee, at);
+      const blocker = await vestingPayoutBlocker(store, employee, vesting);
+      if (blocker) {
+        skipped[blocker] = (skipped[blocker] || 0) + 1;
+        continue;
+      }
+      payouts.push({
+        employeeAddress: grant.employeeAddress,
+        amount: vesting.claimableAmount,
+        vestedAmount: vesting.vestedAmount,
+        claimedAmount: vesting.claimedAmount,
+        paidOutAmount: vesting.paidOutAmount,
+      });
+    }
+
+    return {
+      asOf: at,
+      batchId: `vesting-${at}`,
+      hasMore: payouts.length > batchSize,
+      skipped,
+      data: payouts.slice(0, batchSize),
+    };
+  },
+
+  // Results of a vesting driver batch. Each (batchId, employee) is recorded once, so the copies
+  // every DON node sends add a sent amount to the grant's paidOutAmount only once.
+  // The first copy of a result is kept, except that a `sent` replaces a `failed`: a node that saw
+  // the transfer go through outranks one that did not, and the amount must not be listed again.
+  RecordVestingPayouts: async (store, { batchId, payouts }) => {
+    const results = [];
+    for (const payout of payouts) {
+      const recordId = vestingPayoutRecordId(batchId, payout.employeeAddress);
+      const item = {
+        [PARTITION_KEY]: recordId,
+        entityType: "vestingPayout",
+        batchId: String(batchId),
+        employeeAddress: normalizeAddress(payout.employeeAddress),
+        amount: String(payout.amount),
+        status: payout.status,
+        error: payout.error ?? null,
+        recordedAt: new Date().toISOString(),
+      };
+      // A sent result and its paidOutAmount increment are one transaction, so a failed write
+      // leaves neither behind and a retried copy is recorded instead of counted as a duplicate.
+      const recorded =
+        payout.status === "sent"
+          ? (await incrementRecord(
+              store,
+              grantRecordId(payout.employeeAddress),
+              { paidOutAmount: payout.amount },
+              { lastPaidOutAmount: String(payout.amount), lastPayoutBatchId: String(batchId) },
+              async () => {
+                const existing = await getRecord(store, recordId);
+                if (existing && existing.status !== "failed") {
+                  return null;
+                }
+                const condition = existing ? { equals: { status: "failed" } } : buildVersionCondition(null);
+                return [{ put: toStoredItem(item), condition }];
+              },
+            )) !== null
+          : await putPayoutRecord(store, item, buildVersionCondition(null));
+      if (!recorded) {
+        results.push({ recordId, status: payout.status, duplicate: true });
+        continue;
       }
-    });
 
-    const { Items } = await client.send(command);
-    return { data: Items || [] };
+      results.push({ recordId, status: payout.status, duplicate: false });
+    }
+
+    return {
+      message: "Vesting payouts recorded",
+      recordedCount: results.filter(({ duplicate }) => !duplicate).length,
+      data: results,
+    };
   },
 
-  readInvestor: async (client, { investorAddress }) => {
+  readInvestor: async (store, { investorAddress }) => {
     const recordId = investorRecordId(investorAddress);
-    const item = await getRecord(client, recordId);
+    const item = await getRecord(store, recordId);
     if (!item) throw new Error("Investor not found");
     return { data: item };
   },
 
-  readRound: async (client, { roundId }) => {
+  readRound: async (store, { roundId }) => {
     const recordId = roundRecordId(roundId);
-    const item = await getRecord(client, recordId);
+    const item = await getRecord(store, recordId);
     if (!item) throw new Error("Round not found");
-    return { data: item };
+    return { data: item, usage: await buildRoundUsage(store, item) };
+  },
+
+  readRoundAllowlist: async (store, { roundId, investorAddress }) => {
+    const normalizedInvestor = investorAddress !== undefined ? normalizeAddress(investorAddress) : undefined;
+    const entries = await buildAllowlistUsage(store, roundId, normalizedInvestor);
+    if (normalizedInvestor && entries.length === 0) throw new Error("Allowlist entry not found");
+    return { roundId: String(roundId), data: entries };
   },
 
-  readPurchase: async (client, { purchaseId }) => {
+  readCompanyConfig: async (store) => ({
+    companyId: store.companyId ?? DEFAULT_COMPANY_ID,
+    data: await getRecord(store, COMPANY_CONFIG_RECORD_ID),
+  }),
+
+  readOnchainConfig: async (store) => {
+    const [market, oracles, complianceAgents, trustedCounterparties] = await Promise.all([
+      getRecord(store, MARKET_CONFIG_RECORD_ID),
+      queryAllByEntityType(store, "oracle"),
+      queryAllByEntityType(store, "complianceAgent"),
+      queryAllByEntityType(store, "trustedCounterparty"),
+    ]);
+    return { data: { market, oracles, complianceAgents, trustedCounterparties } };
+  },
+
+  readPurchase: async (store, { purchaseId }) => {
     const recordId = purchaseRecordId(purchaseId);
-    const item = await getRecord(client, recordId);
+    const item = await getRecord(store, recordId);
     if (!item) throw new Error("Purchase not found");
     return { data: item };
   },
 
-  CompanyEmployeeInput: async (client, params) => {
+  readEmployeeHistory: async (store, params) =>
+    readHistory(store, employeeRecordId(params.employeeAddress), params),
+
+  readInvestorHistory: async (store, params) =>
+    readHistory(store, investorRecordId(params.investorAddress), params),
+
+  readRoundHistory: async (store, params) =>
+    readHistory(store, roundRecordId(params.roundId), params),
+
+  readPurchaseHistory: async (store, params) =>
+    readHistory(store, purchaseRecordId(params.purchaseId), params),
+
+  readSyncOutboxEntry: async (store, { outboxId }) => {
+    const entry = await getOutboxEntry(store, outboxId);
+    return { data: entry };
+  },
+
+  listSyncOutbox: async (store, params) =>
+    listByEntityType(store, "syncOutbox", {
+      ...params,
+      filters: { status: params.status !== undefined ? String(params.status) : undefined },
+    }),
+
+  CompanyEmployeeInput: async (store, params) => {
     const normalizedEmployeeAddress = normalizeAddress(params.employeeAddress);
     const recordId = employeeRecordId(normalizedEmployeeAddress);
     const patch = pickCompanyPatch(params);
     const now = new Date().toISOString();
 
-    const employeeState = await upsertRecord(client, recordId, {
-      ...patch,
-      employeeAddress: normalizedEmployeeAddress,
-      entityType: "employee",
-      lastCompanyUpdateAt: now,
-      source: "company",
-    });
+    const employeeState = await saveCompanyRecord(
+      store,
+      recordId,
+      {
+        ...patch,
+        employeeAddress: normalizedEmployeeAddress,
+        entityType: "employee",
+        lastCompanyUpdateAt: now,
+        source: "company",
+      },
+      params.dryRun,
+    );
+
+    if (params.dryRun) {
+      return {
+        ...buildDryRunResult(employeeState, () =>
+          params.apiUrl ? buildSyncPayloadsFromCompanyInput(params, employeeState) : [],
+        ),
+        recordId,
+      };
+    }
 
     let syncResponses = [];
     if (params.apiUrl) {
       const payloads = buildSyncPayloadsFromCompanyInput(params, employeeState);
       syncResponses = await Promise.all(
-        payloads.map(async (payload) => {
-          const response = await postJson(params.apiUrl, payload);
-          return {
-            action: payload.action,
-            statusCode: response.statusCode,
-            responseBody: response.body,
-          };
-        }),
+        payloads.map((payload) =>
+          dispatchSyncPayload(store, params.apiUrl, payload, { action: "CompanyEmployeeInput", recordId }),
+        ),
       );
     }
 
     return {
-      message: "Company input persisted",
-      recordId,
+      message: "Company input persisted",
+      recordId,
+      syncTriggered: syncResponses.length,
+      syncResponses,
+      data: employeeState,
+    };
+  },
+
+  CompanyEmployeeBatchInput: async (store, { employees, apiUrl, dryRun }) => {
+    const now = new Date().toISOString();
+    const { results, errors, syncBatches } = await runCompanyBatch(store, employees, "employees", {
+      apiUrl,
+      dryRun,
+      prepareItem: (params) => {
+        const normalizedEmployeeAddress = normalizeAddress(params.employeeAddress);
+        return {
+          recordId: employeeRecordId(normalizedEmployeeAddress),
+          patch: {
+            ...pickCompanyPatch(params),
+            employeeAddress: normalizedEmployeeAddress,
+            entityType: "employee",
+            lastCompanyUpdateAt: now,
+            source: "company",
+          },
+          buildPayloads: (employeeState) => buildSyncPayloadsFromCompanyInput(params, employeeState),
+        };
+      },
+    });
+
+    if (dryRun) {
+      return buildDryRunResult(results, () => syncBatches, errors);
+    }
+
+    const syncResponses = await dispatchSyncBatches(store, apiUrl, syncBatches, {
+      action: "CompanyEmployeeBatchInput",
+    });
+
+    return {
+      message: "Batch company input persisted",
+      processedCount: results.length - errors.length,
+      failedCount: errors.length,
+      syncTriggered: syncResponses.length,
+      syncResponses,
+      data: results,
+    };
+  },
+
+  CompanyInvestorInput: async (store, params) => {
+    const normalizedInvestorAddress = normalizeAddress(params.investorAddress);
+    const recordId = investorRecordId(normalizedInvestorAddress);
+    const now = new Date().toISOString();
+
+    const investorState = await saveCompanyRecord(store, recordId, buildInvestorPatch(params, now), params.dryRun);
+
+    if (params.dryRun) {
+      return {
+        ...buildDryRunResult(investorState, () =>
+          params.apiUrl ? buildSyncPayloadsFromInvestorInput(params, investorState) : [],
+        ),
+        recordId,
+      };
+    }
+
+    let syncResponses = [];
+    if (params.apiUrl) {
+      const payloads = buildSyncPayloadsFromInvestorInput(params, investorState);
+      syncResponses = await Promise.all(
+        payloads.map((payload) =>
+          dispatchSyncPayload(store, params.apiUrl, payload, { action: "CompanyInvestorInput", recordId }),
+        ),
+      );
+    }
+
+    return {
+      message: "Investor input persisted",
+      recordId,
+      syncTriggered: syncResponses.length,
+      syncResponses,
+      data: investorState,
+    };
+  },
+
+  // Settings of the calling company. Its `apiUrl` is used by every action that takes an apiUrl and
+  // is called without one.
+  CompanyConfigInput: async (store, params) => {
+    const config = await saveCompanyRecord(
+      store,
+      COMPANY_CONFIG_RECORD_ID,
+      {
+        entityType: "companyConfig",
+        companyId: store.companyId ?? DEFAULT_COMPANY_ID,
+        name: params.name,
+        apiUrl: params.apiUrl,
+        contracts: params.contracts && normalizeContracts(params.contracts),
+        source: "company",
+      },
+      params.dryRun,
+    );
+    if (params.dryRun) {
+      return { ...buildDryRunResult(config, () => []), recordId: COMPANY_CONFIG_RECORD_ID };
+    }
+    return { message: "Company config persisted", recordId: COMPANY_CONFIG_RECORD_ID, data: config };
+  },
+
+  // Employment ends, unvested grant amounts are forfeited as of the termination time and on-chain
+  // claims close, all in one SYNC_BATCH. With freezeGraceSeconds the wallet freeze waits until
+  // terminationTimestamp + freezeGraceSeconds and is sent by ApplyDueWalletFreezes.
+  CompanyEmployeeOffboard: async (store, params) => {
+    const recordId = employeeRecordId(params.employeeAddress);
+    const current = await getRecord(store, recordId);
+    if (!current) {
+      throw new Error("Employee not found");
+    }
+
+    const now = nowSeconds();
+    const terminationTimestamp = Number(params.terminationTimestamp ?? now);
+    const freezeDueAt =
+      params.freezeWallet === true ? terminationTimestamp + Number(params.freezeGraceSeconds ?? 0) : null;
+    const freezeNow = freezeDueAt !== null && freezeDueAt <= now;
+
+    const grantId = grantRecordId(params.employeeAddress);
+    const grant = await getRecord(store, grantId);
+    const offboardedGrant = grant ? await buildOffboardedGrant(store, grant, current, terminationTimestamp) : null;
+
+    const employeeState = await saveCompanyRecord(
+      store,
+      recordId,
+      {
+        employed: false,
+        terminationTimestamp,
+        terminationReason: params.reason,
+        forfeitedAmount: offboardedGrant ? offboardedGrant.vesting.unvestedAmount : undefined,
+        walletFrozen: freezeNow ? true : undefined,
+        walletFreezeDueAt: freezeDueAt === null ? undefined : freezeNow ? null : freezeDueAt,
+        lastCompanyUpdateAt: new Date().toISOString(),
+        source: "company",
+      },
+      params.dryRun,
+    );
+    const grantState = offboardedGrant
+      ? await saveCompanyRecord(store, grantId, offboardedGrant.patch, params.dryRun)
+      : null;
+
+    const data = { employee: employeeState, grant: grantState, vesting: offboardedGrant?.vesting ?? null };
+    const buildPayloads = () => (params.apiUrl ? buildOffboardingSyncPayloads(employeeState, { freezeNow }) : []);
+    if (params.dryRun) {
+      return { ...buildDryRunResult(data, buildPayloads), recordId };
+    }
+
+    const syncResponses = await dispatchSyncBatches(store, params.apiUrl, buildPayloads(), {
+      action: "CompanyEmployeeOffboard",
+      recordId,
+    });
+
+    return {
+      message: "Employee offboarded",
+      recordId,
+      walletFreezeDueAt: freezeNow ? null : freezeDueAt,
+      syncTriggered: syncResponses.length,
+      syncResponses,
+      data,
+    };
+  },
+
+  // Sends the wallet freezes CompanyEmployeeOffboard deferred whose grace window has ended. An
+  // employee who was re-employed in the meantime is left alone.
+  ApplyDueWalletFreezes: async (store, params) => {
+    const asOf = Number(params.asOf ?? nowSeconds());
+    const employees = await queryAllByEntityType(store, "employee");
+    const due = employees
+      .filter(({ walletFreezeDueAt, employed }) => walletFreezeDueAt != null && Number(walletFreezeDueAt) <= asOf && employed !== true)
+      .sort((a, b) => a.employeeAddress.localeCompare(b.employeeAddress));
+
+    for (const employee of due) {
+      await upsertRecord(store, employeeRecordId(employee.employeeAddress), {
+        walletFrozen: true,
+        walletFreezeDueAt: null,
+        lastCompanyUpdateAt: new Date().toISOString(),
+      });
+    }
+    const syncBatches = chunkSyncBatch(
+      due.map(({ employeeAddress }) => syncPayload("SYNC_FREEZE_WALLET", { walletAddress: employeeAddress, frozen: true })),
+    );
+    const syncResponses = await dispatchSyncBatches(store, params.apiUrl, syncBatches, {
+      action: "ApplyDueWalletFreezes",
+    });
+
+    return {
+      message: "Due wallet freezes sent",
+      asOf,
+      frozenCount: due.length,
       syncTriggered: syncResponses.length,
       syncResponses,
-      data: employeeState,
+      data: due.map(({ employeeAddress, walletFreezeDueAt }) => ({ employeeAddress, walletFreezeDueAt })),
     };
   },
 
-  CompanyEmployeeBatchInput: async (client, { employees, apiUrl }) => {
-    const now = new Date().toISOString();
-    const allSyncPayloads = [];
-    const results = [];
-
-    for (const params of employees) {
-      const normalizedEmployeeAddress = normalizeAddress(params.employeeAddress);
-      const recordId = employeeRecordId(normalizedEmployeeAddress);
-      const patch = pickCompanyPatch(params);
-
-      const employeeState = await upsertRecord(client, recordId, {
-        ...patch,
-        employeeAddress: normalizedEmployeeAddress,
-        entityType: "employee",
-        lastCompanyUpdateAt: now,
-        source: "company",
-      });
-
-      if (apiUrl) {
-        const payloads = buildSyncPayloadsFromCompanyInput(params, employeeState);
-        allSyncPayloads.push(...payloads);
-      }
+  // Grants live in the Lambda only: the contracts have no grant to sync, so there is no apiUrl.
+  CompanyGrantInput: async (store, params) => {
+    const recordId = grantRecordId(params.employeeAddress);
+    const patch = withoutUndefined({
+      entityType: "grant",
+      employeeAddress: normalizeAddress(params.employeeAddress),
+      totalAmount: params.totalAmount !== undefined ? String(params.totalAmount) : undefined,
+      schedule: params.schedule,
+      startTimestamp: params.startTimestamp !== undefined ? Number(params.startTimestamp) : undefined,
+      cliffEndTimestamp: params.cliffEndTimestamp !== undefined ? Number(params.cliffEndTimestamp) : undefined,
+      durationSeconds: params.durationSeconds !== undefined ? Number(params.durationSeconds) : undefined,
+      periodSeconds: params.periodSeconds !== undefined ? Number(params.periodSeconds) : undefined,
+      periodCount: params.periodCount !== undefined ? Number(params.periodCount) : undefined,
+      goalTranches: params.goalTranches?.map(({ goalId, amount }) => ({
+        goalId: String(goalId).toLowerCase(),
+        amount: String(amount),
+      })),
+      source: "company",
+    });
 
-      results.push({ recordId, data: employeeState });
+    const errors = grantScheduleErrors(mergeRecord(await getRecord(store, recordId), recordId, patch));
+    if (errors.length > 0) {
+      throw new ValidationError("Invalid parameters for action CompanyGrantInput", errors);
     }
 
-    let syncResponse = null;
-    if (apiUrl && allSyncPayloads.length > 0) {
-      const batchPayload = {
-        action: "SYNC_BATCH",
-        batches: allSyncPayloads,
-      };
-      const response = await postJson(apiUrl, batchPayload);
-      syncResponse = {
-        action: "SYNC_BATCH",
-        statusCode: response.statusCode,
-        responseBody: response.body,
-      };
+    const grant = await saveCompanyRecord(store, recordId, patch, params.dryRun);
+    if (params.dryRun) {
+      return { ...buildDryRunResult(grant, () => []), recordId };
     }
-
-    return {
-      message: "Batch company input persisted",
-      processedCount: results.length,
-      syncTriggered: allSyncPayloads.length > 0 ? 1 : 0,
-      syncResponse,
-      data: results,
-    };
+    return { message: "Grant input persisted", recordId, data: grant };
   },
 
-  CompanyInvestorInput: async (client, params) => {
-    const normalizedInvestorAddress = normalizeAddress(params.investorAddress);
-    const recordId = investorRecordId(normalizedInvestorAddress);
+  CompanyInvestorBatchInput: async (store, { investors, apiUrl, dryRun }) => {
     const now = new Date().toISOString();
-
-    const investorState = await upsertRecord(client, recordId, {
-      entityType: "investor",
-      investorAddress: normalizedInvestorAddress,
-      identityAddress: params.identityAddress !== undefined ? normalizeAddress(params.identityAddress) : undefined,
-      country: params.country !== undefined ? Number(params.country) : undefined,
-      kycVerified: params.kycVerified !== undefined ? Boolean(params.kycVerified) : undefined,
-      authorized: params.authorized !== undefined ? Boolean(params.authorized) : undefined,
-      lockupUntil: params.lockupUntil !== undefined ? Number(params.lockupUntil) : undefined,
-      notes: params.notes,
-      source: "company",
-      lastCompanyUpdateAt: now,
+    const { results, errors, syncBatches } = await runCompanyBatch(store, investors, "investors", {
+      apiUrl,
+      dryRun,
+      prepareItem: (params) => ({
+        recordId: investorRecordId(normalizeAddress(params.investorAddress)),
+        patch: buildInvestorPatch(params, now),
+        buildPayloads: (investorState) => buildSyncPayloadsFromInvestorInput(params, investorState),
+      }),
     });
 
-    let syncResponses = [];
-    if (params.apiUrl) {
-      const payloads = buildSyncPayloadsFromInvestorInput(params, investorState);
-      syncResponses = await Promise.all(
-        payloads.map(async (payload) => {
-          const response = await postJson(params.apiUrl, payload);
-          return {
-            action: payload.action,
-            statusCode: response.statusCode,
-            responseBody: response.body,
-          };
-        }),
-      );
+    if (dryRun) {
+      return buildDryRunResult(results, () => syncBatches, errors);
     }
 
+    const syncResponses = await dispatchSyncBatches(store, apiUrl, syncBatches, {
+      action: "CompanyInvestorBatchInput",
+    });
+
     return {
-      message: "Investor input persisted",
-      recordId,
+      message: "Batch investor input persisted",
+      processedCount: results.length - errors.length,
+      failedCount: errors.length,
       syncTriggered: syncResponses.length,
       syncResponses,
-      data: investorState,
+      data: results,
     };
   },
 
-  CompanyRoundInput: async (client, params) => {
+  CompanyRoundInput: async (store, params) => {
     const recordId = roundRecordId(params.roundId);
     const now = new Date().toISOString();
-    const roundState = await upsertRecord(client, recordId, {
-      entityType: "round",
-      roundId: String(params.roundId),
-      startTime: params.startTime !== undefined ? Number(params.startTime) : undefined,
-      endTime: params.endTime !== undefined ? Number(params.endTime) : undefined,
-      tokenPriceUsdc6: params.tokenPriceUsdc6 !== undefined ? String(params.tokenPriceUsdc6) : undefined,
-      maxUsdc: params.maxUsdc !== undefined ? String(params.maxUsdc) : undefined,
-      status: params.status,
-      notes: params.notes,
-      source: "company",
-      lastCompanyUpdateAt: now,
-    });
+    assertRoundTransition(params, (await getRecord(store, recordId))?.status);
+
+    const roundState = await saveCompanyRecord(
+      store,
+      recordId,
+      {
+        entityType: "round",
+        roundId: String(params.roundId),
+        startTime: params.startTime !== undefined ? Number(params.startTime) : undefined,
+        endTime: params.endTime !== undefined ? Number(params.endTime) : undefined,
+        tokenPriceUsdc6: params.tokenPriceUsdc6 !== undefined ? String(params.tokenPriceUsdc6) : undefined,
+        maxUsdc: params.maxUsdc !== undefined ? String(params.maxUsdc) : undefined,
+        status: params.status,
+        notes: params.notes,
+        source: "company",
+        lastCompanyUpdateAt: now,
+      },
+      params.dryRun,
+    );
+
+    if (params.dryRun) {
+      return {
+        ...buildDryRunResult(roundState, () =>
+          params.apiUrl ? buildSyncPayloadsFromRoundInput(params, roundState) : [],
+        ),
+        recordId,
+      };
+    }
 
     let syncResponses = [];
     if (params.apiUrl) {
       const payloads = buildSyncPayloadsFromRoundInput(params, roundState);
       syncResponses = await Promise.all(
-        payloads.map(async (payload) => {
-          const response = await postJson(params.apiUrl, payload);
-          return {
-            action: payload.action,
-            statusCode: response.statusCode,
-            responseBody: response.body,
-          };
-        }),
+        payloads.map((payload) =>
+          dispatchSyncPayload(store, params.apiUrl, payload, { action: "CompanyRoundInput", recordId }),
+        ),
       );
     }
 
@@ -572,85 +2350,150 @@ const handlers = {
     };
   },
 
-  CompanyRoundAllowlistInput: async (client, params) => {
-    const recordId = `${roundRecordId(params.roundId)}:allowlist:${normalizeAddress(params.investorAddress)}`;
-    const entry = await upsertRecord(client, recordId, {
-      entityType: "roundAllowlist",
-      roundId: String(params.roundId),
-      investorAddress: normalizeAddress(params.investorAddress),
-      capUsdc: String(params.capUsdc),
-      source: "company",
-    });
-
-    let syncResponse = null;
-    if (params.apiUrl) {
-      const payload = {
-        action: "SYNC_SET_ROUND_ALLOWLIST",
+  CompanyRoundAllowlistInput: async (store, params) => {
+    const recordId = allowlistRecordId(params.roundId, params.investorAddress);
+    const entry = await saveCompanyRecord(
+      store,
+      recordId,
+      {
+        entityType: "roundAllowlist",
         roundId: String(params.roundId),
         investorAddress: normalizeAddress(params.investorAddress),
         capUsdc: String(params.capUsdc),
+        source: "company",
+      },
+      params.dryRun,
+    );
+    const warnings = await findCapWarnings(store, params.roundId, [params], () => "capUsdc");
+
+    if (params.dryRun) {
+      return {
+        ...buildDryRunResult(entry, () => (params.apiUrl ? [buildAllowlistSyncPayload(params.roundId, params)] : [])),
+        warnings,
       };
-      const response = await postJson(params.apiUrl, payload);
-      syncResponse = {
-        action: payload.action,
-        statusCode: response.statusCode,
-        responseBody: response.body,
-      };
+    }
+
+    let syncResponse = null;
+    if (params.apiUrl) {
+      const payload = buildAllowlistSyncPayload(params.roundId, params);
+      syncResponse = await dispatchSyncPayload(store, params.apiUrl, payload, {
+        action: "CompanyRoundAllowlistInput",
+        recordId,
+      });
     }
 
     return {
       message: "Round allowlist input persisted",
       syncTriggered: syncResponse ? 1 : 0,
       syncResponse,
+      warnings,
       data: entry,
     };
   },
 
-  CompanyRoundAllowlistBatchInput: async (client, { roundId, entries, apiUrl }) => {
-    const results = [];
-    for (const entry of entries) {
-      const recordId = `${roundRecordId(roundId)}:allowlist:${normalizeAddress(entry.investorAddress)}`;
-      const saved = await upsertRecord(client, recordId, {
-        entityType: "roundAllowlist",
-        roundId: String(roundId),
-        investorAddress: normalizeAddress(entry.investorAddress),
-        capUsdc: String(entry.capUsdc),
-        source: "company",
-      });
-      results.push(saved);
-    }
-
-    let syncResponse = null;
-    if (apiUrl && entries.length > 0) {
-      const batchPayload = {
-        action: "SYNC_BATCH",
-        batches: entries.map((entry) => ({
-          action: "SYNC_SET_ROUND_ALLOWLIST",
+  CompanyRoundAllowlistBatchInput: async (store, { roundId, entries, apiUrl, dryRun }) => {
+    const { results, errors, syncBatches } = await runCompanyBatch(store, entries, "entries", {
+      apiUrl,
+      dryRun,
+      prepareItem: (entry) => ({
+        recordId: allowlistRecordId(roundId, entry.investorAddress),
+        patch: {
+          entityType: "roundAllowlist",
           roundId: String(roundId),
           investorAddress: normalizeAddress(entry.investorAddress),
           capUsdc: String(entry.capUsdc),
-        })),
-      };
-      const response = await postJson(apiUrl, batchPayload);
-      syncResponse = {
-        action: "SYNC_BATCH",
-        statusCode: response.statusCode,
-        responseBody: response.body,
-      };
+          source: "company",
+        },
+        buildPayloads: () => [buildAllowlistSyncPayload(roundId, entry)],
+      }),
+    });
+
+    const warnings = await findCapWarnings(store, roundId, entries, (index) => `entries[${index}].capUsdc`);
+
+    if (dryRun) {
+      return { ...buildDryRunResult(results, () => syncBatches, errors), warnings };
     }
 
+    const syncResponses = await dispatchSyncBatches(store, apiUrl, syncBatches, {
+      action: "CompanyRoundAllowlistBatchInput",
+      recordId: roundRecordId(roundId),
+    });
+
     return {
       message: "Round allowlist batch persisted",
-      processedCount: results.length,
-      syncTriggered: syncResponse ? 1 : 0,
-      syncResponse,
+      processedCount: results.length - errors.length,
+      failedCount: errors.length,
+      syncTriggered: syncResponses.length,
+      syncResponses,
+      warnings,
       data: results,
     };
   },
 
-  MarketPurchaseSettlementInput: async (client, { purchaseId, aceTransferRef, apiUrl }) => {
+  // Rows that fail their schema are reported and left out; the rest go through the batch action
+  // of the entity type, so an import stores and syncs exactly what that action would.
+  CompanyImport: async (store, { entityType, format, content, columns, roundId, apiUrl, dryRun }) => {
+    const target = IMPORT_TARGETS[entityType];
+    if (entityType === "allowlist" && roundId == null) {
+      throw new ValidationError("Missing required parameters for action CompanyImport", [
+        { field: "roundId", message: "is required for allowlist imports" },
+      ]);
+    }
+
+    let parsedRows;
+    try {
+      parsedRows = parseImportRows(format, content);
+    } catch (error) {
+      throw new ValidationError("Invalid parameters for action CompanyImport", [
+        { field: "content", message: error.message },
+      ]);
+    }
+
+    const ignoredColumns = new Set();
+    const rows = [];
+    const items = [];
+    for (const { line, row, error } of parsedRows) {
+      if (error) {
+        rows.push({ line, status: "invalid", errors: [{ field: "line", message: error }] });
+        continue;
+      }
+      const { item, ignored } = mapImportRow(row, target.schema, columns);
+      ignored.forEach((column) => ignoredColumns.add(column));
+      const errors = schemaErrors(target.schema, item);
+      if (errors.length > 0) {
+        rows.push({ line, status: "invalid", errors });
+        continue;
+      }
+      rows.push({ line, itemIndex: items.length });
+      items.push(item);
+    }
+
+    const batchResult = await handlers[target.action](store, { [target.itemsField]: items, roundId, apiUrl, dryRun });
+    const data = rows.map(({ itemIndex, ...row }) => {
+      if (itemIndex === undefined) {
+        return row;
+      }
+      const { recordId, status, error } = batchResult.data[itemIndex];
+      return error ? { ...row, recordId, status, errors: [{ field: "row", message: error }] } : { ...row, recordId, status };
+    });
+    const errors = data.flatMap(({ line, errors: rowErrors = [] }) => rowErrors.map((error) => ({ line, ...error })));
+
+    return {
+      ...batchResult,
+      message: dryRun ? batchResult.message : `Imported ${entityType} rows`,
+      ...(dryRun && { valid: errors.length === 0 }),
+      totalRows: rows.length,
+      invalidCount: rows.length - items.length,
+      failedCount: data.filter(({ status }) => status === "failed").length,
+      errors,
+      ignoredColumns: [...ignoredColumns],
+      data,
+    };
+  },
+
+  MarketPurchaseSettlementInput: async (store, { purchaseId, aceTransferRef, apiUrl }) => {
     const recordId = aceSettlementRecordId(purchaseId);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "aceSettlement",
       purchaseId: String(purchaseId),
       aceTransferRef: String(aceTransferRef),
@@ -660,17 +2503,14 @@ const handlers = {
 
     let syncResponse = null;
     if (apiUrl) {
-      const payload = {
-        action: "SYNC_MARK_PURCHASE_SETTLED",
+      const payload = syncPayload("SYNC_MARK_PURCHASE_SETTLED", {
         purchaseId: String(purchaseId),
         aceTransferRef: String(aceTransferRef),
-      };
-      const response = await postJson(apiUrl, payload);
-      syncResponse = {
-        action: payload.action,
-        statusCode: response.statusCode,
-        responseBody: response.body,
-      };
+      });
+      syncResponse = await dispatchSyncPayload(store, apiUrl, payload, {
+        action: "MarketPurchaseSettlementInput",
+        recordId,
+      });
     }
 
     return {
@@ -681,14 +2521,11 @@ const handlers = {
     };
   },
 
-  MarketPurchaseRefundInput: async (client, { purchaseId, reason, apiUrl }) => {
-    const normalizedReason =
-      typeof reason === "string" && /^0x[0-9a-fA-F]{64}$/.test(reason)
-        ? reason
-        : "0x4d414e55414c5f524546554e4400000000000000000000000000000000000000";
+  MarketPurchaseRefundInput: async (store, { purchaseId, reason, apiUrl }) => {
+    const normalizedReason = reason ?? MANUAL_REFUND_REASON;
 
     const recordId = aceSettlementRecordId(purchaseId);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "aceSettlement",
       purchaseId: String(purchaseId),
       refundReason: String(normalizedReason),
@@ -698,17 +2535,14 @@ const handlers = {
 
     let syncResponse = null;
     if (apiUrl) {
-      const payload = {
-        action: "SYNC_REFUND_PURCHASE",
+      const payload = syncPayload("SYNC_REFUND_PURCHASE", {
         purchaseId: String(purchaseId),
         reason: String(normalizedReason),
-      };
-      const response = await postJson(apiUrl, payload);
-      syncResponse = {
-        action: payload.action,
-        statusCode: response.statusCode,
-        responseBody: response.body,
-      };
+      });
+      syncResponse = await dispatchSyncPayload(store, apiUrl, payload, {
+        action: "MarketPurchaseRefundInput",
+        recordId,
+      });
     }
 
     return {
@@ -719,8 +2553,51 @@ const handlers = {
     };
   },
 
-  ManualSyncToCre: async (_client, { apiUrl, payload }) => {
-    const response = await postJson(apiUrl, payload);
+  ListOverduePurchases: async (store, params) => {
+    const asOf = Number(params.asOf ?? nowSeconds());
+    const overdue = await findOverduePurchases(store, { ...params, asOf });
+    return { asOf, count: overdue.length, data: overdue };
+  },
+
+  // Meant for a schedule, like DrainSyncOutbox. A purchase is refunded once: later runs skip it
+  // while the outbox delivers the refund and PurchaseRefunded is awaited.
+  RefundOverduePurchases: async (store, params) => {
+    const asOf = Number(params.asOf ?? nowSeconds());
+    const overdue = await findOverduePurchases(store, { ...params, asOf });
+    const results = [];
+    for (const purchase of overdue.filter(({ refundRequestedAt }) => !refundRequestedAt)) {
+      const recordId = purchaseRecordId(purchase.purchaseId);
+      await upsertRecord(store, recordId, { refundRequestedAt: new Date().toISOString() });
+      await upsertRecord(store, aceSettlementRecordId(purchase.purchaseId), {
+        entityType: "aceSettlement",
+        purchaseId: String(purchase.purchaseId),
+        refundReason: SETTLEMENT_TIMEOUT_REFUND_REASON,
+        status: "pending-refund-sync",
+        source: "settlement-timeout",
+      });
+      const payload = syncPayload("SYNC_REFUND_PURCHASE", {
+        purchaseId: String(purchase.purchaseId),
+        reason: SETTLEMENT_TIMEOUT_REFUND_REASON,
+      });
+      const syncResponse = await dispatchSyncPayload(store, params.apiUrl, payload, {
+        action: "RefundOverduePurchases",
+        recordId,
+      });
+      results.push({ purchaseId: purchase.purchaseId, settlementDeadline: purchase.settlementDeadline, syncResponse });
+    }
+
+    return {
+      message: "Overdue purchase refunds queued",
+      asOf,
+      overdueCount: overdue.length,
+      refundsTriggered: results.length,
+      data: results,
+    };
+  },
+
+  ManualSyncToCre: async (store, { apiUrl, payload }) => {
+    const requestId = `manual:${randomUUID()}`;
+    const response = await postJson(apiUrl, signSyncPayload(withCompanyId(store, payload), requestId, requestId));
     return {
       message: "Manual payload synced to CRE",
       statusCode: response.statusCode,
@@ -728,9 +2605,172 @@ const handlers = {
     };
   },
 
-  IdentityRegistered: async (client, { employeeAddress, identityAddress, country }) => {
+  DrainSyncOutbox: async (store, { limit }) => {
+    const now = new Date().toISOString();
+    const maxEntries = Number(limit ?? OUTBOX_DRAIN_DEFAULT_LIMIT);
+    const pending = await queryAllByEntityType(store, "syncOutbox", { status: "pending" });
+    // Entries still "delivering" after their lease belong to an invocation that died mid-delivery.
+    const abandoned = (await queryAllByEntityType(store, "syncOutbox", { status: "delivering" })).filter(
+      (entry) => !hasLiveLease(entry, now),
+    );
+
+    const due = [...pending.filter((entry) => !entry.nextAttemptAt || entry.nextAttemptAt <= now), ...abandoned]
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .slice(0, maxEntries);
+
+    // Sequential on purpose: entries are delivered to CRE in creation order. An entry whose claim
+    // fails is being delivered by another invocation and is skipped.
+    const results = [];
+    let skipped = 0;
+    for (const entry of due) {
+      const claimed = await claimOutboxEntry(store, entry);
+      if (!claimed) {
+        skipped += 1;
+        continue;
+      }
+      results.push(toSyncResponse(await deliverOutboxEntry(store, claimed)));
+    }
+
+    const countByStatus = (status) => results.filter((result) => result.deliveryStatus === status).length;
+    return {
+      message: "Sync outbox drained",
+      attempted: results.length,
+      delivered: countByStatus("delivered"),
+      failed: countByStatus("failed"),
+      skipped,
+      stillPending: pending.length + abandoned.length - results.length - skipped + countByStatus("pending"),
+      data: results,
+    };
+  },
+
+  ReplaySyncOutboxEntry: async (store, { outboxId, apiUrl }) => {
+    const entry = await getOutboxEntry(store, outboxId);
+    if (entry.status === "delivered") {
+      throw new Error(`Outbox entry conflict: ${outboxId} was already delivered`);
+    }
+
+    const claimed = hasLiveLease(entry) ? null : await claimOutboxEntry(store, entry, apiUrl ? { apiUrl } : {});
+    if (!claimed) {
+      throw new Error(`Outbox entry conflict: ${outboxId} is being delivered`);
+    }
+
+    const replayed = await deliverOutboxEntry(store, claimed);
+    return {
+      message: "Outbox entry replayed",
+      syncResponse: toSyncResponse(replayed),
+      data: replayed.entry,
+    };
+  },
+
+  DiscardSyncOutboxEntry: async (store, { outboxId, reason }) => {
+    const entry = await getOutboxEntry(store, outboxId);
+    if (entry.status === "delivered") {
+      throw new Error(`Outbox entry conflict: ${outboxId} was already delivered`);
+    }
+    if (hasLiveLease(entry)) {
+      throw new Error(`Outbox entry conflict: ${outboxId} is being delivered`);
+    }
+
+    const updated = await upsertRecord(store, entry[PARTITION_KEY], {
+      status: "discarded",
+      nextAttemptAt: null,
+      leaseExpiresAt: null,
+      discardedAt: new Date().toISOString(),
+      discardReason: reason !== undefined ? String(reason) : null,
+    });
+    return { message: "Outbox entry discarded", data: updated };
+  },
+
+  Reconcile: async (store, { rpcUrl, mode = "report", entityTypes = RECONCILE_ENTITY_TYPES, apiUrl }) => {
+    const errors = [];
+    if (!rpcUrl && !RPC_URL) {
+      errors.push({ field: "rpcUrl", message: "is required when RPC_URL is not set" });
+    }
+    if (mode === "queueSync" && !apiUrl) {
+      errors.push({ field: "apiUrl", message: "is required when mode is queueSync" });
+    }
+    const contracts = await companyContracts(store);
+    if (store.companyId && !Object.values(contracts).some(Boolean)) {
+      errors.push({ field: "companyId", message: "has no contracts: set them with CompanyConfigInput" });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError("Invalid parameters for action Reconcile", errors);
+    }
+
+    const chain = createChainReader({ rpcUrl: rpcUrl || RPC_URL, contracts });
+    const reconciledAt = new Date().toISOString();
+    const checked = {};
+    const results = [];
+
+    for (const entityType of entityTypes) {
+      const records = await queryAllByEntityType(store, entityType);
+      checked[entityType] = records.length;
+
+      // Sequential on purpose: one RPC batch in flight at a time.
+      for (const record of records) {
+        const recordId = record[PARTITION_KEY];
+        let differences;
+        try {
+          differences = diffRecord(entityType, record, await RECONCILE_READERS[entityType](chain, record));
+        } catch (error) {
+          results.push({ entityType, recordId, error: error.message });
+          continue;
+        }
+        if (differences.length === 0) {
+          continue;
+        }
+
+        const result = { entityType, recordId, differences };
+        if (mode === "queueSync") {
+          Object.assign(result, await queueCorrectiveSync(store, apiUrl, entityType, record, differences));
+        }
+        if (mode === "updateLambda") {
+          result.updated = await applyOnchainValues(store, record, differences, reconciledAt);
+        }
+        results.push(result);
+      }
+    }
+
+    return {
+      message: "Reconciliation completed",
+      mode,
+      contracts: chain.configuredContracts,
+      checked,
+      driftCount: results.filter((result) => result.differences).length,
+      errorCount: results.filter((result) => result.error).length,
+      data: results,
+    };
+  },
+
+  // Every record is read in one invocation, so all reports describe the same moment (`generatedAt`).
+  Export: async (store, { reports = EXPORT_REPORTS, format = "json" }) => {
+    const generatedAt = new Date().toISOString();
+    const [employees, goals, investors, rounds, allowlist, purchases, vault] = await Promise.all([
+      queryAllByEntityType(store, "employee"),
+      queryAllByEntityType(store, "goal"),
+      queryAllByEntityType(store, "investor"),
+      queryAllByEntityType(store, "round"),
+      queryAllByEntityType(store, "roundAllowlist"),
+      queryAllByEntityType(store, "purchase"),
+      getRecord(store, "vault:main"),
+    ]);
+    const rows = buildReports(reports, { employees, goals, investors, rounds, allowlist, purchases, vault });
+
+    return {
+      message: "Export generated",
+      generatedAt,
+      format,
+      rowCounts: Object.fromEntries(Object.entries(rows).map(([report, reportRows]) => [report, reportRows.length])),
+      reports:
+        format === "csv"
+          ? Object.fromEntries(Object.entries(rows).map(([report, reportRows]) => [report, toCsv(report, reportRows)]))
+          : rows,
+    };
+  },
+
+  IdentityRegistered: async (store, { employeeAddress, identityAddress, country }) => {
     const recordId = employeeRecordId(employeeAddress);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "employee",
       employeeAddress: normalizeAddress(employeeAddress),
       identityAddress: normalizeAddress(identityAddress),
@@ -741,9 +2781,9 @@ const handlers = {
     return { message: "IdentityRegistered synced from onchain", data: updated };
   },
 
-  IdentityRemoved: async (client, { employeeAddress }) => {
+  IdentityRemoved: async (store, { employeeAddress }) => {
     const recordId = employeeRecordId(employeeAddress);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "employee",
       employeeAddress: normalizeAddress(employeeAddress),
       identityAddress: null,
@@ -753,9 +2793,9 @@ const handlers = {
     return { message: "IdentityRemoved synced from onchain", data: updated };
   },
 
-  CountryUpdated: async (client, { employeeAddress, country }) => {
+  CountryUpdated: async (store, { employeeAddress, country }) => {
     const recordId = employeeRecordId(employeeAddress);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "employee",
       employeeAddress: normalizeAddress(employeeAddress),
       country: Number(country),
@@ -764,9 +2804,9 @@ const handlers = {
     return { message: "CountryUpdated synced from onchain", data: updated };
   },
 
-  EmploymentStatusUpdated: async (client, { employeeAddress, employed }) => {
+  EmploymentStatusUpdated: async (store, { employeeAddress, employed }) => {
     const recordId = employeeRecordId(employeeAddress);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "employee",
       employeeAddress: normalizeAddress(employeeAddress),
       employed: Boolean(employed),
@@ -775,42 +2815,70 @@ const handlers = {
     return { message: "Employment status synced from onchain", data: updated };
   },
 
-  PrivateDeposit: async (client, { amount }) => {
+  PrivateDeposit: async (store, { amount }) => {
     const recordId = "vault:main";
-    const current = (await getRecord(client, recordId)) || {};
-    const totalDeposited = parseBigInt(current.totalDeposited || "0") + parseBigInt(amount);
-
-    const updated = await upsertRecord(client, recordId, {
-      ...current,
+    const updated = await incrementRecord(store, recordId, { totalDeposited: amount }, {
       entityType: "vault",
-      totalDeposited: totalDeposited.toString(),
       lastDepositAmount: String(amount),
       lastOnchainEvent: "PrivateDeposit",
     });
     return { message: "PrivateDeposit synced from onchain", data: updated };
   },
 
-  TicketRedeemed: async (client, { employeeAddress, amount }) => {
-    const recordId = employeeRecordId(employeeAddress);
-    const current = (await getRecord(client, recordId)) || {};
-    const claimedBefore = parseBigInt(current.claimedAmount || "0");
-    const claimedAfter = claimedBefore + parseBigInt(amount);
+  TicketRedeemed: async (store, { employeeAddress, amount }) => {
+    const updated = await recordClaim(store, employeeAddress, amount, "TicketRedeemed");
+    return { message: "TicketRedeemed synced from onchain", data: updated };
+  },
 
-    const updated = await upsertRecord(client, recordId, {
-      ...current,
+  TokensClaimed: async (store, { employeeAddress, amount }) => {
+    const updated = await recordClaim(store, employeeAddress, amount, "TokensClaimed");
+    return { message: "TokensClaimed synced from onchain", data: updated };
+  },
+
+  // A new grant replaces the previous one's amount and lifts a revocation; its schedule is kept.
+  GrantCreated: async (store, { employeeAddress, amount }) => {
+    const grant = await upsertRecord(store, grantRecordId(employeeAddress), {
+      entityType: "grant",
+      employeeAddress: normalizeAddress(employeeAddress),
+      totalAmount: String(amount),
+      status: "active",
+      revokedAt: null,
+      forfeitedAmount: null,
+      lastOnchainEvent: "GrantCreated",
+    });
+    const updated = await upsertRecord(store, employeeRecordId(employeeAddress), {
       entityType: "employee",
       employeeAddress: normalizeAddress(employeeAddress),
-      claimedAmount: claimedAfter.toString(),
-      lastClaimedAmount: String(amount),
-      lastOnchainEvent: "TicketRedeemed",
+      grantTotalAmount: String(amount),
+      lastOnchainEvent: "GrantCreated",
     });
+    return { message: "GrantCreated synced from onchain", data: updated, grant };
+  },
 
-    return { message: "TicketRedeemed synced from onchain", data: updated };
+  GrantRevoked: async (store, { employeeAddress, amountForfeited }) => {
+    // An offboarded grant was already revoked at the termination time, which is kept.
+    const current = await getRecord(store, grantRecordId(employeeAddress));
+    const grant = await upsertRecord(store, grantRecordId(employeeAddress), {
+      entityType: "grant",
+      employeeAddress: normalizeAddress(employeeAddress),
+      status: "revoked",
+      revokedAt: current?.status === "revoked" && current.revokedAt != null ? current.revokedAt : nowSeconds(),
+      forfeitedAmount: String(amountForfeited),
+      lastOnchainEvent: "GrantRevoked",
+    });
+    const updated = await upsertRecord(store, employeeRecordId(employeeAddress), {
+      entityType: "employee",
+      employeeAddress: normalizeAddress(employeeAddress),
+      employed: false,
+      lastRevokedAmount: String(amountForfeited),
+      lastOnchainEvent: "GrantRevoked",
+    });
+    return { message: "GrantRevoked synced from onchain", data: updated, grant };
   },
 
-  GoalUpdated: async (client, { goalId, achieved }) => {
+  GoalUpdated: async (store, { goalId, achieved }) => {
     const recordId = goalRecordId(goalId);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "goal",
       goalId: String(goalId),
       achieved: Boolean(achieved),
@@ -819,9 +2887,57 @@ const handlers = {
     return { message: "GoalUpdated synced from onchain", data: updated };
   },
 
-  InvestorAuthorizationUpdated: async (client, { investorAddress, authorized }) => {
+  ClaimRequirementsUpdated: async (store, { employeeAddress, cliffEndTimestamp, goalId, goalRequired }) => {
+    const recordId = employeeRecordId(employeeAddress);
+    const updated = await upsertRecord(store, recordId, {
+      entityType: "employee",
+      employeeAddress: normalizeAddress(employeeAddress),
+      cliffEndTimestamp: Number(cliffEndTimestamp),
+      goalId: String(goalId),
+      goalRequired: Boolean(goalRequired),
+      lastOnchainEvent: "ClaimRequirementsUpdated",
+    });
+    return { message: "Claim requirements synced from onchain", data: updated };
+  },
+
+  OracleStatusUpdated: async (store, { contractAddress, oracleAddress, authorized }) => {
+    const recordId = oracleRecordId(contractAddress, oracleAddress);
+    const updated = await upsertRecord(store, recordId, {
+      entityType: "oracle",
+      contractAddress: normalizeAddress(contractAddress),
+      contract: await contractNameOf(store, contractAddress),
+      oracleAddress: normalizeAddress(oracleAddress),
+      authorized: Boolean(authorized),
+      lastOnchainEvent: "OracleStatusUpdated",
+    });
+    return { message: "Oracle status synced from onchain", data: updated };
+  },
+
+  AgentUpdated: async (store, { agentAddress, authorized }) => {
+    const recordId = complianceAgentRecordId(agentAddress);
+    const updated = await upsertRecord(store, recordId, {
+      entityType: "complianceAgent",
+      agentAddress: normalizeAddress(agentAddress),
+      authorized: Boolean(authorized),
+      lastOnchainEvent: "AgentUpdated",
+    });
+    return { message: "Compliance agent synced from onchain", data: updated };
+  },
+
+  TrustedCounterpartyUpdated: async (store, { accountAddress, trusted }) => {
+    const recordId = trustedCounterpartyRecordId(accountAddress);
+    const updated = await upsertRecord(store, recordId, {
+      entityType: "trustedCounterparty",
+      accountAddress: normalizeAddress(accountAddress),
+      trusted: Boolean(trusted),
+      lastOnchainEvent: "TrustedCounterpartyUpdated",
+    });
+    return { message: "Trusted counterparty synced from onchain", data: updated };
+  },
+
+  InvestorAuthorizationUpdated: async (store, { investorAddress, authorized }) => {
     const recordId = investorRecordId(investorAddress);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "investor",
       investorAddress: normalizeAddress(investorAddress),
       authorized: Boolean(authorized),
@@ -830,9 +2946,9 @@ const handlers = {
     return { message: "Investor authorization synced from onchain", data: updated };
   },
 
-  InvestorLockupUpdated: async (client, { investorAddress, lockupUntil }) => {
+  InvestorLockupUpdated: async (store, { investorAddress, lockupUntil }) => {
     const recordId = investorRecordId(investorAddress);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "investor",
       investorAddress: normalizeAddress(investorAddress),
       lockupUntil: Number(lockupUntil),
@@ -841,9 +2957,9 @@ const handlers = {
     return { message: "Investor lockup synced from onchain", data: updated };
   },
 
-  RoundCreated: async (client, { roundId, startTime, endTime, tokenPriceUsdc6, maxUsdc }) => {
+  RoundCreated: async (store, { roundId, startTime, endTime, tokenPriceUsdc6, maxUsdc }) => {
     const recordId = roundRecordId(roundId);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "round",
       roundId: String(roundId),
       startTime: Number(startTime),
@@ -856,9 +2972,9 @@ const handlers = {
     return { message: "RoundCreated synced from onchain", data: updated };
   },
 
-  RoundOpened: async (client, { roundId }) => {
+  RoundOpened: async (store, { roundId }) => {
     const recordId = roundRecordId(roundId);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "round",
       roundId: String(roundId),
       status: "open",
@@ -867,9 +2983,9 @@ const handlers = {
     return { message: "RoundOpened synced from onchain", data: updated };
   },
 
-  RoundClosed: async (client, { roundId }) => {
+  RoundClosed: async (store, { roundId }) => {
     const recordId = roundRecordId(roundId);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "round",
       roundId: String(roundId),
       status: "closed",
@@ -878,9 +2994,54 @@ const handlers = {
     return { message: "RoundClosed synced from onchain", data: updated };
   },
 
-  PurchaseRequested: async (client, { purchaseId, roundId, buyer, usdcAmount, aceRecipientCommitment }) => {
+  RoundCancelled: async (store, { roundId }) => {
+    const recordId = roundRecordId(roundId);
+    const updated = await upsertRecord(store, recordId, {
+      entityType: "round",
+      roundId: String(roundId),
+      status: "cancelled",
+      lastOnchainEvent: "RoundCancelled",
+    });
+    return { message: "RoundCancelled synced from onchain", data: updated };
+  },
+
+  // The market emits the allowlist cap it stored, so the on-chain value replaces the company's.
+  RoundAllowlistUpdated: async (store, { roundId, investorAddress, capUsdc }) => {
+    const recordId = allowlistRecordId(roundId, investorAddress);
+    const updated = await upsertRecord(store, recordId, {
+      entityType: "roundAllowlist",
+      roundId: String(roundId),
+      investorAddress: normalizeAddress(investorAddress),
+      capUsdc: String(capUsdc),
+      lastOnchainEvent: "RoundAllowlistUpdated",
+    });
+    return { message: "Round allowlist synced from onchain", data: updated };
+  },
+
+  TreasuryUpdated: async (store, { treasury }) => {
+    const updated = await upsertRecord(store, MARKET_CONFIG_RECORD_ID, {
+      entityType: "marketConfig",
+      treasury: normalizeAddress(treasury),
+      lastOnchainEvent: "TreasuryUpdated",
+    });
+    return { message: "Market treasury synced from onchain", data: updated };
+  },
+
+  SettlementTimeoutUpdated: async (store, { settlementTimeoutSeconds }) => {
+    const updated = await upsertRecord(store, MARKET_CONFIG_RECORD_ID, {
+      entityType: "marketConfig",
+      settlementTimeoutSeconds: Number(settlementTimeoutSeconds),
+      lastOnchainEvent: "SettlementTimeoutUpdated",
+    });
+    return { message: "Market settlement timeout synced from onchain", data: updated };
+  },
+
+  PurchaseRequested: async (store, { purchaseId, roundId, buyer, usdcAmount, aceRecipientCommitment }) => {
     const recordId = purchaseRecordId(purchaseId);
-    const updated = await upsertRecord(client, recordId, {
+    const requestedAt = nowSeconds();
+    const marketConfig = await getRecord(store, MARKET_CONFIG_RECORD_ID);
+    const settlementTimeoutSeconds = marketConfig?.settlementTimeoutSeconds ?? PRIVATE_ROUNDS_SETTLEMENT_TIMEOUT_SECONDS;
+    const updated = await upsertRecord(store, recordId, {
       entityType: "purchase",
       purchaseId: String(purchaseId),
       roundId: String(roundId),
@@ -888,14 +3049,16 @@ const handlers = {
       usdcAmount: String(usdcAmount),
       aceRecipientCommitment: String(aceRecipientCommitment),
       status: "pending",
+      requestedAt,
+      settlementDeadline: requestedAt + settlementTimeoutSeconds,
       lastOnchainEvent: "PurchaseRequested",
     });
     return { message: "PurchaseRequested synced from onchain", data: updated };
   },
 
-  PurchaseSettled: async (client, { purchaseId, aceTransferRef, usdcAmount, treasury }) => {
+  PurchaseSettled: async (store, { purchaseId, aceTransferRef, usdcAmount, treasury }) => {
     const recordId = purchaseRecordId(purchaseId);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "purchase",
       purchaseId: String(purchaseId),
       aceTransferRef: String(aceTransferRef),
@@ -904,7 +3067,7 @@ const handlers = {
       status: "settled",
       lastOnchainEvent: "PurchaseSettled",
     });
-    await upsertRecord(client, aceSettlementRecordId(purchaseId), {
+    await upsertRecord(store, aceSettlementRecordId(purchaseId), {
       entityType: "aceSettlement",
       purchaseId: String(purchaseId),
       aceTransferRef: String(aceTransferRef),
@@ -914,9 +3077,9 @@ const handlers = {
     return { message: "PurchaseSettled synced from onchain", data: updated };
   },
 
-  PurchaseRefunded: async (client, { purchaseId, buyer, usdcAmount, reason }) => {
+  PurchaseRefunded: async (store, { purchaseId, buyer, usdcAmount, reason }) => {
     const recordId = purchaseRecordId(purchaseId);
-    const updated = await upsertRecord(client, recordId, {
+    const updated = await upsertRecord(store, recordId, {
       entityType: "purchase",
       purchaseId: String(purchaseId),
       buyer: normalizeAddress(buyer),
@@ -925,7 +3088,7 @@ const handlers = {
       status: "refunded",
       lastOnchainEvent: "PurchaseRefunded",
     });
-    await upsertRecord(client, aceSettlementRecordId(purchaseId), {
+    await upsertRecord(store, aceSettlementRecordId(purchaseId), {
       entityType: "aceSettlement",
       purchaseId: String(purchaseId),
       refundReason: String(reason),
@@ -936,8 +3099,11 @@ const handlers = {
   },
 };
 
+// Invoked through the AWS API (e.g. an EventBridge schedule) rather than over HTTP.
+const isDirectInvocation = (event) => Boolean(event && typeof event === "object" && event.action && !event.body);
+
 const parseEventParams = (event) => {
-  if (event && typeof event === "object" && event.action && !event.body) {
+  if (isDirectInvocation(event)) {
     return event;
   }
 
@@ -956,14 +3122,54 @@ const parseEventParams = (event) => {
   return {};
 };
 
-export const handler = async (event) => {
-  if (!AWS_REGION) {
+let defaultStore;
+
+// The configured store is created on first use and shared by warm invocations.
+const getDefaultStore = () => {
+  defaultStore ??= createStore({
+    backend: STORAGE_BACKEND,
+    region: AWS_REGION,
+    tableName: TABLE_NAME,
+    partitionKey: PARTITION_KEY,
+    historyIndexName: HISTORY_INDEX_NAME,
+    entityTypeIndexName: ENTITY_TYPE_INDEX_NAME,
+    sqlitePath: SQLITE_PATH,
+  }).catch((error) => {
+    defaultStore = undefined;
+    throw error;
+  });
+  return defaultStore;
+};
+
+// The company's view of the store: the default company uses the table as it is.
+const storeForCompany = (store, company) =>
+  company === DEFAULT_COMPANY_ID ? store : createCompanyStore(store, company, { partitionKey: PARTITION_KEY });
+
+// Actions that take an apiUrl sync to the company's configured one when none is given.
+const withCompanyApiUrl = async (store, action, params) => {
+  if (!ACTION_SCHEMAS[action]?.apiUrl || params.apiUrl !== undefined) {
+    return params;
+  }
+  const config = await getRecord(store, COMPANY_CONFIG_RECORD_ID);
+  return config?.apiUrl ? { ...params, apiUrl: config.apiUrl } : params;
+};
+
+// Builds a handler bound to `store`; without one, the store configured by STORAGE_BACKEND is used.
+export const createHandler = (store) => async (event) => {
+  if (!store && STORAGE_BACKEND === "dynamodb" && !AWS_REGION) {
     return buildResponse(STATUS_BAD_REQUEST, {
       error: "AWS region is missing. Set AWS_REGION env var or yourAwsRegion constant.",
     });
   }
 
-  const client = DynamoDBDocumentClient.from(new DynamoDBClient({ region: AWS_REGION }));
+  let caller = null;
+  if (AUTH_CLIENTS && !isDirectInvocation(event)) {
+    try {
+      caller = authenticateRequest(event, AUTH_CLIENTS, { maxSkewSeconds: AUTH_MAX_SKEW_SECONDS });
+    } catch (error) {
+      return buildResponse(STATUS_UNAUTHORIZED, { error: error.message });
+    }
+  }
 
   let params;
   try {
@@ -980,9 +3186,35 @@ export const handler = async (event) => {
     });
   }
 
+  if (caller) {
+    try {
+      authorizeAction(action, caller.role, ACTION_ROLES);
+    } catch (error) {
+      return buildResponse(STATUS_FORBIDDEN, { error: error.message });
+    }
+  }
+
+  // Dry runs write nothing, not even the request nonce.
+  const dryRun = params.dryRun === true && Boolean(ACTION_SCHEMAS[action]?.dryRun);
+
   try {
-    validateParams(action, params);
-    const result = await handlers[action](client, params);
+    const activeStore = store || (await getDefaultStore());
+    if (caller?.nonce && !dryRun) {
+      await assertFreshNonce(activeStore, caller, params);
+    }
+    // The company is checked first: its id becomes part of every record key.
+    validateParams(action, params, { companyId });
+    const company = params.companyId ?? caller?.companyId ?? DEFAULT_COMPANY_ID;
+    if (caller) {
+      authorizeCompany(company, caller);
+    }
+    const companyStore = storeForCompany(activeStore, company);
+    const actionParams = await withCompanyApiUrl(companyStore, action, params);
+
+    validateParams(action, actionParams, ACTION_SCHEMAS[action]);
+    const result = hasEventIdentity(actionParams)
+      ? await processEventOnce(companyStore, action, actionParams)
+      : await handlers[action](companyStore, actionParams);
     return buildResponse(STATUS_OK, result);
   } catch (error) {
     console.error("Error:", error);
@@ -992,12 +3224,43 @@ export const handler = async (event) => {
       message === "Employee not found" ||
       message === "Investor not found" ||
       message === "Round not found" ||
-      message === "Purchase not found"
+      message === "Purchase not found" ||
+      message === "Allowlist entry not found" ||
+      message === "Grant not found" ||
+      message === "Outbox entry not found"
     ) {
       return buildResponse(STATUS_NOT_FOUND, { error: message });
     }
 
-    if (message.startsWith("Missing required parameters")) {
+    if (message.startsWith("Unauthorized")) {
+      return buildResponse(STATUS_UNAUTHORIZED, { error: message });
+    }
+
+    if (message.startsWith("Forbidden")) {
+      return buildResponse(STATUS_FORBIDDEN, { error: message });
+    }
+
+    if (
+      message.startsWith("Outbox entry conflict") ||
+      message.startsWith("Concurrent update conflict") ||
+      message.startsWith("Event identity conflict")
+    ) {
+      return buildResponse(STATUS_CONFLICT, { error: message });
+    }
+
+    if (error instanceof ValidationError && dryRun) {
+      return buildResponse(STATUS_OK, buildDryRunResult(null, () => [], error.errors));
+    }
+
+    if (error instanceof ValidationError) {
+      return buildResponse(STATUS_BAD_REQUEST, { error: message, errors: error.errors });
+    }
+
+    if (
+      message.startsWith("Invalid event identity") ||
+      message.startsWith("Invalid cursor") ||
+      message.startsWith("Invalid limit")
+    ) {
       return buildResponse(STATUS_BAD_REQUEST, { error: message });
     }
 
@@ -1011,3 +3274,5 @@ export const handler = async (event) => {
     });
   }
 };
+
+export const handler = createHandler();
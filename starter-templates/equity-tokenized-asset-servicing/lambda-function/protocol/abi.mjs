@@ -0,0 +1,168 @@
+// Minimal ABI codec for the types the receiver protocol uses: address, bool, bytes32, uint8/16/64/256,
+// bytes and bytes[]. It has no dependencies so the Lambda, the workflow bundle and the E2E scripts can
+// all load it; the output is byte-for-byte what viem's encodeAbiParameters produces. Unlike viem it
+// does not verify address checksums.
+const WORD_HEX = 64;
+const WORD_BYTES = 32;
+
+const UINT_BITS = { uint8: 8, uint16: 16, uint64: 64, uint256: 256 };
+
+const strip0x = (hex) => (hex.startsWith("0x") ? hex.slice(2) : hex);
+const padLeft = (hex) => hex.padStart(WORD_HEX, "0");
+const padRight = (hex) => hex.padEnd(Math.ceil(hex.length / WORD_HEX) * WORD_HEX, "0");
+const encodeLength = (length) => padLeft(length.toString(16));
+
+const isDynamic = (type) => type === "bytes" || type.endsWith("[]");
+
+// "address employee, bool verified" -> ["address", "bool"]
+export const parseLayout = (layout) =>
+  layout
+    .split(",")
+    .map((param) => param.trim().split(/\s+/)[0])
+    .filter(Boolean);
+
+const encodeUint = (value, bits) => {
+  let parsed;
+  try {
+    parsed = BigInt(value);
+  } catch {
+    throw new Error(`Invalid uint${bits} value: ${value}`);
+  }
+  if (parsed < 0n || parsed >= 1n << BigInt(bits)) {
+    throw new Error(`Value ${value} is out of range for uint${bits}`);
+  }
+  return padLeft(parsed.toString(16));
+};
+
+const encodeStatic = (type, value) => {
+  if (UINT_BITS[type]) {
+    return encodeUint(value, UINT_BITS[type]);
+  }
+  switch (type) {
+    case "address":
+      if (typeof value !== "string" || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        throw new Error(`Invalid address value: ${value}`);
+      }
+      return padLeft(strip0x(value).toLowerCase());
+    case "bool":
+      if (typeof value !== "boolean") {
+        throw new Error(`Invalid bool value: ${value}`);
+      }
+      return padLeft(value ? "1" : "0");
+    case "bytes32":
+      if (typeof value !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(value)) {
+        throw new Error(`Invalid bytes32 value: ${value}`);
+      }
+      return strip0x(value).toLowerCase();
+    default:
+      throw new Error(`Unsupported ABI type: ${type}`);
+  }
+};
+
+const encodeValue = (type, value) => {
+  if (type === "bytes") {
+    if (typeof value !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(value)) {
+      throw new Error(`Invalid bytes value: ${value}`);
+    }
+    const data = strip0x(value).toLowerCase();
+    return encodeLength(data.length / 2) + padRight(data);
+  }
+  if (type.endsWith("[]")) {
+    if (!Array.isArray(value)) {
+      throw new Error(`Invalid ${type} value: expected an array`);
+    }
+    const itemType = type.slice(0, -2);
+    return encodeLength(value.length) + encodeTuple(value.map(() => itemType), value);
+  }
+  return encodeStatic(type, value);
+};
+
+const encodeTuple = (types, values) => {
+  const headBytes = types.length * WORD_BYTES;
+  let head = "";
+  let tail = "";
+  types.forEach((type, index) => {
+    const encoded = encodeValue(type, values[index]);
+    if (isDynamic(type)) {
+      head += encodeLength(headBytes + tail.length / 2);
+      tail += encoded;
+    } else {
+      head += encoded;
+    }
+  });
+  return head + tail;
+};
+
+export const encodeParameters = (layout, values) => {
+  const types = parseLayout(layout);
+  if (types.length !== values.length) {
+    throw new Error(`Expected ${types.length} values for (${layout}), got ${values.length}`);
+  }
+  return `0x${encodeTuple(types, values)}`;
+};
+
+const readWord = (data, byteOffset) => {
+  const word = data.slice(byteOffset * 2, byteOffset * 2 + WORD_HEX);
+  if (word.length !== WORD_HEX) {
+    throw new Error("ABI data is too short");
+  }
+  return word;
+};
+
+const readLength = (data, byteOffset) => {
+  const length = BigInt(`0x${readWord(data, byteOffset)}`);
+  if (length > BigInt(data.length)) {
+    throw new Error("ABI data has an invalid length or offset");
+  }
+  return Number(length);
+};
+
+const decodeStatic = (type, word) => {
+  if (UINT_BITS[type]) {
+    const value = BigInt(`0x${word}`);
+    if (value >= 1n << BigInt(UINT_BITS[type])) {
+      throw new Error(`Value is out of range for ${type}`);
+    }
+    return value;
+  }
+  switch (type) {
+    case "address":
+      return `0x${word.slice(24)}`;
+    case "bool":
+      return BigInt(`0x${word}`) !== 0n;
+    case "bytes32":
+      return `0x${word}`;
+    default:
+      throw new Error(`Unsupported ABI type: ${type}`);
+  }
+};
+
+const decodeDynamic = (type, data, start) => {
+  const length = readLength(data, start);
+  if (type === "bytes") {
+    const bytes = data.slice((start + WORD_BYTES) * 2, (start + WORD_BYTES + length) * 2);
+    if (bytes.length !== length * 2) {
+      throw new Error("ABI data is too short");
+    }
+    return `0x${bytes}`;
+  }
+  const itemType = type.slice(0, -2);
+  return decodeTuple(Array(length).fill(itemType), data, start + WORD_BYTES);
+};
+
+const decodeTuple = (types, data, base) =>
+  types.map((type, index) => {
+    const word = readWord(data, base + index * WORD_BYTES);
+    if (isDynamic(type)) {
+      return decodeDynamic(type, data, base + readLength(data, base + index * WORD_BYTES));
+    }
+    return decodeStatic(type, word);
+  });
+
+// Values come back as bigint for uints, lowercase hex for addresses and bytes.
+export const decodeParameters = (layout, hex) => {
+  if (typeof hex !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(hex)) {
+    throw new Error("ABI data must be a 0x-prefixed hex string");
+  }
+  return decodeTuple(parseLayout(layout), strip0x(hex).toLowerCase(), 0);
+};
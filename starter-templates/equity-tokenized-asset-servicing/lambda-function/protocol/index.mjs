@@ -0,0 +1,638 @@
+// Shared definition of the receiver protocol: every SYNC_* action's name, numeric action type, ABI
+// layout and fields, plus the contract events the workflow forwards to the Lambda. The workflow, the
+// E2E scripts and the Lambda all import it, so an action is added or changed in one place.
+//
+// Reports sent to the receiver are abi.encode(uint8 actionType, bytes payload), where `payload` is
+// abi.encode of the action's fields in the order listed below. A report may be wrapped in a request
+// report that names the request it came from (see encodeRequestInstruction).
+import { decodeParameters, encodeParameters } from "./abi.mjs";
+
+export { decodeParameters, encodeParameters } from "./abi.mjs";
+
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+export const ZERO_BYTES32 = "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+const REPORT_LAYOUT = "uint8 actionType, bytes payload";
+
+// Action type of a request report: abi.encode(bytes32 requestId, bytes report). The receiver runs the
+// inner report once per requestId and ignores every later report with the same id.
+export const REQUEST_ACTION_TYPE = 19;
+const REQUEST_LAYOUT = "bytes32 requestId, bytes report";
+
+// Company a SYNC_* payload or a forwarded event belongs to when one Lambda serves several companies.
+// Payloads and events of the deployment's default company carry no companyId.
+export const COMPANY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+// Accepts bigint, safe integer numbers and decimal strings; anything else is null.
+export const parseUint = (value) => {
+  if (typeof value === "bigint") {
+    return value >= 0n ? value : null;
+  }
+  if (typeof value === "number") {
+    return Number.isSafeInteger(value) && value >= 0 ? BigInt(value) : null;
+  }
+  if (typeof value === "string" && /^\d+$/.test(value)) {
+    return BigInt(value);
+  }
+  return null;
+};
+
+const uintCheck = (bits, message) => (value) => {
+  const parsed = parseUint(value);
+  return parsed !== null && parsed < 1n << BigInt(bits) ? null : message;
+};
+
+// Field type checks: each returns null when the value is valid, otherwise an error message.
+export const FIELD_TYPES = {
+  address: (value) =>
+    typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value) ? null : "must be a 0x-prefixed 20-byte address",
+  bool: (value) => (typeof value === "boolean" ? null : "must be a boolean"),
+  bytes32: (value) =>
+    typeof value === "string" && /^0x[0-9a-fA-F]{64}$/.test(value) ? null : "must be a 0x-prefixed 32-byte hex value",
+  bytes: (value) =>
+    typeof value === "string" && /^0x([0-9a-fA-F]{2})*$/.test(value) ? null : "must be 0x-prefixed hex bytes",
+  uint16: uintCheck(16, "must be a uint16 (0-65535)"),
+  uint64: uintCheck(64, "must be a uint64"),
+  uint256: uintCheck(256, "must be a non-negative uint256 decimal string"),
+};
+
+// [field, type, { optional, positive, fallback }]; `fallback` fills an omitted optional field when
+// encoding and may be a function of the whole payload.
+const SYNC_ACTION_DEFINITIONS = {
+  SYNC_KYC: {
+    type: 0,
+    fields: [
+      ["employeeAddress", "address"],
+      ["verified", "bool"],
+      ["identityAddress", "address", { optional: true, fallback: (payload) => payload.employeeAddress }],
+      ["country", "uint16", { optional: true, fallback: 0 }],
+    ],
+    check: (payload) =>
+      payload.verified === true && payload.identityAddress == null
+        ? { field: "identityAddress", message: "is required when verified=true" }
+        : null,
+  },
+  SYNC_EMPLOYMENT_STATUS: {
+    type: 1,
+    fields: [
+      ["employeeAddress", "address"],
+      ["employed", "bool"],
+    ],
+  },
+  SYNC_GOAL: {
+    type: 2,
+    fields: [
+      ["goalId", "bytes32"],
+      ["achieved", "bool"],
+      ["employeeAddress", "address", { optional: true, fallback: ZERO_ADDRESS }],
+    ],
+  },
+  SYNC_FREEZE_WALLET: {
+    type: 3,
+    fields: [
+      ["walletAddress", "address"],
+      ["frozen", "bool"],
+    ],
+  },
+  SYNC_PRIVATE_DEPOSIT: {
+    type: 4,
+    fields: [["amount", "uint256", { positive: true }]],
+  },
+  SYNC_BATCH: {
+    type: 5,
+    fields: [["batches", "bytes[]"]],
+  },
+  SYNC_REDEEM_TICKET: {
+    type: 6,
+    fields: [
+      ["amount", "uint256", { positive: true }],
+      ["ticket", "bytes"],
+    ],
+  },
+  SYNC_MINT: {
+    type: 7,
+    fields: [
+      ["to", "address"],
+      ["amount", "uint256", { positive: true }],
+    ],
+  },
+  SYNC_SET_CLAIM_REQUIREMENTS: {
+    type: 8,
+    fields: [
+      ["employeeAddress", "address"],
+      ["cliffEndTimestamp", "uint64"],
+      ["goalId", "bytes32", { optional: true, fallback: ZERO_BYTES32 }],
+      ["goalRequired", "bool", { optional: true, fallback: false }],
+    ],
+  },
+  SYNC_SET_INVESTOR_AUTH: {
+    type: 9,
+    fields: [
+      ["investorAddress", "address"],
+      ["authorized", "bool"],
+    ],
+  },
+  SYNC_SET_INVESTOR_LOCKUP: {
+    type: 10,
+    fields: [
+      ["investorAddress", "address"],
+      ["lockupUntil", "uint64"],
+    ],
+  },
+  SYNC_CREATE_ROUND: {
+    type: 11,
+    fields: [
+      ["roundId", "uint256"],
+      ["startTime", "uint64"],
+      ["endTime", "uint64"],
+      ["tokenPriceUsdc6", "uint256"],
+      ["maxUsdc", "uint256"],
+    ],
+  },
+  SYNC_SET_ROUND_ALLOWLIST: {
+    type: 12,
+    fields: [
+      ["roundId", "uint256"],
+      ["investorAddress", "address"],
+      ["capUsdc", "uint256"],
+    ],
+  },
+  SYNC_OPEN_ROUND: {
+    type: 13,
+    fields: [["roundId", "uint256"]],
+  },
+  SYNC_CLOSE_ROUND: {
+    type: 14,
+    fields: [["roundId", "uint256"]],
+  },
+  SYNC_MARK_PURCHASE_SETTLED: {
+    type: 15,
+    fields: [
+      ["purchaseId", "uint256"],
+      ["aceTransferRef", "bytes32"],
+    ],
+  },
+  SYNC_REFUND_PURCHASE: {
+    type: 16,
+    fields: [
+      ["purchaseId", "uint256"],
+      ["reason", "bytes32", { optional: true, fallback: ZERO_BYTES32 }],
+    ],
+  },
+  SYNC_SET_TOKEN_COMPLIANCE: {
+    type: 17,
+    fields: [["complianceAddress", "address"]],
+  },
+  SYNC_CANCEL_ROUND: {
+    type: 18,
+    fields: [["roundId", "uint256"]],
+  },
+};
+
+export const SYNC_ACTIONS = Object.freeze(
+  Object.fromEntries(
+    Object.entries(SYNC_ACTION_DEFINITIONS).map(([action, definition]) => [
+      action,
+      Object.freeze({
+        ...definition,
+        action,
+        layout: definition.fields.map(([field, type]) => `${type} ${field}`).join(", "),
+      }),
+    ]),
+  ),
+);
+
+export const SYNC_ACTION_NAMES = Object.freeze(Object.keys(SYNC_ACTIONS));
+
+export const ACTION_TYPE = Object.freeze(
+  Object.fromEntries(Object.values(SYNC_ACTIONS).map(({ action, type }) => [action, type])),
+);
+
+const findAction = (action) => (Object.hasOwn(SYNC_ACTIONS, action) ? SYNC_ACTIONS[action] : null);
+
+const ACTIONS_BY_TYPE = new Map(Object.values(SYNC_ACTIONS).map((definition) => [definition.type, definition]));
+
+const checkField = (type, value, { positive } = {}) => {
+  const message = FIELD_TYPES[type](value);
+  if (message) {
+    return message;
+  }
+  return positive && parseUint(value) === 0n ? "must be greater than 0" : null;
+};
+
+/**
+ * Validates a SYNC_* payload against its definition.
+ * @param {unknown} payload
+ * @returns {Array<{ field: string, message: string }>} empty when the payload is valid
+ */
+export const validateSyncPayload = (payload, prefix = "") => {
+  if (payload === null || typeof payload !== "object" || Array.isArray(payload)) {
+    return [{ field: prefix.replace(/\.$/, "") || "payload", message: "must be an object" }];
+  }
+
+  const definition = findAction(payload.action);
+  if (!definition) {
+    return [{ field: `${prefix}action`, message: `must be one of ${SYNC_ACTION_NAMES.join(", ")}` }];
+  }
+
+  if (definition.action === "SYNC_BATCH") {
+    if (!Array.isArray(payload.batches)) {
+      return [{ field: `${prefix}batches`, message: "must be an array" }];
+    }
+    return payload.batches.flatMap((entry, index) =>
+      entry?.action === "SYNC_BATCH"
+        ? [{ field: `${prefix}batches[${index}].action`, message: "cannot nest SYNC_BATCH" }]
+        : validateSyncPayload(entry, `${prefix}batches[${index}].`),
+    );
+  }
+
+  const errors = [];
+  for (const [field, type, options = {}] of definition.fields) {
+    const value = payload[field];
+    if (value == null) {
+      if (!options.optional) {
+        errors.push({ field: `${prefix}${field}`, message: "is required" });
+      }
+      continue;
+    }
+    const message = checkField(type, value, options);
+    if (message) {
+      errors.push({ field: `${prefix}${field}`, message });
+    }
+  }
+
+  const extra = errors.length === 0 ? definition.check?.(payload) : null;
+  if (extra) {
+    errors.push({ field: `${prefix}${extra.field}`, message: extra.message });
+  }
+  return errors;
+};
+
+const formatErrors = (errors) => errors.map(({ field, message }) => `${field} ${message}`).join("; ");
+
+/**
+ * Builds a SYNC_* payload, throwing when it does not match the action's definition.
+ * @param {string} action
+ * @param {Record<string, unknown>} fields
+ * @returns {{ action: string } & Record<string, unknown>}
+ */
+export const syncPayload = (action, fields) => {
+  const payload = { action };
+  for (const [field, value] of Object.entries(fields)) {
+    if (value !== undefined && field !== "action") {
+      payload[field] = value;
+    }
+  }
+
+  const errors = validateSyncPayload(payload);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${action} payload: ${formatErrors(errors)}`);
+  }
+  return payload;
+};
+
+/**
+ * @param {{ actionType: number, payload: string }} instruction
+ * @returns {`0x${string}`} abi.encode(uint8 actionType, bytes payload)
+ */
+export const encodeActionReport = ({ actionType, payload }) => encodeParameters(REPORT_LAYOUT, [actionType, payload]);
+
+/**
+ * Encodes a SYNC_* payload into the receiver instruction.
+ * @param {{ action: string } & Record<string, unknown>} payload
+ * @returns {{ actionType: number, payload: `0x${string}` }}
+ */
+export const encodeSyncInstruction = (payload) => {
+  const errors = validateSyncPayload(payload);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${payload?.action ?? "sync"} payload: ${formatErrors(errors)}`);
+  }
+
+  const definition = findAction(payload.action);
+  if (definition.action === "SYNC_BATCH") {
+    const reports = payload.batches.map((entry) => encodeActionReport(encodeSyncInstruction(entry)));
+    return { actionType: definition.type, payload: encodeParameters(definition.layout, [reports]) };
+  }
+
+  const values = definition.fields.map(([field, , { fallback } = {}]) => {
+    const value = payload[field];
+    if (value != null) {
+      return value;
+    }
+    return typeof fallback === "function" ? fallback(payload) : fallback;
+  });
+  return { actionType: definition.type, payload: encodeParameters(definition.layout, values) };
+};
+
+/**
+ * Wraps an instruction in a request report, so the receiver executes it at most once.
+ * @param {string} requestId bytes32
+ * @param {{ actionType: number, payload: string }} instruction
+ * @returns {{ actionType: number, payload: `0x${string}` }}
+ */
+export const encodeRequestInstruction = (requestId, instruction) => ({
+  actionType: REQUEST_ACTION_TYPE,
+  payload: encodeParameters(REQUEST_LAYOUT, [requestId, encodeActionReport(instruction)]),
+});
+
+/**
+ * @param {{ action: string } & Record<string, unknown>} payload
+ * @returns {`0x${string}`} the report the receiver's onReport expects
+ */
+export const encodeSyncReport = (payload) => encodeActionReport(encodeSyncInstruction(payload));
+
+// Decoded values use the JSON shapes the payloads are written in: numbers for uint16/uint64 (decimal
+// strings past Number precision), decimal strings for uint256, lowercase hex for addresses and bytes.
+const toJsonValue = (type, value) => {
+  if (type === "uint16" || type === "uint64") {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : String(value);
+  }
+  if (type === "uint256") {
+    return String(value);
+  }
+  if (type === "bool") {
+    return Boolean(value);
+  }
+  return String(value).toLowerCase();
+};
+
+/**
+ * Decodes a receiver report back into its SYNC_* payload; a request report adds its `requestId`.
+ * @param {string} report
+ * @returns {{ action: string } & Record<string, unknown>}
+ */
+export const decodeActionReport = (report) => {
+  const [actionType, payload] = decodeParameters(REPORT_LAYOUT, report);
+  if (Number(actionType) === REQUEST_ACTION_TYPE) {
+    const [requestId, inner] = decodeParameters(REQUEST_LAYOUT, payload);
+    return { requestId: String(requestId).toLowerCase(), ...decodeActionReport(inner) };
+  }
+  const definition = ACTIONS_BY_TYPE.get(Number(actionType));
+  if (!definition) {
+    throw new Error(`Unknown action type ${actionType}`);
+  }
+
+  const values = decodeParameters(definition.layout, payload);
+  if (definition.action === "SYNC_BATCH") {
+    return { action: definition.action, batches: values[0].map(decodeActionReport) };
+  }
+  return {
+    action: definition.action,
+    ...Object.fromEntries(definition.fields.map(([field, type], index) => [field, toJsonValue(type, values[index])])),
+  };
+};
+
+const JSON_SCHEMA_TYPES = {
+  address: { type: "string", pattern: "^0x[0-9a-fA-F]{40}$" },
+  bool: { type: "boolean" },
+  bytes32: { type: "string", pattern: "^0x[0-9a-fA-F]{64}$" },
+  bytes: { type: "string", pattern: "^0x([0-9a-fA-F]{2})*$" },
+  uint16: { type: "integer", minimum: 0, maximum: 65535 },
+  uint64: { anyOf: [{ type: "integer", minimum: 0 }, { type: "string", pattern: "^\\d+$" }] },
+  uint256: { anyOf: [{ type: "integer", minimum: 0 }, { type: "string", pattern: "^\\d+$" }] },
+};
+
+/**
+ * JSON Schema for an action's JSON payload (for API clients and documentation).
+ * @param {string} action
+ * @returns {Record<string, unknown>}
+ */
+export const toJsonSchema = (action) => {
+  const definition = findAction(action);
+  if (!definition) {
+    throw new Error(`Unknown sync action ${action}`);
+  }
+
+  if (action === "SYNC_BATCH") {
+    return {
+      type: "object",
+      properties: {
+        action: { const: action },
+        batches: {
+          type: "array",
+          items: { oneOf: SYNC_ACTION_NAMES.filter((name) => name !== action).map(toJsonSchema) },
+        },
+      },
+      required: ["action", "batches"],
+    };
+  }
+
+  return {
+    type: "object",
+    properties: {
+      action: { const: action },
+      ...Object.fromEntries(definition.fields.map(([field, type]) => [field, JSON_SCHEMA_TYPES[type]])),
+    },
+    required: ["action", ...definition.fields.filter(([, , options]) => !options?.optional).map(([field]) => field)],
+  };
+};
+
+// Contract events the workflow listens to. `fields` maps each Lambda payload field to the event
+// argument it comes from and that argument's type.
+const EVENT_DEFINITIONS = {
+  IdentityRegistered: {
+    signature: "event IdentityRegistered(address indexed userAddress, address indexed identity, uint16 country)",
+    fields: [
+      ["employeeAddress", "userAddress", "address"],
+      ["identityAddress", "identity", "address"],
+      ["country", "country", "uint16"],
+    ],
+  },
+  IdentityRemoved: {
+    signature: "event IdentityRemoved(address indexed userAddress, address indexed identity)",
+    fields: [
+      ["employeeAddress", "userAddress", "address"],
+      ["identityAddress", "identity", "address"],
+    ],
+  },
+  CountryUpdated: {
+    signature: "event CountryUpdated(address indexed userAddress, uint16 country)",
+    fields: [
+      ["employeeAddress", "userAddress", "address"],
+      ["country", "country", "uint16"],
+    ],
+  },
+  EmploymentStatusUpdated: {
+    signature: "event EmploymentStatusUpdated(address indexed employee, bool employed)",
+    fields: [
+      ["employeeAddress", "employee", "address"],
+      ["employed", "employed", "bool"],
+    ],
+  },
+  GoalUpdated: {
+    signature: "event GoalUpdated(bytes32 indexed goalId, bool achieved)",
+    fields: [
+      ["goalId", "goalId", "bytes32"],
+      ["achieved", "achieved", "bool"],
+    ],
+  },
+  PrivateDeposit: {
+    signature: "event PrivateDeposit(uint256 amount)",
+    fields: [["amount", "amount", "uint256"]],
+  },
+  TicketRedeemed: {
+    signature: "event TicketRedeemed(address indexed redeemer, uint256 amount)",
+    fields: [
+      ["employeeAddress", "redeemer", "address"],
+      ["amount", "amount", "uint256"],
+    ],
+  },
+  // PrivateEmployeeEquity and PrivateRoundsMarket both emit OracleStatusUpdated(address,bool); the
+  // workflow forwards the emitting contractAddress so the Lambda can tell them apart.
+  OracleStatusUpdated: {
+    signature: "event OracleStatusUpdated(address indexed oracle, bool authorized)",
+    fields: [
+      ["oracleAddress", "oracle", "address"],
+      ["authorized", "authorized", "bool"],
+    ],
+  },
+  ClaimRequirementsUpdated: {
+    signature:
+      "event ClaimRequirementsUpdated(address indexed employee, uint64 cliffEndTimestamp, bytes32 indexed goalId, bool goalRequired)",
+    fields: [
+      ["employeeAddress", "employee", "address"],
+      ["cliffEndTimestamp", "cliffEndTimestamp", "uint64"],
+      ["goalId", "goalId", "bytes32"],
+      ["goalRequired", "goalRequired", "bool"],
+    ],
+  },
+  AgentUpdated: {
+    signature: "event AgentUpdated(address indexed agent, bool authorized)",
+    fields: [
+      ["agentAddress", "agent", "address"],
+      ["authorized", "authorized", "bool"],
+    ],
+  },
+  TrustedCounterpartyUpdated: {
+    signature: "event TrustedCounterpartyUpdated(address indexed account, bool trusted)",
+    fields: [
+      ["accountAddress", "account", "address"],
+      ["trusted", "trusted", "bool"],
+    ],
+  },
+  InvestorAuthorizationUpdated: {
+    signature: "event InvestorAuthorizationUpdated(address indexed investor, bool authorized)",
+    fields: [
+      ["investorAddress", "investor", "address"],
+      ["authorized", "authorized", "bool"],
+    ],
+  },
+  InvestorLockupUpdated: {
+    signature: "event InvestorLockupUpdated(address indexed investor, uint64 lockupUntil)",
+    fields: [
+      ["investorAddress", "investor", "address"],
+      ["lockupUntil", "lockupUntil", "uint64"],
+    ],
+  },
+  RoundCreated: {
+    signature:
+      "event RoundCreated(uint256 indexed roundId, uint64 startTime, uint64 endTime, uint256 tokenPriceUsdc6, uint256 maxUsdc)",
+    fields: [
+      ["roundId", "roundId", "uint256"],
+      ["startTime", "startTime", "uint64"],
+      ["endTime", "endTime", "uint64"],
+      ["tokenPriceUsdc6", "tokenPriceUsdc6", "uint256"],
+      ["maxUsdc", "maxUsdc", "uint256"],
+    ],
+  },
+  RoundOpened: {
+    signature: "event RoundOpened(uint256 indexed roundId)",
+    fields: [["roundId", "roundId", "uint256"]],
+  },
+  RoundClosed: {
+    signature: "event RoundClosed(uint256 indexed roundId)",
+    fields: [["roundId", "roundId", "uint256"]],
+  },
+  RoundCancelled: {
+    signature: "event RoundCancelled(uint256 indexed roundId)",
+    fields: [["roundId", "roundId", "uint256"]],
+  },
+  RoundAllowlistUpdated: {
+    signature: "event RoundAllowlistUpdated(uint256 indexed roundId, address indexed investor, uint256 capUsdc)",
+    fields: [
+      ["roundId", "roundId", "uint256"],
+      ["investorAddress", "investor", "address"],
+      ["capUsdc", "capUsdc", "uint256"],
+    ],
+  },
+  TreasuryUpdated: {
+    signature: "event TreasuryUpdated(address indexed previousTreasury, address indexed newTreasury)",
+    fields: [
+      ["previousTreasury", "previousTreasury", "address"],
+      ["treasury", "newTreasury", "address"],
+    ],
+  },
+  SettlementTimeoutUpdated: {
+    signature: "event SettlementTimeoutUpdated(uint64 previousTimeout, uint64 newTimeout)",
+    fields: [
+      ["previousTimeoutSeconds", "previousTimeout", "uint64"],
+      ["settlementTimeoutSeconds", "newTimeout", "uint64"],
+    ],
+  },
+  PurchaseRequested: {
+    signature:
+      "event PurchaseRequested(uint256 indexed purchaseId, uint256 indexed roundId, address indexed buyer, uint256 usdcAmount, bytes32 aceRecipientCommitment)",
+    fields: [
+      ["purchaseId", "purchaseId", "uint256"],
+      ["roundId", "roundId", "uint256"],
+      ["buyer", "buyer", "address"],
+      ["usdcAmount", "usdcAmount", "uint256"],
+      ["aceRecipientCommitment", "aceRecipientCommitment", "bytes32"],
+    ],
+  },
+  PurchaseSettled: {
+    signature:
+      "event PurchaseSettled(uint256 indexed purchaseId, bytes32 indexed aceTransferRef, uint256 usdcAmount, address treasury)",
+    fields: [
+      ["purchaseId", "purchaseId", "uint256"],
+      ["aceTransferRef", "aceTransferRef", "bytes32"],
+      ["usdcAmount", "usdcAmount", "uint256"],
+      ["treasury", "treasury", "address"],
+    ],
+  },
+  PurchaseRefunded: {
+    signature:
+      "event PurchaseRefunded(uint256 indexed purchaseId, address indexed buyer, uint256 usdcAmount, bytes32 reason)",
+    fields: [
+      ["purchaseId", "purchaseId", "uint256"],
+      ["buyer", "buyer", "address"],
+      ["usdcAmount", "usdcAmount", "uint256"],
+      ["reason", "reason", "bytes32"],
+    ],
+  },
+};
+
+export const EVENTS = Object.freeze(EVENT_DEFINITIONS);
+
+export const EVENT_SIGNATURES = Object.freeze(Object.values(EVENTS).map(({ signature }) => signature));
+
+// Event arguments keep the casing the decoder returned (viem checksums addresses); the Lambda
+// normalizes them when it stores the record.
+const eventFieldValue = (type, value) => {
+  if (type === "uint16" || type === "uint64") {
+    return Number(value);
+  }
+  if (type === "bool") {
+    return Boolean(value);
+  }
+  return String(value);
+};
+
+/**
+ * Maps decoded event arguments to the Lambda action payload, or null for an unknown event.
+ * @param {string} eventName
+ * @param {Record<string, unknown>} args
+ * @returns {({ action: string } & Record<string, string | number | boolean>) | null}
+ */
+export const eventPayload = (eventName, args) => {
+  const definition = Object.hasOwn(EVENTS, eventName) ? EVENTS[eventName] : null;
+  if (!definition) {
+    return null;
+  }
+  return {
+    action: eventName,
+    ...Object.fromEntries(
+      definition.fields.map(([field, argument, type]) => [field, eventFieldValue(type, args[argument])]),
+    ),
+  };
+};
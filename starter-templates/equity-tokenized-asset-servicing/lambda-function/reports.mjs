@@ -0,0 +1,135 @@
+// Cap-table and vesting reports built from the records the Lambda holds (see the Export action).
+// Amounts are uint256 decimal strings and are summed as BigInt.
+
+export const EXPORT_REPORTS = ["employees", "investors", "rounds", "vault"];
+export const EXPORT_FORMATS = ["json", "csv"];
+
+const PURCHASE_STATUSES = ["pending", "settled", "refunded"];
+
+// Column order of each report; CSV headers use the same names as the JSON rows.
+export const REPORT_COLUMNS = {
+  employees: [
+    "employeeAddress",
+    "employeeId",
+    "kycVerified",
+    "identityAddress",
+    "country",
+    "employed",
+    "walletFrozen",
+    "cliffEndTimestamp",
+    "goalId",
+    "goalRequired",
+    "goalAchieved",
+    "claimedAmount",
+    "updatedAt",
+  ],
+  investors: ["investorAddress", "kycVerified", "identityAddress", "country", "authorized", "lockupUntil", "updatedAt"],
+  rounds: [
+    "roundId",
+    "status",
+    "startTime",
+    "endTime",
+    "tokenPriceUsdc6",
+    "maxUsdc",
+    "allowlistCount",
+    "allowlistCapUsdc",
+    ...PURCHASE_STATUSES.flatMap((status) => [`${status}Count`, `${status}Usdc`]),
+    "updatedAt",
+  ],
+  vault: ["totalDeposited", "totalClaimed", "outstanding", "lastDepositAmount", "updatedAt"],
+};
+
+const sum = (values) => values.reduce((total, value) => total + BigInt(value || 0), 0n);
+
+const pick = (record, columns) => Object.fromEntries(columns.map((column) => [column, record[column] ?? null]));
+
+const groupBy = (records, key) => {
+  const groups = new Map();
+  for (const record of records) {
+    const group = groups.get(record[key]) || [];
+    group.push(record);
+    groups.set(record[key], group);
+  }
+  return groups;
+};
+
+const employeeRows = ({ employees, goals }) => {
+  const achievedByGoal = new Map(goals.map((goal) => [goal.goalId, goal.achieved]));
+  return employees.map((employee) =>
+    pick(
+      {
+        ...employee,
+        // The on-chain GoalUpdated record wins over the company's own flag.
+        goalAchieved: achievedByGoal.get(employee.goalId) ?? employee.goalAchieved,
+        claimedAmount: employee.claimedAmount ?? "0",
+      },
+      REPORT_COLUMNS.employees,
+    ),
+  );
+};
+
+const investorRows = ({ investors }) => investors.map((investor) => pick(investor, REPORT_COLUMNS.investors));
+
+const roundRows = ({ rounds, allowlist, purchases }) => {
+  const allowlistByRound = groupBy(allowlist, "roundId");
+  const purchasesByRound = groupBy(purchases, "roundId");
+  return rounds.map((round) => {
+    const entries = allowlistByRound.get(round.roundId) || [];
+    const roundPurchases = purchasesByRound.get(round.roundId) || [];
+    const totals = {};
+    for (const status of PURCHASE_STATUSES) {
+      const matching = roundPurchases.filter((purchase) => purchase.status === status);
+      totals[`${status}Count`] = matching.length;
+      totals[`${status}Usdc`] = String(sum(matching.map((purchase) => purchase.usdcAmount)));
+    }
+    return pick(
+      {
+        ...round,
+        allowlistCount: entries.length,
+        allowlistCapUsdc: String(sum(entries.map((entry) => entry.capUsdc))),
+        ...totals,
+      },
+      REPORT_COLUMNS.rounds,
+    );
+  });
+};
+
+const vaultRows = ({ vault, employees }) => {
+  const totalDeposited = BigInt(vault?.totalDeposited || 0);
+  const totalClaimed = sum(employees.map((employee) => employee.claimedAmount));
+  return [
+    pick(
+      {
+        ...vault,
+        totalDeposited: String(totalDeposited),
+        totalClaimed: String(totalClaimed),
+        outstanding: String(totalDeposited - totalClaimed),
+      },
+      REPORT_COLUMNS.vault,
+    ),
+  ];
+};
+
+const REPORT_BUILDERS = { employees: employeeRows, investors: investorRows, rounds: roundRows, vault: vaultRows };
+
+/**
+ * Builds the requested reports, each a list of flat rows in REPORT_COLUMNS order.
+ * @param {string[]} reports names from EXPORT_REPORTS
+ * @param {{ employees: object[], goals: object[], investors: object[], rounds: object[],
+ *   allowlist: object[], purchases: object[], vault: object | null }} records
+ */
+export const buildReports = (reports, records) =>
+  Object.fromEntries(reports.map((report) => [report, REPORT_BUILDERS[report](records)]));
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (report, rows) =>
+  [REPORT_COLUMNS[report], ...rows.map((row) => REPORT_COLUMNS[report].map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\n") + "\n";
@@ -0,0 +1,99 @@
+// Local HTTP front for the Lambda handler: every request becomes a function-URL style event,
+// so actions, payloads and status codes are the same as on a deployed Lambda.
+//
+//   STORAGE_BACKEND=sqlite node server.mjs      (PORT default 3000, HOST default 127.0.0.1)
+import http from "http";
+import { pathToFileURL } from "url";
+
+// Lambda function URLs reject request payloads above 6 MB.
+const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+class BodyTooLargeError extends Error {}
+
+// An oversized body is drained and discarded rather than cut off, so the 413 still reaches the client.
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks.length = 0;
+        reject(new BodyTooLargeError("Request body too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+const toLambdaEvent = (req, body) => {
+  const url = new URL(req.url, "http://localhost");
+  return {
+    version: "2.0",
+    rawPath: url.pathname,
+    rawQueryString: url.search.replace(/^\?/, ""),
+    headers: Object.fromEntries(
+      Object.entries(req.headers).map(([name, value]) => [name, Array.isArray(value) ? value.join(",") : value]),
+    ),
+    requestContext: {
+      http: { method: req.method, path: url.pathname, sourceIp: req.socket.remoteAddress },
+    },
+    body,
+    isBase64Encoded: false,
+  };
+};
+
+const send = (res, statusCode, headers, body) => {
+  res.writeHead(statusCode, headers);
+  res.end(body);
+};
+
+export const createLocalServer = (handler) =>
+  http.createServer(async (req, res) => {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      const statusCode = error instanceof BodyTooLargeError ? 413 : 400;
+      const message = error instanceof BodyTooLargeError ? error.message : "Could not read request body";
+      send(res, statusCode, { "Content-Type": "application/json", Connection: "close" }, JSON.stringify({ error: message }));
+      return;
+    }
+
+    try {
+      const response = await handler(toLambdaEvent(req, body));
+      send(res, response.statusCode, response.headers || {}, response.body ?? "");
+    } catch (error) {
+      console.error("Error:", error);
+      send(
+        res,
+        500,
+        { "Content-Type": "application/json" },
+        JSON.stringify({ error: "Internal server error", details: error?.message }),
+      );
+    }
+  });
+
+const main = async () => {
+  process.env.STORAGE_BACKEND ??= "sqlite";
+  const { handler } = await import("./index.mjs");
+  const port = Number(process.env.PORT || 3000);
+  const host = process.env.HOST || "127.0.0.1";
+
+  const server = createLocalServer(handler);
+  server.listen(port, host, () => {
+    console.log(`Lambda handler listening on http://${host}:${port} (STORAGE_BACKEND=${process.env.STORAGE_BACKEND})`);
+  });
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
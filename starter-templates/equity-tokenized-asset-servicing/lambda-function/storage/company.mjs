@@ -0,0 +1,72 @@
+// One company's view of a shared record store. Record ids, entity types and history links are
+// stored with a `<companyId>#` prefix, so every company has its own keys and its own entityType
+// partitions: a listing never sees another company's records. The prefix is removed from
+// everything read back, so handlers keep using plain record ids; every item written also gets a
+// `companyId` attribute.
+export const createCompanyStore = (store, companyId, { partitionKey = "RecordId" } = {}) => {
+  const prefix = `${companyId}#`;
+
+  const toStored = (value) => (value == null ? value : `${prefix}${value}`);
+  const fromStored = (value) =>
+    typeof value === "string" && value.startsWith(prefix) ? value.slice(prefix.length) : value;
+
+  // Entity types and history links, in items as well as in the `set` of an update.
+  const mapIndexedFields = (item, map) => {
+    const mapped = { ...item };
+    for (const field of ["entityType", "historyOf"]) {
+      if (item[field] != null) {
+        mapped[field] = map(item[field]);
+      }
+    }
+    return mapped;
+  };
+  // Record ids plus the indexed fields, in items as well as in paging keys.
+  const mapKeys = (item, map) =>
+    item ? { ...mapIndexedFields(item, map), [partitionKey]: map(item[partitionKey]) } : item;
+  const toStoredItem = (item) => ({ ...mapKeys(item, toStored), companyId });
+  const fromStoredItem = (item) => mapKeys(item, fromStored);
+  const fromStoredPage = ({ items, lastKey }) => ({
+    items: items.map(fromStoredItem),
+    lastKey: lastKey ? mapKeys(lastKey, fromStored) : null,
+  });
+
+  const toStoredOperation = (operation) =>
+    operation.put
+      ? { ...operation, put: toStoredItem(operation.put) }
+      : {
+          ...operation,
+          update: {
+            ...operation.update,
+            recordId: toStored(operation.update.recordId),
+            set: { ...mapIndexedFields(operation.update.set ?? {}, toStored), companyId },
+          },
+        };
+
+  return {
+    backend: store.backend,
+    companyId,
+
+    get: async (recordId) => fromStoredItem(await store.get(toStored(recordId))),
+
+    write: async (operations) => store.write(operations.map(toStoredOperation)),
+
+    delete: async (recordId) => store.delete(toStored(recordId)),
+
+    queryByEntityType: async (entityType, { recordIdPrefix, exclusiveStartKey, ...options } = {}) =>
+      fromStoredPage(
+        await store.queryByEntityType(toStored(entityType), {
+          ...options,
+          recordIdPrefix: toStored(recordIdPrefix ?? ""),
+          exclusiveStartKey: exclusiveStartKey ? mapKeys(exclusiveStartKey, toStored) : exclusiveStartKey,
+        }),
+      ),
+
+    queryHistory: async (recordId, { exclusiveStartKey, ...options } = {}) =>
+      fromStoredPage(
+        await store.queryHistory(toStored(recordId), {
+          ...options,
+          exclusiveStartKey: exclusiveStartKey ? mapKeys(exclusiveStartKey, toStored) : exclusiveStartKey,
+        }),
+      ),
+  };
+};
@@ -0,0 +1,86 @@
+// Store-neutral semantics shared by the in-memory and SQLite backends. The DynamoDB backend
+// translates the same shapes into condition and update expressions.
+//
+// condition: undefined                     -> unconditional
+//            { exists: false }             -> the item must not exist
+//            { equals: { field: value } }  -> every field must equal value (null = attribute absent)
+// operation: { put: item, condition }
+//            { update: { recordId, set, add }, condition }  (add values are bigint increments)
+
+export class ConditionFailedError extends Error {
+  constructor(recordId) {
+    super(`Conditional write failed for ${recordId}`);
+    this.name = "ConditionFailedError";
+    this.recordId = recordId;
+  }
+}
+
+export const conditionHolds = (item, condition) => {
+  if (!condition) {
+    return true;
+  }
+  if (condition.exists === false) {
+    return !item;
+  }
+  return Object.entries(condition.equals || {}).every(([field, value]) =>
+    value === null ? item?.[field] == null : item != null && item[field] === value,
+  );
+};
+
+export const operationRecordId = (operation, partitionKey) =>
+  operation.put ? operation.put[partitionKey] : operation.update.recordId;
+
+export const applyOperation = (current, operation, partitionKey) => {
+  if (operation.put) {
+    return { ...operation.put };
+  }
+
+  const { recordId, set = {}, add = {} } = operation.update;
+  const updated = { ...(current || {}), ...set, [partitionKey]: recordId };
+  for (const [field, amount] of Object.entries(add)) {
+    updated[field] = BigInt(current?.[field] ?? 0) + BigInt(amount);
+  }
+  return updated;
+};
+
+export const matchesFilters = (item, filters = {}) =>
+  Object.entries(filters).every(([field, value]) => value === undefined || item[field] === value);
+
+// Mirrors DynamoDB paging: `limit` items are read, then filtered; lastKey is set while more remain.
+export const pageEntityType = (sortedItems, { filters, recordIdPrefix, limit, exclusiveStartKey }, partitionKey) => {
+  const startAfter = exclusiveStartKey?.[partitionKey];
+  const candidates = sortedItems.filter(
+    (item) =>
+      (!recordIdPrefix || item[partitionKey].startsWith(recordIdPrefix)) &&
+      (startAfter === undefined || item[partitionKey] > startAfter),
+  );
+  const evaluated = limit ? candidates.slice(0, limit) : candidates;
+  const last = evaluated[evaluated.length - 1];
+  return {
+    items: evaluated.filter((item) => matchesFilters(item, filters)),
+    lastKey:
+      evaluated.length < candidates.length
+        ? { [partitionKey]: last[partitionKey], entityType: last.entityType }
+        : null,
+  };
+};
+
+export const pageHistory = (items, { limit, exclusiveStartKey, ascending }, partitionKey) => {
+  const ordered = [...items].sort((a, b) =>
+    ascending ? a.historySeq - b.historySeq : b.historySeq - a.historySeq,
+  );
+  const startAfter = exclusiveStartKey?.historySeq;
+  const candidates =
+    startAfter === undefined
+      ? ordered
+      : ordered.filter((item) => (ascending ? item.historySeq > startAfter : item.historySeq < startAfter));
+  const page = candidates.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    items: page,
+    lastKey:
+      page.length < candidates.length
+        ? { [partitionKey]: last[partitionKey], historyOf: last.historyOf, historySeq: last.historySeq }
+        : null,
+  };
+};
@@ -0,0 +1,197 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  TransactWriteCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { ConditionFailedError } from "./documents.mjs";
+
+const isConditionalCheckFailure = (error) =>
+  error?.name === "ConditionalCheckFailedException" ||
+  (error?.name === "TransactionCanceledException" &&
+    (error.CancellationReasons || []).some((reason) => reason?.Code === "ConditionalCheckFailed"));
+
+const capitalize = (field) => field.charAt(0).toUpperCase() + field.slice(1);
+
+const buildConditionExpression = (condition, partitionKey) => {
+  if (!condition) {
+    return {};
+  }
+  if (condition.exists === false) {
+    return {
+      ConditionExpression: "attribute_not_exists(#pk)",
+      ExpressionAttributeNames: { "#pk": partitionKey },
+    };
+  }
+
+  const names = {};
+  const values = {};
+  const clauses = Object.entries(condition.equals).map(([field, value]) => {
+    names[`#${field}`] = field;
+    if (value === null) {
+      return `attribute_not_exists(#${field})`;
+    }
+    values[`:expected${capitalize(field)}`] = value;
+    return `#${field} = :expected${capitalize(field)}`;
+  });
+  return {
+    ConditionExpression: clauses.join(" AND "),
+    ExpressionAttributeNames: names,
+    ...(Object.keys(values).length > 0 ? { ExpressionAttributeValues: values } : {}),
+  };
+};
+
+const buildUpdateExpression = ({ set = {}, add = {} }, condition) => {
+  const names = { ...condition.ExpressionAttributeNames };
+  const values = { ...condition.ExpressionAttributeValues };
+  const setClauses = Object.entries(set).map(([field, value], index) => {
+    names[`#set${index}`] = field;
+    values[`:set${index}`] = value;
+    return `#set${index} = :set${index}`;
+  });
+  const addClauses = Object.entries(add).map(([field, amount], index) => {
+    names[`#add${index}`] = field;
+    values[`:add${index}`] = amount;
+    return `#add${index} :add${index}`;
+  });
+
+  const parts = [];
+  if (setClauses.length > 0) {
+    parts.push(`SET ${setClauses.join(", ")}`);
+  }
+  if (addClauses.length > 0) {
+    parts.push(`ADD ${addClauses.join(", ")}`);
+  }
+  return {
+    UpdateExpression: parts.join(" "),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  };
+};
+
+const buildFilterExpression = (filters = {}) => {
+  const entries = Object.entries(filters).filter(([, value]) => value !== undefined);
+  const names = {};
+  const values = {};
+  const clauses = entries.map(([field, value], index) => {
+    names[`#filter${index}`] = field;
+    values[`:filter${index}`] = value;
+    return `#filter${index} = :filter${index}`;
+  });
+  return { expression: clauses.length > 0 ? clauses.join(" AND ") : undefined, names, values };
+};
+
+// DynamoDB table keyed by `partitionKey`, with the entityType and history GSIs described in the README.
+export const createDynamoStore = ({
+  region,
+  tableName,
+  partitionKey,
+  historyIndexName,
+  entityTypeIndexName,
+  client = DynamoDBDocumentClient.from(new DynamoDBClient({ region })),
+}) => {
+  const toTransactItem = (operation) => {
+    const condition = buildConditionExpression(operation.condition, partitionKey);
+    if (operation.put) {
+      return { Put: { TableName: tableName, Item: operation.put, ...condition } };
+    }
+    return {
+      Update: {
+        TableName: tableName,
+        Key: { [partitionKey]: operation.update.recordId },
+        ...(condition.ConditionExpression ? { ConditionExpression: condition.ConditionExpression } : {}),
+        ...buildUpdateExpression(operation.update, condition),
+      },
+    };
+  };
+
+  const send = async (command, recordId) => {
+    try {
+      return await client.send(command);
+    } catch (error) {
+      if (isConditionalCheckFailure(error)) {
+        throw new ConditionFailedError(recordId);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    backend: "dynamodb",
+
+    get: async (recordId) => {
+      const command = new GetCommand({
+        TableName: tableName,
+        Key: { [partitionKey]: recordId },
+      });
+      const { Item } = await client.send(command);
+      return Item || null;
+    },
+
+    // A single operation is sent as a plain Put/Update; several go through one transaction.
+    write: async (operations) => {
+      const [first] = operations;
+      const recordId = first.put ? first.put[partitionKey] : first.update.recordId;
+      if (operations.length === 1) {
+        const item = toTransactItem(first);
+        const command = item.Put ? new PutCommand(item.Put) : new UpdateCommand(item.Update);
+        await send(command, recordId);
+        return;
+      }
+
+      const command = new TransactWriteCommand({ TransactItems: operations.map(toTransactItem) });
+      await send(command, recordId);
+    },
+
+    delete: async (recordId) => {
+      const command = new DeleteCommand({
+        TableName: tableName,
+        Key: { [partitionKey]: recordId },
+      });
+      await client.send(command);
+    },
+
+    queryByEntityType: async (entityType, { filters, recordIdPrefix, limit, exclusiveStartKey }) => {
+      const filter = buildFilterExpression(filters);
+      const names = { "#entityType": "entityType", ...filter.names };
+      const values = { ":entityType": entityType, ...filter.values };
+      let keyCondition = "#entityType = :entityType";
+      if (recordIdPrefix) {
+        names["#recordId"] = partitionKey;
+        values[":recordIdPrefix"] = recordIdPrefix;
+        keyCondition += " AND begins_with(#recordId, :recordIdPrefix)";
+      }
+
+      const command = new QueryCommand({
+        TableName: tableName,
+        IndexName: entityTypeIndexName,
+        KeyConditionExpression: keyCondition,
+        FilterExpression: filter.expression,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        Limit: limit,
+        ExclusiveStartKey: exclusiveStartKey,
+      });
+      const { Items, LastEvaluatedKey } = await client.send(command);
+      return { items: Items || [], lastKey: LastEvaluatedKey || null };
+    },
+
+    queryHistory: async (recordId, { limit, exclusiveStartKey, ascending }) => {
+      const command = new QueryCommand({
+        TableName: tableName,
+        IndexName: historyIndexName,
+        KeyConditionExpression: "historyOf = :recordId",
+        ExpressionAttributeValues: { ":recordId": recordId },
+        ScanIndexForward: ascending,
+        Limit: limit,
+        ExclusiveStartKey: exclusiveStartKey,
+      });
+      const { Items, LastEvaluatedKey } = await client.send(command);
+      return { items: Items || [], lastKey: LastEvaluatedKey || null };
+    },
+  };
+};
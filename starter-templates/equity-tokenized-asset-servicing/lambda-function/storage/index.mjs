@@ -0,0 +1,36 @@
+import { createCompanyStore } from "./company.mjs";
+import { createDynamoStore } from "./dynamodb.mjs";
+import { createMemoryStore } from "./memory.mjs";
+import { createSqliteStore } from "./sqlite.mjs";
+
+export { ConditionFailedError } from "./documents.mjs";
+export { createCompanyStore, createDynamoStore, createMemoryStore, createSqliteStore };
+
+export const STORAGE_BACKENDS = ["dynamodb", "memory", "sqlite"];
+
+// Every backend exposes the same record store:
+//   get(recordId)                                  -> item | null
+//   write(operations)                              -> all operations applied atomically, or
+//                                                     ConditionFailedError and none applied
+//   delete(recordId)
+//   queryByEntityType(entityType, { filters, recordIdPrefix, limit, exclusiveStartKey })
+//                                                  -> { items, lastKey }  (ordered by record id)
+//   queryHistory(recordId, { limit, exclusiveStartKey, ascending })
+//                                                  -> { items, lastKey }  (ordered by historySeq)
+// Condition and operation shapes are documented in documents.mjs. createCompanyStore wraps any of
+// them into one company's view of the same table (see company.mjs).
+export const createStore = async ({ backend = "dynamodb", ...options }) => {
+  switch (backend) {
+    case "dynamodb":
+      if (!options.region) {
+        throw new Error("AWS_REGION is required for the dynamodb storage backend");
+      }
+      return createDynamoStore(options);
+    case "memory":
+      return createMemoryStore(options);
+    case "sqlite":
+      return createSqliteStore({ ...options, filename: options.sqlitePath });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend} (expected one of ${STORAGE_BACKENDS.join(", ")})`);
+  }
+};
@@ -0,0 +1,56 @@
+import {
+  ConditionFailedError,
+  applyOperation,
+  conditionHolds,
+  operationRecordId,
+  pageEntityType,
+  pageHistory,
+} from "./documents.mjs";
+
+// Process-local store for tests and local runs. State lives as long as the store instance.
+export const createMemoryStore = ({ partitionKey = "RecordId" } = {}) => {
+  const records = new Map();
+
+  const sortedByRecordId = (predicate) =>
+    [...records.values()]
+      .filter(predicate)
+      .sort((a, b) => (a[partitionKey] < b[partitionKey] ? -1 : a[partitionKey] > b[partitionKey] ? 1 : 0))
+      .map((item) => structuredClone(item));
+
+  return {
+    backend: "memory",
+
+    get: async (recordId) => structuredClone(records.get(recordId)) || null,
+
+    write: async (operations) => {
+      const staged = new Map();
+      for (const operation of operations) {
+        const recordId = operationRecordId(operation, partitionKey);
+        const current = staged.has(recordId) ? staged.get(recordId) : records.get(recordId);
+        if (!conditionHolds(current, operation.condition)) {
+          throw new ConditionFailedError(recordId);
+        }
+        staged.set(recordId, applyOperation(current, operation, partitionKey));
+      }
+      for (const [recordId, item] of staged) {
+        records.set(recordId, structuredClone(item));
+      }
+    },
+
+    delete: async (recordId) => {
+      records.delete(recordId);
+    },
+
+    queryByEntityType: async (entityType, options) =>
+      pageEntityType(sortedByRecordId((item) => item.entityType === entityType), options, partitionKey),
+
+    queryHistory: async (recordId, options) =>
+      pageHistory(
+        [...records.values()].filter((item) => item.historyOf === recordId).map((item) => structuredClone(item)),
+        options,
+        partitionKey,
+      ),
+
+    clear: () => records.clear(),
+  };
+};
@@ -0,0 +1,98 @@
+import {
+  ConditionFailedError,
+  applyOperation,
+  conditionHolds,
+  operationRecordId,
+  pageEntityType,
+  pageHistory,
+} from "./documents.mjs";
+
+// Items are stored as JSON documents; bigint accumulators are tagged so they survive the round trip.
+const serialize = (item) =>
+  JSON.stringify(item, (_key, value) => (typeof value === "bigint" ? { $bigint: value.toString() } : value));
+
+const deserialize = (body) =>
+  JSON.parse(body, (_key, value) =>
+    value && typeof value === "object" && typeof value.$bigint === "string" ? BigInt(value.$bigint) : value,
+  );
+
+// File-backed store for local runs; `better-sqlite3` is an optional dependency loaded on first use.
+export const createSqliteStore = async ({ filename, partitionKey = "RecordId" }) => {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch (error) {
+    throw new Error(`SQLite storage requires the optional better-sqlite3 dependency: ${error.message}`);
+  }
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      record_id TEXT PRIMARY KEY,
+      entity_type TEXT,
+      history_of TEXT,
+      body TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS records_entity_type ON records (entity_type, record_id);
+    CREATE INDEX IF NOT EXISTS records_history_of ON records (history_of);
+  `);
+
+  const selectOne = db.prepare("SELECT body FROM records WHERE record_id = ?");
+  const upsertOne = db.prepare(`
+    INSERT INTO records (record_id, entity_type, history_of, body) VALUES (?, ?, ?, ?)
+    ON CONFLICT (record_id) DO UPDATE SET
+      entity_type = excluded.entity_type, history_of = excluded.history_of, body = excluded.body
+  `);
+  const deleteOne = db.prepare("DELETE FROM records WHERE record_id = ?");
+  const selectByEntityType = db.prepare("SELECT body FROM records WHERE entity_type = ? ORDER BY record_id");
+  const selectHistory = db.prepare("SELECT body FROM records WHERE history_of = ?");
+
+  const read = (recordId) => {
+    const row = selectOne.get(recordId);
+    return row ? deserialize(row.body) : null;
+  };
+
+  // better-sqlite3 rolls the transaction back when the callback throws.
+  const writeAll = db.transaction((operations) => {
+    for (const operation of operations) {
+      const recordId = operationRecordId(operation, partitionKey);
+      const current = read(recordId);
+      if (!conditionHolds(current, operation.condition)) {
+        throw new ConditionFailedError(recordId);
+      }
+      const item = applyOperation(current, operation, partitionKey);
+      upsertOne.run(recordId, item.entityType ?? null, item.historyOf ?? null, serialize(item));
+    }
+  });
+
+  return {
+    backend: "sqlite",
+
+    get: async (recordId) => read(recordId),
+
+    write: async (operations) => {
+      writeAll(operations);
+    },
+
+    delete: async (recordId) => {
+      deleteOne.run(recordId);
+    },
+
+    queryByEntityType: async (entityType, options) =>
+      pageEntityType(
+        selectByEntityType.all(entityType).map((row) => deserialize(row.body)),
+        options,
+        partitionKey,
+      ),
+
+    queryHistory: async (recordId, options) =>
+      pageHistory(
+        selectHistory.all(recordId).map((row) => deserialize(row.body)),
+        options,
+        partitionKey,
+      ),
+
+    close: () => db.close(),
+  };
+};
@@ -0,0 +1,154 @@
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const ALICE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const BOB = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const CAROL = "0xcccccccccccccccccccccccccccccccccccccccc";
+const REF = `0x${"1".repeat(64)}`;
+
+const requestPurchase = (purchaseId, buyer, usdcAmount, roundId = "3") =>
+    invoke({ action: "PurchaseRequested", purchaseId, roundId, buyer, usdcAmount, aceRecipientCommitment: REF });
+
+// ---------------------------------------------------------------------------
+// Setup
+// ---------------------------------------------------------------------------
+beforeEach(async () => {
+    store.clear();
+
+    await invoke({
+        action: "RoundCreated",
+        roundId: "3",
+        startTime: 1700000000,
+        endTime: 1700086400,
+        tokenPriceUsdc6: "1000000",
+        maxUsdc: "1000",
+    });
+    await invoke({
+        action: "CompanyRoundAllowlistBatchInput",
+        roundId: "3",
+        entries: [
+            { investorAddress: ALICE, capUsdc: "500" },
+            { investorAddress: BOB, capUsdc: "300" },
+        ],
+    });
+    await requestPurchase("1", ALICE, "100");
+    await requestPurchase("2", ALICE, "200");
+    await requestPurchase("3", BOB, "50");
+    await requestPurchase("4", CAROL, "25");
+    await requestPurchase("5", ALICE, "999", "4");
+    await invoke({ action: "PurchaseSettled", purchaseId: "1", aceTransferRef: REF, usdcAmount: "100", treasury: CAROL });
+    await invoke({ action: "PurchaseRefunded", purchaseId: "3", buyer: BOB, usdcAmount: "50", reason: REF });
+});
+
+// ---------------------------------------------------------------------------
+// Cap accounting tests
+// ---------------------------------------------------------------------------
+
+describe("readRound – usage", () => {
+    it("should total raised against maxUsdc, counting pending and settled purchases", async () => {
+        const { statusCode, body } = await invoke({ action: "readRound", roundId: "3" });
+
+        assert.equal(statusCode, 200);
+        assert.deepEqual(body.usage, {
+            maxUsdc: "1000",
+            committedUsdc: "325",
+            pendingUsdc: "225",
+            settledUsdc: "100",
+            refundedUsdc: "50",
+            remainingUsdc: "675",
+            allowlistCount: 2,
+            allowlistCapUsdc: "800",
+        });
+    });
+});
+
+describe("readRoundAllowlist", () => {
+    it("should report used and remaining cap per investor", async () => {
+        const { statusCode, body } = await invoke({ action: "readRoundAllowlist", roundId: "3" });
+
+        assert.equal(statusCode, 200);
+        assert.deepEqual(
+            body.data.map(({ investorAddress, capUsdc, committedUsdc, refundedUsdc, remainingUsdc }) => [
+                investorAddress,
+                capUsdc,
+                committedUsdc,
+                refundedUsdc,
+                remainingUsdc,
+            ]),
+            [
+                [ALICE, "500", "300", "0", "200"],
+                [BOB, "300", "0", "50", "300"],
+                [CAROL, null, "25", "0", null],
+            ],
+        );
+    });
+
+    it("should read one investor and answer 404 for an unknown one", async () => {
+        const { body } = await invoke({ action: "readRoundAllowlist", roundId: "3", investorAddress: ALICE });
+        assert.deepEqual(body.data.map(({ investorAddress, purchaseCount }) => [investorAddress, purchaseCount]), [[ALICE, 2]]);
+
+        const missing = await invoke({
+            action: "readRoundAllowlist",
+            roundId: "3",
+            investorAddress: "0xdddddddddddddddddddddddddddddddddddddddd",
+        });
+        assert.equal(missing.statusCode, 404);
+    });
+});
+
+describe("CompanyRoundAllowlistInput – cap warnings", () => {
+    it("should warn when a cap is lowered below what was committed", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyRoundAllowlistInput",
+            roundId: "3",
+            investorAddress: ALICE,
+            capUsdc: "250",
+            dryRun: true,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.valid, true);
+        assert.deepEqual(body.warnings, [
+            { field: "capUsdc", message: "is below the 300 USDC already committed by this investor" },
+        ]);
+    });
+
+    it("should not count refunded purchases and still store a lowered cap", async () => {
+        const { body } = await invoke({
+            action: "CompanyRoundAllowlistBatchInput",
+            roundId: "3",
+            entries: [
+                { investorAddress: BOB, capUsdc: "0" },
+                { investorAddress: ALICE, capUsdc: "100" },
+            ],
+        });
+
+        assert.equal(body.processedCount, 2);
+        assert.deepEqual(body.warnings, [
+            { field: "entries[1].capUsdc", message: "is below the 300 USDC already committed by this investor" },
+        ]);
+        const { body: allowlist } = await invoke({ action: "readRoundAllowlist", roundId: "3", investorAddress: ALICE });
+        assert.equal(allowlist.data[0].remainingUsdc, "0");
+    });
+});
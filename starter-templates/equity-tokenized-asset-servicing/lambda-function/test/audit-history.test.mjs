@@ -0,0 +1,193 @@
+import { describe, it, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mockClient } from "aws-sdk-client-mock";
+import {
+    DynamoDBDocumentClient,
+    GetCommand,
+    PutCommand,
+    QueryCommand,
+    TransactWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+// Must set AWS_REGION before importing handler
+process.env.AWS_REGION = "us-east-2";
+
+const ddbMock = mockClient(DynamoDBDocumentClient);
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.handler;
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+
+const historyWrites = () =>
+    ddbMock.commandCalls(TransactWriteCommand).map((call) => call.args[0].input.TransactItems[1].Put.Item);
+
+// ---------------------------------------------------------------------------
+// Setup / Teardown
+// ---------------------------------------------------------------------------
+beforeEach(() => {
+    ddbMock.reset();
+    ddbMock.on(GetCommand).resolves({ Item: undefined });
+    ddbMock.on(PutCommand).resolves({});
+    ddbMock.on(TransactWriteCommand).resolves({});
+});
+
+afterEach(() => {
+    ddbMock.reset();
+});
+
+// ---------------------------------------------------------------------------
+// History writes
+// ---------------------------------------------------------------------------
+
+describe("History items – written with each mutation", () => {
+    it("should record previous and new values of a company change", async () => {
+        ddbMock.on(GetCommand).resolves({
+            Item: {
+                RecordId: `employee:${EMPLOYEE}`,
+                entityType: "employee",
+                employeeAddress: EMPLOYEE,
+                walletFrozen: false,
+                lastCompanyUpdateAt: "2026-01-01T00:00:00.000Z",
+                source: "company",
+                version: 6,
+            },
+        });
+
+        const { statusCode } = await invoke({
+            action: "CompanyEmployeeInput",
+            employeeAddress: EMPLOYEE,
+            walletFrozen: true,
+        });
+
+        assert.equal(statusCode, 200);
+        const [history] = historyWrites();
+        assert.equal(history.RecordId, `history:employee:${EMPLOYEE}:000000000007`);
+        assert.equal(history.entityType, "history");
+        assert.equal(history.historyOf, `employee:${EMPLOYEE}`);
+        assert.equal(history.historySeq, 7);
+        assert.equal(history.recordEntityType, "employee");
+        assert.equal(history.source, "company");
+        assert.equal(typeof history.changedAt, "string");
+        assert.equal(history.previous.walletFrozen, false);
+        assert.equal(history.next.walletFrozen, true);
+        assert.equal("version" in history.next, false);
+        assert.equal("employeeAddress" in history.next, false, "unchanged fields are not repeated");
+    });
+
+    it("should use the on-chain event name as source", async () => {
+        await invoke({ action: "EmploymentStatusUpdated", employeeAddress: EMPLOYEE, employed: false });
+
+        const [history] = historyWrites();
+        assert.equal(history.source, "EmploymentStatusUpdated");
+        assert.equal(history.previous.employed, null);
+        assert.equal(history.next.employed, false);
+    });
+
+    it("should record accumulator totals before and after an increment", async () => {
+        ddbMock.on(GetCommand).resolves({
+            Item: { RecordId: `employee:${EMPLOYEE}`, entityType: "employee", claimedAmount: 40n, version: 2 },
+        });
+
+        await invoke({ action: "TicketRedeemed", employeeAddress: EMPLOYEE, amount: "2" });
+
+        const [history] = historyWrites();
+        assert.equal(history.source, "TicketRedeemed");
+        assert.equal(history.previous.claimedAmount, "40");
+        assert.equal(history.next.claimedAmount, "42");
+    });
+
+    it("should skip history when nothing changed", async () => {
+        ddbMock.on(GetCommand).resolves({
+            Item: {
+                RecordId: `employee:${EMPLOYEE}`,
+                entityType: "employee",
+                employeeAddress: EMPLOYEE,
+                employed: true,
+                lastOnchainEvent: "EmploymentStatusUpdated",
+                version: 3,
+            },
+        });
+
+        await invoke({ action: "EmploymentStatusUpdated", employeeAddress: EMPLOYEE, employed: true });
+
+        assert.equal(ddbMock.commandCalls(TransactWriteCommand).length, 0);
+        assert.equal(ddbMock.commandCalls(PutCommand)[0].args[0].input.Item.version, 4);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// History reads
+// ---------------------------------------------------------------------------
+
+describe("read*History – paginated reads", () => {
+    it("readEmployeeHistory should query the history index newest first", async () => {
+        const lastKey = { RecordId: `history:employee:${EMPLOYEE}:000000000004`, historyOf: `employee:${EMPLOYEE}`, historySeq: 4 };
+        ddbMock.on(QueryCommand).resolves({
+            Items: [{ historySeq: 5 }, { historySeq: 4 }],
+            LastEvaluatedKey: lastKey,
+        });
+
+        const { statusCode, body } = await invoke({
+            action: "readEmployeeHistory",
+            employeeAddress: EMPLOYEE.toUpperCase().replace("0X", "0x"),
+            limit: 2,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.deepEqual(body.data.map((item) => item.historySeq), [5, 4]);
+        assert.equal(typeof body.nextCursor, "string");
+
+        const [query] = ddbMock.commandCalls(QueryCommand);
+        assert.equal(query.args[0].input.IndexName, "historyOf-historySeq-index");
+        assert.deepEqual(query.args[0].input.ExpressionAttributeValues, { ":recordId": `employee:${EMPLOYEE}` });
+        assert.equal(query.args[0].input.ScanIndexForward, false);
+        assert.equal(query.args[0].input.Limit, 2);
+
+        await invoke({ action: "readEmployeeHistory", employeeAddress: EMPLOYEE, cursor: body.nextCursor });
+        const [, secondQuery] = ddbMock.commandCalls(QueryCommand);
+        assert.deepEqual(secondQuery.args[0].input.ExclusiveStartKey, lastKey);
+    });
+
+    it("readInvestorHistory, readRoundHistory and readPurchaseHistory should target their record", async () => {
+        ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+        await invoke({ action: "readInvestorHistory", investorAddress: `0x${"CC".repeat(20)}` });
+        await invoke({ action: "readRoundHistory", roundId: 3, order: "asc" });
+        const { body } = await invoke({ action: "readPurchaseHistory", purchaseId: "9" });
+
+        const inputs = ddbMock.commandCalls(QueryCommand).map((call) => call.args[0].input);
+        assert.deepEqual(
+            inputs.map((input) => input.ExpressionAttributeValues[":recordId"]),
+            [`investor:0x${"cc".repeat(20)}`, "round:3", "purchase:9"],
+        );
+        assert.equal(inputs[1].ScanIndexForward, true);
+        assert.equal(body.nextCursor, null);
+    });
+
+    it("should reject a malformed cursor with 400", async () => {
+        const { statusCode, body } = await invoke({
+            action: "readRoundHistory",
+            roundId: 1,
+            cursor: "%%%not-a-cursor",
+        });
+
+        assert.equal(statusCode, 400);
+        assert.equal(body.error, "Invalid cursor");
+    });
+});
@@ -0,0 +1,191 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+import { signRequest } from "../auth.mjs";
+
+const TOKENS = {
+    admin: "admin-token-0123456789",
+    reader: "reader-token-0123456789",
+    workflow: "workflow-token-0123456789",
+};
+const HMAC_SECRET = "workflow-hmac-secret";
+
+process.env.AUTH_CLIENTS = JSON.stringify({
+    "company-backend": { role: "company-admin", token: TOKENS.admin },
+    dashboard: { role: "read-only", token: TOKENS.reader },
+    "cre-workflow": { role: "cre-workflow", token: TOKENS.workflow, hmacSecret: HMAC_SECRET },
+});
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(createMemoryStore());
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body, headers = {}) => {
+    const response = await handler({ headers, body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+let nonces = 0;
+const signed = (
+    body,
+    { timestamp = Math.floor(Date.now() / 1000), nonce = `nonce-${(nonces += 1)}-${Date.now()}`, secret = HMAC_SECRET } = {},
+) => ({
+    "x-client-id": "cre-workflow",
+    "x-timestamp": String(timestamp),
+    "x-nonce": nonce,
+    "x-signature": signRequest(secret, { timestamp, nonce }, JSON.stringify(body)),
+});
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const IDENTITY = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+
+const identityRegistered = {
+    action: "IdentityRegistered",
+    employeeAddress: EMPLOYEE,
+    identityAddress: IDENTITY,
+    country: 840,
+};
+
+// ---------------------------------------------------------------------------
+// Authentication
+// ---------------------------------------------------------------------------
+
+describe("Authentication", () => {
+    it("should answer 401 without credentials or with an unknown token", async () => {
+        const missing = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE });
+        assert.equal(missing.statusCode, 401);
+        assert.equal(missing.body.supportedActions, undefined, "unauthenticated callers learn nothing");
+
+        const unknown = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE }, bearer("nope"));
+        assert.equal(unknown.statusCode, 401);
+    });
+
+    it("should accept an HMAC-signed request", async () => {
+        const { statusCode } = await invoke(identityRegistered, signed(identityRegistered));
+        assert.equal(statusCode, 200);
+    });
+
+    it("should reject a bad signature, a tampered body and a stale timestamp", async () => {
+        const badSecret = await invoke(identityRegistered, signed(identityRegistered, { secret: "wrong" }));
+        assert.equal(badSecret.statusCode, 401);
+
+        const tampered = await invoke({ ...identityRegistered, country: 1 }, signed(identityRegistered));
+        assert.equal(tampered.statusCode, 401);
+
+        const stale = await invoke(
+            identityRegistered,
+            signed(identityRegistered, { timestamp: Math.floor(Date.now() / 1000) - 3600 }),
+        );
+        assert.equal(stale.statusCode, 401);
+        assert.match(stale.body.error, /timestamp/);
+
+        const headers = signed(identityRegistered);
+        delete headers["x-nonce"];
+        const noNonce = await invoke(identityRegistered, headers);
+        assert.equal(noNonce.statusCode, 401);
+        assert.match(noNonce.body.error, /nonce/);
+    });
+
+    it("should reject a replayed nonce", async () => {
+        const body = { ...identityRegistered, country: 250 };
+        const headers = signed(body, { nonce: "replay-nonce-1" });
+
+        assert.equal((await invoke(body, headers)).statusCode, 200);
+        const replayed = await invoke(body, headers);
+        assert.equal(replayed.statusCode, 401);
+        assert.match(replayed.body.error, /replayed request nonce/);
+
+        const other = { ...body, country: 1 };
+        const reused = await invoke(other, signed(other, { nonce: "replay-nonce-1" }));
+        assert.equal(reused.statusCode, 401);
+    });
+
+    it("should let DON copies of the same event through to the event ledger", async () => {
+        const event = { ...identityRegistered, txHash: `0x${"cd".repeat(32)}`, logIndex: 2, blockNumber: 10 };
+        const nonce = `${event.txHash}:${event.logIndex}`;
+
+        const first = await invoke(event, signed(event, { nonce }));
+        const copy = await invoke(event, signed(event, { nonce, timestamp: Math.floor(Date.now() / 1000) - 1 }));
+
+        assert.equal(first.statusCode, 200);
+        assert.equal(copy.statusCode, 200);
+        assert.equal(copy.body.duplicate, true);
+        assert.deepEqual(copy.body.data, first.body.data);
+
+        const altered = { ...event, country: 1 };
+        assert.equal((await invoke(altered, signed(altered, { nonce }))).statusCode, 401);
+    });
+
+    it("should let direct invocations through, since IAM authorizes them", async () => {
+        const response = await handler({ action: "listSyncOutbox" });
+        assert.equal(response.statusCode, 200);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Authorization
+// ---------------------------------------------------------------------------
+
+describe("Authorization – roles per action", () => {
+    it("cre-workflow may post on-chain events but not company input", async () => {
+        const event = await invoke(identityRegistered, bearer(TOKENS.workflow));
+        assert.equal(event.statusCode, 200);
+
+        const company = await invoke(
+            { action: "CompanyEmployeeInput", employeeAddress: EMPLOYEE, walletFrozen: true },
+            bearer(TOKENS.workflow),
+        );
+        assert.equal(company.statusCode, 403);
+        assert.match(company.body.error, /^Forbidden/);
+    });
+
+    it("company-admin may write company input but not forge on-chain events", async () => {
+        const company = await invoke(
+            { action: "CompanyEmployeeInput", employeeAddress: EMPLOYEE, walletFrozen: true },
+            bearer(TOKENS.admin),
+        );
+        assert.equal(company.statusCode, 200);
+
+        for (const action of ["TicketRedeemed", "IdentityRegistered"]) {
+            const forged = await invoke({ ...identityRegistered, action, amount: "1" }, bearer(TOKENS.admin));
+            assert.equal(forged.statusCode, 403, action);
+        }
+    });
+
+    it("read-only may read and list but not write or trigger syncs", async () => {
+        const read = await invoke({ action: "listEmployees" }, bearer(TOKENS.reader));
+        assert.equal(read.statusCode, 200);
+
+        for (const body of [
+            { action: "MarketPurchaseRefundInput", purchaseId: "1" },
+            { action: "ManualSyncToCre", apiUrl: "https://example.com", payload: {} },
+            { action: "DrainSyncOutbox" },
+        ]) {
+            const { statusCode } = await invoke(body, bearer(TOKENS.reader));
+            assert.equal(statusCode, 403, body.action);
+        }
+    });
+
+    it("every action should be callable by at least one role", async () => {
+        const { body } = await invoke({ action: "NotAnAction" }, bearer(TOKENS.admin));
+
+        for (const action of body.supportedActions) {
+            const statuses = [];
+            for (const token of Object.values(TOKENS)) {
+                statuses.push((await invoke({ action }, bearer(token))).statusCode);
+            }
+            assert.ok(statuses.some((status) => status !== 403), `${action} is denied to every role`);
+        }
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+import { stubCre } from "./cre-stub.mjs";
+
+process.env.SYNC_BATCH_MAX_SIZE = "2";
+
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const API_URL = "https://cre-gateway.example.com/trigger";
+const IDENTITY = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const address = (digit) => `0x${String(digit).repeat(40)}`;
+
+// CRE trigger requests sent by the handler, collected by stubCre.
+let sentBodies = [];
+
+// ---------------------------------------------------------------------------
+// Setup / Teardown
+// ---------------------------------------------------------------------------
+beforeEach(() => {
+    store.clear();
+    sentBodies = stubCre();
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Batch tests
+// ---------------------------------------------------------------------------
+
+describe("CompanyEmployeeBatchInput – partial failures", () => {
+    it("should store the valid items and report the failing one", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyEmployeeBatchInput",
+            employees: [
+                { employeeAddress: address(1), employed: true },
+                { employeeAddress: address(2), kycVerified: true }, // no identityAddress for SYNC_KYC
+                { employeeAddress: address(3), kycVerified: true, identityAddress: IDENTITY, country: 840 },
+            ],
+            apiUrl: API_URL,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.processedCount, 2);
+        assert.equal(body.failedCount, 1);
+        assert.deepEqual(
+            body.data.map(({ index, status }) => [index, status]),
+            [[0, "stored"], [1, "failed"], [2, "stored"]],
+        );
+        assert.match(body.data[1].error, /identityAddress is required/);
+
+        const { statusCode: missing } = await invoke({ action: "readEmployee", employeeAddress: address(2) });
+        assert.equal(missing, 404, "a failing item is not stored");
+
+        assert.equal(body.syncTriggered, 1);
+        assert.deepEqual(
+            sentBodies[0].batches.map((payload) => payload.action),
+            ["SYNC_EMPLOYMENT_STATUS", "SYNC_KYC"],
+        );
+    });
+
+    it("should keep going when storing one item fails", async () => {
+        const write = store.write.bind(store);
+        mock.method(store, "write", async (operations) => {
+            if (operations.some(({ put }) => put?.employeeAddress === address(1))) {
+                throw new Error("Throughput exceeded");
+            }
+            return write(operations);
+        });
+
+        const { body } = await invoke({
+            action: "CompanyEmployeeBatchInput",
+            employees: [
+                { employeeAddress: address(1), employed: true },
+                { employeeAddress: address(2), employed: true },
+            ],
+            apiUrl: API_URL,
+        });
+
+        assert.deepEqual(body.data.map(({ status }) => status), ["failed", "stored"]);
+        assert.equal(body.data[0].error, "Throughput exceeded");
+        assert.deepEqual(sentBodies[0].batches, [
+            { action: "SYNC_EMPLOYMENT_STATUS", employeeAddress: address(2), employed: true },
+        ]);
+    });
+
+    it("should still reject schema errors for the whole batch", async () => {
+        const { statusCode } = await invoke({
+            action: "CompanyEmployeeBatchInput",
+            employees: [{ employeeAddress: address(1) }, { employeeAddress: "nope" }],
+        });
+
+        assert.equal(statusCode, 400);
+        assert.equal((await store.queryByEntityType("employee", {})).items.length, 0);
+    });
+});
+
+describe("Batch inputs – SYNC_BATCH chunking", () => {
+    it("should split allowlist payloads into batches of SYNC_BATCH_MAX_SIZE", async () => {
+        const entries = [1, 2, 3, 4, 5].map((digit) => ({ investorAddress: address(digit), capUsdc: "1000" }));
+
+        const { body } = await invoke({ action: "CompanyRoundAllowlistBatchInput", roundId: "3", entries, apiUrl: API_URL });
+
+        assert.equal(body.processedCount, 5);
+        assert.equal(body.syncTriggered, 3);
+        assert.ok(body.syncResponses.every(({ deliveryStatus }) => deliveryStatus === "delivered"));
+        assert.deepEqual(sentBodies.map(({ batches }) => batches.length), [2, 2, 1]);
+        assert.deepEqual(
+            sentBodies.flatMap(({ batches }) => batches.map((payload) => payload.investorAddress)),
+            entries.map(({ investorAddress }) => investorAddress),
+        );
+    });
+
+    it("should show the same chunks in a dry run", async () => {
+        const { body } = await invoke({
+            action: "CompanyEmployeeBatchInput",
+            employees: [1, 2, 3].map((digit) => ({ employeeAddress: address(digit), employed: true })),
+            apiUrl: API_URL,
+            dryRun: true,
+        });
+
+        assert.equal(body.valid, true);
+        assert.deepEqual(body.syncPayloads.map(({ batches }) => batches.length), [2, 1]);
+        assert.equal(sentBodies.length, 0);
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+
+const MARKET = "0x1111111111111111111111111111111111111111";
+const EQUITY = "0x2222222222222222222222222222222222222222";
+
+// Must be set before importing the handler
+process.env.PRIVATE_ROUNDS_MARKET_ADDRESS = MARKET;
+process.env.PRIVATE_EQUITY_ADDRESS = EQUITY;
+
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const INVESTOR = "0xcccccccccccccccccccccccccccccccccccccccc";
+const ORACLE = "0xdddddddddddddddddddddddddddddddddddddddd";
+const TREASURY = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+const GOAL = `0x${"1".repeat(64)}`;
+
+beforeEach(() => {
+    store.clear();
+});
+
+// ---------------------------------------------------------------------------
+// Config and allowlist events
+// ---------------------------------------------------------------------------
+
+describe("ClaimRequirementsUpdated", () => {
+    it("should store the claim requirements on the employee", async () => {
+        const { statusCode, body } = await invoke({
+            action: "ClaimRequirementsUpdated",
+            employeeAddress: EMPLOYEE,
+            cliffEndTimestamp: 1700000000,
+            goalId: GOAL,
+            goalRequired: true,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.cliffEndTimestamp, 1700000000);
+        assert.equal(body.data.goalId, GOAL);
+        assert.equal(body.data.goalRequired, true);
+        assert.equal(body.data.lastOnchainEvent, "ClaimRequirementsUpdated");
+    });
+});
+
+describe("RoundAllowlistUpdated", () => {
+    it("should replace the company cap with the on-chain one", async () => {
+        await invoke({ action: "CompanyRoundAllowlistInput", roundId: "3", investorAddress: INVESTOR, capUsdc: "500" });
+        await invoke({ action: "RoundAllowlistUpdated", roundId: "3", investorAddress: INVESTOR, capUsdc: "400" });
+
+        const { body } = await invoke({ action: "readRoundAllowlist", roundId: "3", investorAddress: INVESTOR });
+        assert.equal(body.data[0].capUsdc, "400");
+    });
+});
+
+describe("OracleStatusUpdated", () => {
+    it("should keep one record per emitting contract", async () => {
+        await invoke({ action: "OracleStatusUpdated", contractAddress: MARKET, oracleAddress: ORACLE, authorized: true });
+        await invoke({ action: "OracleStatusUpdated", contractAddress: EQUITY, oracleAddress: ORACLE, authorized: false });
+
+        const { body } = await invoke({ action: "readOnchainConfig" });
+        assert.deepEqual(
+            body.data.oracles.map(({ contract, oracleAddress, authorized }) => [contract, oracleAddress, authorized]),
+            [
+                ["privateRoundsMarket", ORACLE, true],
+                ["privateEquity", ORACLE, false],
+            ],
+        );
+    });
+
+    it("should require the emitting contractAddress", async () => {
+        const { statusCode, body } = await invoke({ action: "OracleStatusUpdated", oracleAddress: ORACLE, authorized: true });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors.map((error) => error.field), ["contractAddress"]);
+    });
+});
+
+describe("Market and compliance config events", () => {
+    it("should collect treasury, timeout, agents and counterparties in readOnchainConfig", async () => {
+        await invoke({ action: "TreasuryUpdated", previousTreasury: ORACLE, treasury: TREASURY });
+        await invoke({ action: "SettlementTimeoutUpdated", previousTimeoutSeconds: 3600, settlementTimeoutSeconds: 7200 });
+        await invoke({ action: "AgentUpdated", agentAddress: ORACLE, authorized: true });
+        await invoke({ action: "TrustedCounterpartyUpdated", accountAddress: INVESTOR, trusted: true });
+
+        const { statusCode, body } = await invoke({ action: "readOnchainConfig" });
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.market.treasury, TREASURY.toLowerCase());
+        assert.equal(body.data.market.settlementTimeoutSeconds, 7200);
+        assert.deepEqual(body.data.complianceAgents.map(({ agentAddress, authorized }) => [agentAddress, authorized]), [[ORACLE, true]]);
+        assert.deepEqual(
+            body.data.trustedCounterparties.map(({ accountAddress, trusted }) => [accountAddress, trusted]),
+            [[INVESTOR, true]],
+        );
+    });
+
+    it("should compute purchase deadlines from the on-chain settlement timeout", async () => {
+        await invoke({ action: "SettlementTimeoutUpdated", previousTimeoutSeconds: 3600, settlementTimeoutSeconds: 60 });
+        const { body } = await invoke({
+            action: "PurchaseRequested",
+            purchaseId: "1",
+            roundId: "3",
+            buyer: INVESTOR,
+            usdcAmount: "100",
+            aceRecipientCommitment: GOAL,
+        });
+
+        assert.equal(body.data.settlementDeadline - body.data.requestedAt, 60);
+    });
+});
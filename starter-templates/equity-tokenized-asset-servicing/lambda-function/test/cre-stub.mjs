@@ -0,0 +1,27 @@
+import { mock } from "node:test";
+import { EventEmitter } from "node:events";
+import https from "node:https";
+
+/**
+ * Fakes https.request for CRE trigger calls: every POST is accepted with a 200. Returns the array the
+ * requests are collected in, each as `record(options, parsedBody)` (the body itself by default).
+ * Restore with `mock.restoreAll()`.
+ */
+export const stubCre = (record = (_options, body) => body) => {
+    const sent = [];
+    mock.method(https, "request", (options, callback) => {
+        const req = new EventEmitter();
+        req.write = (body) => {
+            sent.push(record(options, JSON.parse(body)));
+        };
+        req.end = () => {
+            const res = new EventEmitter();
+            res.statusCode = 200;
+            callback(res);
+            res.emit("data", JSON.stringify({ ok: true }));
+            res.emit("end");
+        };
+        return req;
+    });
+    return sent;
+};
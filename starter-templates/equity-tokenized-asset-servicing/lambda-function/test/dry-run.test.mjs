@@ -0,0 +1,191 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import https from "node:https";
+import { createMemoryStore } from "../storage/index.mjs";
+
+// Dynamic import so env vars are picked up; every test gets a fresh store.
+let createHandler;
+let store;
+let handler;
+before(async () => {
+    ({ createHandler } = await import("../index.mjs"));
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const API_URL = "https://cre-gateway.example.com/trigger";
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const IDENTITY = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const INVESTOR = "0xcccccccccccccccccccccccccccccccccccccccc";
+
+let writes;
+let creRequest;
+
+beforeEach(async () => {
+    store = createMemoryStore();
+    handler = createHandler(store);
+    await invoke({ action: "CompanyEmployeeInput", employeeAddress: EMPLOYEE, employed: true, notes: "seed" });
+
+    writes = mock.method(store, "write");
+    creRequest = mock.method(https, "request", () => {
+        throw new Error("dry runs must not call CRE");
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Dry runs
+// ---------------------------------------------------------------------------
+
+describe("Company* actions – dryRun", () => {
+    it("should return the merged record and the payloads without storing or sending", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyEmployeeInput",
+            employeeAddress: EMPLOYEE,
+            kycVerified: true,
+            identityAddress: IDENTITY,
+            country: 840,
+            apiUrl: API_URL,
+            dryRun: true,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.dryRun, true);
+        assert.equal(body.valid, true);
+        assert.deepEqual(body.errors, []);
+        assert.equal(body.recordId, `employee:${EMPLOYEE}`);
+        assert.equal(body.data.employed, true, "stored fields are merged in");
+        assert.equal(body.data.kycVerified, true);
+        assert.equal(body.data.version, 2);
+        assert.deepEqual(body.syncPayloads, [
+            { action: "SYNC_KYC", employeeAddress: EMPLOYEE, verified: true, identityAddress: IDENTITY, country: 840 },
+        ]);
+
+        assert.equal(writes.mock.callCount(), 0);
+        assert.equal(creRequest.mock.callCount(), 0);
+        const { body: stored } = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE });
+        assert.equal(stored.data.kycVerified, undefined);
+        assert.equal(stored.data.version, 1);
+    });
+
+    it("should list no payloads when apiUrl is not given", async () => {
+        const { body } = await invoke({
+            action: "CompanyEmployeeInput",
+            employeeAddress: EMPLOYEE,
+            employed: false,
+            dryRun: true,
+        });
+
+        assert.equal(body.data.employed, false);
+        assert.deepEqual(body.syncPayloads, []);
+    });
+
+    it("should merge repeated records within a batch", async () => {
+        const { body } = await invoke({
+            action: "CompanyEmployeeBatchInput",
+            employees: [
+                { employeeAddress: EMPLOYEE, employed: false },
+                { employeeAddress: EMPLOYEE, walletFrozen: true },
+            ],
+            apiUrl: API_URL,
+            dryRun: true,
+        });
+
+        assert.equal(body.valid, true);
+        assert.deepEqual(
+            body.data.map(({ data }) => [data.version, data.employed, data.walletFrozen]),
+            [[2, false, undefined], [3, false, true]],
+        );
+        assert.deepEqual(body.syncPayloads, [
+            {
+                action: "SYNC_BATCH",
+                batches: [
+                    { action: "SYNC_EMPLOYMENT_STATUS", employeeAddress: EMPLOYEE, employed: false },
+                    { action: "SYNC_FREEZE_WALLET", walletAddress: EMPLOYEE, frozen: true },
+                ],
+            },
+        ]);
+        assert.equal(writes.mock.callCount(), 0);
+    });
+
+    it("should preview investor, round and allowlist input", async () => {
+        const investor = await invoke({
+            action: "CompanyInvestorInput",
+            investorAddress: INVESTOR,
+            authorized: true,
+            apiUrl: API_URL,
+            dryRun: true,
+        });
+        assert.deepEqual(investor.body.syncPayloads, [
+            { action: "SYNC_SET_INVESTOR_AUTH", investorAddress: INVESTOR, authorized: true },
+        ]);
+
+        const round = await invoke({ action: "CompanyRoundInput", roundId: "3", openRound: true, apiUrl: API_URL, dryRun: true });
+        assert.deepEqual(round.body.syncPayloads, [{ action: "SYNC_OPEN_ROUND", roundId: "3" }]);
+
+        const allowlist = await invoke({
+            action: "CompanyRoundAllowlistBatchInput",
+            roundId: "3",
+            entries: [{ investorAddress: INVESTOR, capUsdc: "1000" }],
+            apiUrl: API_URL,
+            dryRun: true,
+        });
+        assert.equal(allowlist.body.data[0].data.capUsdc, "1000");
+        assert.deepEqual(allowlist.body.syncPayloads, [
+            {
+                action: "SYNC_BATCH",
+                batches: [{ action: "SYNC_SET_ROUND_ALLOWLIST", roundId: "3", investorAddress: INVESTOR, capUsdc: "1000" }],
+            },
+        ]);
+
+        assert.equal(writes.mock.callCount(), 0);
+        assert.equal(creRequest.mock.callCount(), 0);
+    });
+
+    it("should report validation errors instead of failing", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyEmployeeInput",
+            employeeAddress: EMPLOYEE,
+            country: 70000,
+            dryRun: true,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.valid, false);
+        assert.deepEqual(body.errors, [{ field: "country", message: "must be a uint16 (0-65535)" }]);
+        assert.equal(body.data, null);
+    });
+
+    it("should report payloads that cannot be built", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyEmployeeInput",
+            employeeAddress: EMPLOYEE,
+            kycVerified: true,
+            apiUrl: API_URL,
+            dryRun: true,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.valid, false);
+        assert.match(body.errors[0].message, /identityAddress is required/);
+        assert.equal(body.data.kycVerified, true);
+    });
+
+    it("should still reject invalid input without dryRun", async () => {
+        const { statusCode } = await invoke({ action: "CompanyEmployeeInput", employeeAddress: EMPLOYEE, country: 70000 });
+
+        assert.equal(statusCode, 400);
+    });
+});
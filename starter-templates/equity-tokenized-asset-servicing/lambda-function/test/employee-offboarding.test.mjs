@@ -0,0 +1,168 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+import { stubCre } from "./cre-stub.mjs";
+
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const API_URL = "https://cre-gateway.example.com/trigger";
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const GOAL = `0x${"ab".repeat(32)}`;
+const MONTH = 2592000;
+const NOW = 1750000000;
+const START = NOW - 12 * MONTH;
+
+// CRE trigger requests sent by the handler, collected by stubCre.
+let sentBodies = [];
+
+const offboard = (params) =>
+    invoke({ action: "CompanyEmployeeOffboard", employeeAddress: EMPLOYEE, reason: "resigned", apiUrl: API_URL, ...params });
+
+beforeEach(async () => {
+    store.clear();
+    sentBodies = stubCre();
+    mock.method(Date, "now", () => NOW * 1000);
+
+    await invoke({
+        action: "CompanyEmployeeInput",
+        employeeAddress: EMPLOYEE,
+        employed: true,
+        goalId: GOAL,
+        goalRequired: true,
+        cliffEndTimestamp: START + 3 * MONTH,
+    });
+    await invoke({
+        action: "CompanyGrantInput",
+        employeeAddress: EMPLOYEE,
+        totalAmount: "2400",
+        schedule: "linear",
+        startTimestamp: START,
+        durationSeconds: 24 * MONTH,
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Offboarding tests
+// ---------------------------------------------------------------------------
+
+describe("CompanyEmployeeOffboard", () => {
+    it("should record the termination and forfeit what is unvested at that time", async () => {
+        const { statusCode, body } = await offboard({ terminationTimestamp: START + 6 * MONTH });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.employee.employed, false);
+        assert.equal(body.data.employee.terminationReason, "resigned");
+        assert.equal(body.data.employee.terminationTimestamp, START + 6 * MONTH);
+        assert.equal(body.data.employee.forfeitedAmount, "1800");
+        assert.deepEqual(
+            [body.data.grant.status, body.data.grant.revokedAt, body.data.grant.cliffEndTimestamp],
+            ["revoked", START + 6 * MONTH, START + 3 * MONTH],
+        );
+
+        // Vesting stays where it stopped, even once the closed on-chain cliff comes back.
+        await invoke({
+            action: "ClaimRequirementsUpdated",
+            employeeAddress: EMPLOYEE,
+            cliffEndTimestamp: Number.MAX_SAFE_INTEGER,
+            goalId: GOAL,
+            goalRequired: true,
+        });
+        const { body: vesting } = await invoke({ action: "readEmployeeVesting", employeeAddress: EMPLOYEE });
+        assert.deepEqual([vesting.data.vestedAmount, vesting.data.nextVestingTimestamp], ["600", null]);
+    });
+
+    it("should send employment, claim requirements and the freeze as one SYNC_BATCH", async () => {
+        const { body } = await offboard({ freezeWallet: true });
+
+        assert.equal(body.syncTriggered, 1);
+        assert.equal(sentBodies.length, 1);
+        assert.deepEqual(sentBodies[0], {
+            action: "SYNC_BATCH",
+            batches: [
+                { action: "SYNC_EMPLOYMENT_STATUS", employeeAddress: EMPLOYEE, employed: false },
+                {
+                    action: "SYNC_SET_CLAIM_REQUIREMENTS",
+                    employeeAddress: EMPLOYEE,
+                    cliffEndTimestamp: Number.MAX_SAFE_INTEGER,
+                    goalId: GOAL,
+                    goalRequired: true,
+                },
+                { action: "SYNC_FREEZE_WALLET", walletAddress: EMPLOYEE, frozen: true },
+            ],
+        });
+        assert.equal(body.data.employee.walletFrozen, true);
+        assert.equal(body.walletFreezeDueAt, null);
+    });
+
+    it("should defer the freeze until the grace window ends", async () => {
+        const { body } = await offboard({ freezeWallet: true, freezeGraceSeconds: 7 * 86400 });
+
+        assert.equal(body.walletFreezeDueAt, NOW + 7 * 86400);
+        assert.deepEqual(sentBodies[0].batches.map(({ action }) => action), [
+            "SYNC_EMPLOYMENT_STATUS",
+            "SYNC_SET_CLAIM_REQUIREMENTS",
+        ]);
+
+        const early = await invoke({ action: "ApplyDueWalletFreezes", apiUrl: API_URL, asOf: NOW + 86400 });
+        assert.equal(early.body.frozenCount, 0);
+
+        const due = await invoke({ action: "ApplyDueWalletFreezes", apiUrl: API_URL, asOf: NOW + 7 * 86400 });
+        assert.equal(due.body.frozenCount, 1);
+        assert.deepEqual(sentBodies.at(-1), {
+            action: "SYNC_BATCH",
+            batches: [{ action: "SYNC_FREEZE_WALLET", walletAddress: EMPLOYEE, frozen: true }],
+        });
+
+        const { body: employee } = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE });
+        assert.deepEqual([employee.data.walletFrozen, employee.data.walletFreezeDueAt], [true, null]);
+
+        const again = await invoke({ action: "ApplyDueWalletFreezes", apiUrl: API_URL, asOf: NOW + 8 * 86400 });
+        assert.equal(again.body.frozenCount, 0);
+    });
+
+    it("should store and send nothing on a dry run", async () => {
+        const { body } = await offboard({ freezeWallet: true, dryRun: true });
+
+        assert.equal(body.valid, true);
+        assert.equal(body.syncPayloads[0].batches.length, 3);
+        assert.equal(body.data.grant.forfeitedAmount, "1200");
+        assert.equal(sentBodies.length, 0);
+
+        const { body: employee } = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE });
+        assert.equal(employee.data.employed, true);
+    });
+
+    it("should answer 404 for an unknown employee and 400 without a reason", async () => {
+        const unknown = await invoke({
+            action: "CompanyEmployeeOffboard",
+            employeeAddress: "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb",
+            reason: "resigned",
+        });
+        assert.equal(unknown.statusCode, 404);
+
+        const noReason = await invoke({ action: "CompanyEmployeeOffboard", employeeAddress: EMPLOYEE });
+        assert.equal(noReason.statusCode, 400);
+    });
+});
@@ -0,0 +1,163 @@
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const GOAL = `0x${"ab".repeat(32)}`;
+const START = 1700000000;
+const MONTH = 2592000;
+
+const vestingAt = async (asOf) => {
+    const { body } = await invoke({ action: "readEmployeeVesting", employeeAddress: EMPLOYEE, asOf });
+    return body.data;
+};
+
+beforeEach(() => {
+    store.clear();
+});
+
+// ---------------------------------------------------------------------------
+// Grant / vesting tests
+// ---------------------------------------------------------------------------
+
+describe("readEmployeeVesting – schedules", () => {
+    it("should vest linearly after the cliff and subtract claims", async () => {
+        await invoke({
+            action: "CompanyGrantInput",
+            employeeAddress: EMPLOYEE,
+            totalAmount: "1200",
+            schedule: "linear",
+            startTimestamp: START,
+            durationSeconds: 12 * MONTH,
+            cliffEndTimestamp: START + 3 * MONTH,
+        });
+        await invoke({ action: "TicketRedeemed", employeeAddress: EMPLOYEE, amount: "100" });
+
+        const beforeCliff = await vestingAt(START + MONTH);
+        assert.deepEqual(
+            [beforeCliff.vestedAmount, beforeCliff.claimableAmount, beforeCliff.nextVestingTimestamp],
+            ["0", "0", START + 3 * MONTH],
+        );
+
+        const halfway = await vestingAt(START + 6 * MONTH);
+        assert.deepEqual(
+            [halfway.vestedAmount, halfway.unvestedAmount, halfway.claimedAmount, halfway.claimableAmount],
+            ["600", "600", "100", "500"],
+        );
+    });
+
+    it("should vest graded installments and goal tranches once the goal is achieved", async () => {
+        await invoke({
+            action: "CompanyGrantInput",
+            employeeAddress: EMPLOYEE,
+            totalAmount: "1000",
+            schedule: "graded",
+            startTimestamp: START,
+            periodSeconds: MONTH,
+            periodCount: 4,
+            goalTranches: [{ goalId: GOAL, amount: "200" }],
+        });
+
+        const pending = await vestingAt(START + 2 * MONTH + 1);
+        assert.equal(pending.vestedAmount, "400");
+        assert.equal(pending.nextVestingTimestamp, START + 3 * MONTH);
+        assert.deepEqual(pending.tranches, [{ goalId: GOAL, amount: "200", achieved: false, vested: false }]);
+
+        await invoke({ action: "GoalUpdated", goalId: GOAL, achieved: true });
+        assert.equal((await vestingAt(START + 2 * MONTH + 1)).vestedAmount, "600");
+    });
+
+    it("should fall back to the employee's on-chain cliff", async () => {
+        await invoke({
+            action: "ClaimRequirementsUpdated",
+            employeeAddress: EMPLOYEE,
+            cliffEndTimestamp: START + MONTH,
+            goalId: `0x${"0".repeat(64)}`,
+            goalRequired: false,
+        });
+        await invoke({ action: "CompanyGrantInput", employeeAddress: EMPLOYEE, totalAmount: "500" });
+
+        const vesting = await vestingAt(START);
+        assert.deepEqual(
+            [vesting.schedule, vesting.cliffEndTimestamp, vesting.vestedAmount, vesting.nextVestingTimestamp],
+            ["cliff", START + MONTH, "0", START + MONTH],
+        );
+        assert.equal((await vestingAt(START + MONTH)).vestedAmount, "500");
+    });
+});
+
+describe("CompanyGrantInput – validation", () => {
+    it("should require the fields of the chosen schedule", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyGrantInput",
+            employeeAddress: EMPLOYEE,
+            totalAmount: "100",
+            schedule: "graded",
+            startTimestamp: START,
+            goalTranches: [{ goalId: GOAL, amount: "150" }],
+        });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors.map(({ field }) => field), ["periodSeconds", "periodCount", "goalTranches"]);
+    });
+
+    it("should preview without storing on dryRun", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyGrantInput",
+            employeeAddress: EMPLOYEE,
+            totalAmount: "100",
+            dryRun: true,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.totalAmount, "100");
+        assert.equal((await invoke({ action: "readEmployeeVesting", employeeAddress: EMPLOYEE })).statusCode, 404);
+    });
+});
+
+describe("GrantCreated / GrantRevoked", () => {
+    it("should stop vesting at revocation and record the forfeited amount", async () => {
+        // Revocation is stamped with the current time, so the grant starts five months ago.
+        await invoke({
+            action: "CompanyGrantInput",
+            employeeAddress: EMPLOYEE,
+            totalAmount: "1000",
+            schedule: "linear",
+            startTimestamp: Math.floor(Date.now() / 1000) - 5 * MONTH,
+            durationSeconds: 10 * MONTH,
+        });
+        await invoke({ action: "GrantCreated", employeeAddress: EMPLOYEE, amount: "2000" });
+
+        const { body } = await invoke({ action: "GrantRevoked", employeeAddress: EMPLOYEE, amountForfeited: "1500" });
+        assert.equal(body.data.employed, false);
+        assert.equal(body.grant.status, "revoked");
+
+        const vesting = await vestingAt(body.grant.revokedAt + 100 * MONTH);
+        assert.equal(vesting.status, "revoked");
+        assert.equal(vesting.totalAmount, "2000");
+        assert.equal(vesting.forfeitedAmount, "1500");
+        assert.equal(vesting.nextVestingTimestamp, null);
+        assert.equal(vesting.vestedAmount, (await vestingAt(body.grant.revokedAt)).vestedAmount);
+        assert.ok(BigInt(vesting.vestedAmount) >= 1000n && BigInt(vesting.vestedAmount) < 1010n);
+    });
+});
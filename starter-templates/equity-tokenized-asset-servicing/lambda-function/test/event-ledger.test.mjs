@@ -0,0 +1,178 @@
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+
+process.env.EVENT_LEDGER_WAIT_MS = "300";
+process.env.EVENT_CLAIM_TTL_SECONDS = "60";
+
+// The ledger depends on conditional writes, so these tests run against the in-memory store.
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const TX_HASH = `0x${"ab".repeat(32)}`;
+
+const seed = (item) => store.write([{ put: item }]);
+
+const employeeHistory = async () =>
+    (await store.queryHistory(`employee:${EMPLOYEE}`, { limit: 100, ascending: true })).items;
+
+const redeemed = (overrides = {}) => ({
+    action: "TicketRedeemed",
+    employeeAddress: EMPLOYEE,
+    amount: "100",
+    blockNumber: 7_000_000,
+    txHash: TX_HASH,
+    logIndex: 3,
+    ...overrides,
+});
+
+// ---------------------------------------------------------------------------
+// Setup
+// ---------------------------------------------------------------------------
+beforeEach(() => {
+    store.clear();
+});
+
+// ---------------------------------------------------------------------------
+// Ledger tests
+// ---------------------------------------------------------------------------
+
+describe("Processed-events ledger", () => {
+    it("should apply an additive event once and return the original result on redelivery", async () => {
+        const first = await invoke(redeemed());
+        const second = await invoke(redeemed());
+
+        assert.equal(first.statusCode, 200);
+        assert.equal(first.body.data.claimedAmount, "100");
+        assert.equal(second.statusCode, 200);
+        assert.equal(second.body.duplicate, true);
+        assert.equal(second.body.data.claimedAmount, "100");
+        assert.equal((await store.get(`employee:${EMPLOYEE}`)).claimedAmount, 100n);
+        assert.equal((await employeeHistory()).length, 1);
+
+        const ledger = await store.get(`event:${TX_HASH}:3`);
+        assert.equal(ledger.status, "processed");
+        assert.equal(ledger.action, "TicketRedeemed");
+        assert.equal(ledger.blockNumber, 7_000_000);
+    });
+
+    it("should count distinct logs in the same transaction", async () => {
+        await invoke(redeemed({ logIndex: 3 }));
+        await invoke(redeemed({ logIndex: 4 }));
+
+        assert.equal((await store.get(`employee:${EMPLOYEE}`)).claimedAmount, 200n);
+    });
+
+    it("should key logs by chain when the workflow tags them with a chainSelectorName", async () => {
+        const sepolia = await invoke(redeemed({ chainSelectorName: "ethereum-testnet-sepolia" }));
+        const mainnet = await invoke(redeemed({ chainSelectorName: "ethereum-mainnet" }));
+        const redelivered = await invoke(redeemed({ chainSelectorName: "ethereum-mainnet" }));
+
+        assert.equal(sepolia.body.duplicate, undefined);
+        assert.equal(mainnet.body.duplicate, undefined);
+        assert.equal(redelivered.body.duplicate, true);
+        assert.equal((await store.get(`employee:${EMPLOYEE}`)).claimedAmount, 200n);
+        assert.equal((await store.get(`event:ethereum-mainnet:${TX_HASH}:3`)).chainSelectorName, "ethereum-mainnet");
+        assert.equal(await store.get(`event:${TX_HASH}:3`), null);
+    });
+
+    it("should treat a tagged redelivery of a log ledgered before chain tagging as a duplicate", async () => {
+        const untagged = await invoke(redeemed());
+        const tagged = await invoke(redeemed({ chainSelectorName: "ethereum-testnet-sepolia" }));
+
+        assert.equal(untagged.body.duplicate, undefined);
+        assert.equal(tagged.statusCode, 200);
+        assert.equal(tagged.body.duplicate, true);
+        assert.equal(tagged.body.data.claimedAmount, "100");
+        assert.equal((await store.get(`employee:${EMPLOYEE}`)).claimedAmount, 100n);
+        assert.equal(await store.get(`event:ethereum-testnet-sepolia:${TX_HASH}:3`), null);
+    });
+
+    it("should reject a malformed chainSelectorName with 400", async () => {
+        const { statusCode, body } = await invoke(redeemed({ chainSelectorName: "Ethereum Mainnet" }));
+
+        assert.equal(statusCode, 400);
+        assert.match(body.error, /Invalid event identity/);
+    });
+
+    it("should release the claim when the handler fails so a redelivery can succeed", async () => {
+        await seed({ RecordId: `employee:${EMPLOYEE}`, entityType: "employee", claimedAmount: "corrupt", version: 1 });
+        const failed = await invoke(redeemed());
+        assert.equal(failed.statusCode, 500);
+        assert.equal(await store.get(`event:${TX_HASH}:3`), null);
+
+        await store.delete(`employee:${EMPLOYEE}`);
+        const retried = await invoke(redeemed());
+        assert.equal(retried.statusCode, 200);
+        assert.equal(retried.body.duplicate, undefined);
+    });
+
+    it("should answer 409 when a duplicate is still being processed after the wait window", async () => {
+        await seed({
+            RecordId: `event:${TX_HASH}:3`,
+            entityType: "processedEvent",
+            action: "TicketRedeemed",
+            status: "processing",
+            claimedAt: new Date().toISOString(),
+        });
+
+        const { statusCode, body } = await invoke(redeemed());
+
+        assert.equal(statusCode, 409);
+        assert.match(body.error, /still being processed/);
+        assert.equal(await store.get(`employee:${EMPLOYEE}`), null);
+    });
+
+    it("should take over an abandoned claim", async () => {
+        await seed({
+            RecordId: `event:${TX_HASH}:3`,
+            entityType: "processedEvent",
+            action: "TicketRedeemed",
+            status: "processing",
+            claimedAt: new Date(Date.now() - 120_000).toISOString(),
+        });
+
+        const { statusCode, body } = await invoke(redeemed());
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.claimedAmount, "100");
+        assert.equal((await store.get(`event:${TX_HASH}:3`)).status, "processed");
+    });
+
+    it("should reject a malformed txHash with 400", async () => {
+        const { statusCode, body } = await invoke(redeemed({ txHash: "0x1234" }));
+
+        assert.equal(statusCode, 400);
+        assert.match(body.error, /^Invalid event identity/);
+    });
+
+    it("should keep payloads without identity working as before", async () => {
+        const { statusCode } = await invoke({
+            action: "EmploymentStatusUpdated",
+            employeeAddress: EMPLOYEE,
+            employed: true,
+        });
+
+        assert.equal(statusCode, 200);
+        const { items } = await store.queryByEntityType("processedEvent", {});
+        assert.equal(items.length, 0);
+    });
+});
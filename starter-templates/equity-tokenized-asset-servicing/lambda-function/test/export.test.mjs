@@ -0,0 +1,170 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createMemoryStore } from "../storage/index.mjs";
+import { runExport } from "../export.mjs";
+
+// One store seeded once; every test only reads it.
+const store = createMemoryStore();
+
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+
+    await invoke({
+        action: "CompanyEmployeeInput",
+        employeeAddress: EMPLOYEE,
+        employeeId: "E-1",
+        kycVerified: true,
+        identityAddress: IDENTITY,
+        country: 840,
+        employed: true,
+        cliffEndTimestamp: 1700000000,
+        goalId: GOAL,
+        goalRequired: true,
+    });
+    await invoke({ action: "GoalUpdated", goalId: GOAL, achieved: true });
+    await invoke({ action: "TicketRedeemed", employeeAddress: EMPLOYEE, amount: "400" });
+    await invoke({ action: "PrivateDeposit", amount: "1000" });
+    await invoke({ action: "CompanyInvestorInput", investorAddress: INVESTOR, authorized: true, lockupUntil: 1710000000 });
+    await invoke({
+        action: "RoundCreated",
+        roundId: "3",
+        startTime: 1700000000,
+        endTime: 1700086400,
+        tokenPriceUsdc6: "1000000",
+        maxUsdc: "5000000",
+    });
+    await invoke({
+        action: "CompanyRoundAllowlistBatchInput",
+        roundId: "3",
+        entries: [
+            { investorAddress: INVESTOR, capUsdc: "2000000" },
+            { investorAddress: EMPLOYEE, capUsdc: "500000" },
+        ],
+    });
+    for (const [purchaseId, usdcAmount] of [["1", "100"], ["2", "250"], ["3", "50"]]) {
+        await invoke({
+            action: "PurchaseRequested",
+            purchaseId,
+            roundId: "3",
+            buyer: INVESTOR,
+            usdcAmount,
+            aceRecipientCommitment: GOAL,
+        });
+    }
+    await invoke({ action: "PurchaseSettled", purchaseId: "2", aceTransferRef: GOAL, usdcAmount: "250", treasury: INVESTOR });
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const IDENTITY = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const INVESTOR = "0xcccccccccccccccccccccccccccccccccccccccc";
+const GOAL = `0x${"1".repeat(64)}`;
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+describe("Export – reports", () => {
+    it("should report employees with KYC, employment, cliff, goal and claims", async () => {
+        const { statusCode, body } = await invoke({ action: "Export", reports: ["employees"] });
+
+        assert.equal(statusCode, 200);
+        assert.deepEqual(Object.keys(body.reports), ["employees"]);
+        assert.deepEqual(body.reports.employees, [
+            {
+                employeeAddress: EMPLOYEE,
+                employeeId: "E-1",
+                kycVerified: true,
+                identityAddress: IDENTITY,
+                country: 840,
+                employed: true,
+                walletFrozen: null,
+                cliffEndTimestamp: 1700000000,
+                goalId: GOAL,
+                goalRequired: true,
+                goalAchieved: true,
+                claimedAmount: "400",
+                updatedAt: body.reports.employees[0].updatedAt,
+            },
+        ]);
+    });
+
+    it("should total allowlist caps and purchases per status for each round", async () => {
+        const { body } = await invoke({ action: "Export", reports: ["rounds", "investors"] });
+
+        const [round] = body.reports.rounds;
+        assert.equal(round.status, "draft");
+        assert.equal(round.allowlistCount, 2);
+        assert.equal(round.allowlistCapUsdc, "2500000");
+        assert.deepEqual(
+            [round.pendingCount, round.pendingUsdc, round.settledCount, round.settledUsdc, round.refundedCount, round.refundedUsdc],
+            [2, "150", 1, "250", 0, "0"],
+        );
+        assert.equal(body.reports.investors[0].lockupUntil, 1710000000);
+        assert.deepEqual(body.rowCounts, { rounds: 1, investors: 1 });
+    });
+
+    it("should include the vault totals", async () => {
+        const { body } = await invoke({ action: "Export", reports: ["vault"] });
+
+        assert.deepEqual(
+            (({ totalDeposited, totalClaimed, outstanding }) => ({ totalDeposited, totalClaimed, outstanding }))(body.reports.vault[0]),
+            { totalDeposited: "1000", totalClaimed: "400", outstanding: "600" },
+        );
+    });
+
+    it("should render CSV in column order", async () => {
+        const { body } = await invoke({ action: "Export", reports: ["investors"], format: "csv" });
+
+        assert.equal(
+            body.reports.investors.split("\n")[0],
+            "investorAddress,kycVerified,identityAddress,country,authorized,lockupUntil,updatedAt",
+        );
+        assert.match(body.reports.investors.split("\n")[1], new RegExp(`^${INVESTOR},,,,true,1710000000,`));
+    });
+
+    it("should reject unknown reports and formats", async () => {
+        const { statusCode, body } = await invoke({ action: "Export", reports: ["payroll"], format: "xlsx" });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors.map((error) => error.field), ["reports", "format"]);
+    });
+});
+
+describe("Export – CLI", () => {
+    let out;
+    before(async () => {
+        out = await mkdtemp(path.join(tmpdir(), "equity-export-"));
+    });
+
+    after(async () => {
+        await rm(out, { recursive: true, force: true });
+    });
+
+    it("should write one dated file per report", async () => {
+        const { result, files } = await runExport(handler, { format: "csv", out });
+
+        const date = result.generatedAt.slice(0, 10);
+        assert.deepEqual(
+            files.map((file) => path.basename(file)),
+            ["employees", "investors", "rounds", "vault"].map((report) => `${report}-${date}.csv`),
+        );
+        const vault = await readFile(path.join(out, `vault-${date}.csv`), "utf8");
+        assert.match(vault, /^totalDeposited,totalClaimed,outstanding,lastDepositAmount,updatedAt\n1000,400,600,1000,/);
+    });
+});
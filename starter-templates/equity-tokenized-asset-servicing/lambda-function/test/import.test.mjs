@@ -0,0 +1,181 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+import { stubCre } from "./cre-stub.mjs";
+
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const API_URL = "https://cre-gateway.example.com/trigger";
+const IDENTITY = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const address = (digit) => `0x${String(digit).repeat(40)}`;
+
+// CRE trigger requests sent by the handler, collected by stubCre.
+let sentBodies = [];
+
+// ---------------------------------------------------------------------------
+// Setup / Teardown
+// ---------------------------------------------------------------------------
+beforeEach(() => {
+    store.clear();
+    sentBodies = stubCre();
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Import tests
+// ---------------------------------------------------------------------------
+
+describe("CompanyImport – employees from CSV", () => {
+    const csv = [
+        "Wallet,Employee ID,Employed,Country,Identity,Notes",
+        `${address(1)},E-1,yes,840,${IDENTITY},"Smith, J."`,
+        `${address(2)},E-2,no,,,`,
+        "",
+    ].join("\r\n");
+
+    it("should map columns, coerce values and sync like CompanyEmployeeBatchInput", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyImport",
+            entityType: "employee",
+            format: "csv",
+            content: csv,
+            columns: {
+                Wallet: "employeeAddress",
+                "Employee ID": "employeeId",
+                Employed: "employed",
+                Country: "country",
+                Identity: "identityAddress",
+                Notes: "notes",
+            },
+            apiUrl: API_URL,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.totalRows, 2);
+        assert.equal(body.processedCount, 2);
+        assert.deepEqual(body.data.map(({ line, status }) => [line, status]), [[2, "stored"], [3, "stored"]]);
+
+        const { body: employee } = await invoke({ action: "readEmployee", employeeAddress: address(1) });
+        assert.equal(employee.data.employed, true);
+        assert.equal(employee.data.country, 840);
+        assert.equal(employee.data.notes, "Smith, J.");
+
+        assert.equal(body.syncTriggered, 1);
+        assert.deepEqual(sentBodies[0].batches, [
+            { action: "SYNC_KYC", employeeAddress: address(1), verified: false, country: 840 },
+            { action: "SYNC_EMPLOYMENT_STATUS", employeeAddress: address(1), employed: true },
+            { action: "SYNC_EMPLOYMENT_STATUS", employeeAddress: address(2), employed: false },
+        ]);
+    });
+
+    it("should report invalid rows by line and import the others", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyImport",
+            entityType: "employee",
+            format: "csv",
+            content: `employeeAddress,employed,department\n${address(1)},true,Sales\nnot-an-address,maybe,Ops\n`,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.invalidCount, 1);
+        assert.deepEqual(body.ignoredColumns, ["department"]);
+        assert.deepEqual(body.errors, [
+            { line: 3, field: "employeeAddress", message: "must be a 0x-prefixed 20-byte address" },
+            { line: 3, field: "employed", message: "must be a boolean" },
+        ]);
+        assert.equal((await store.queryByEntityType("employee", {})).items.length, 1);
+    });
+
+    it("should reject content that cannot be parsed", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyImport",
+            entityType: "employee",
+            format: "csv",
+            content: `employeeAddress,notes\n${address(1)},"unterminated\n`,
+        });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors, [{ field: "content", message: "unterminated quoted field starting on line 2" }]);
+    });
+});
+
+describe("CompanyImport – investors and allowlists", () => {
+    it("should import investors from JSON lines", async () => {
+        const content = [
+            JSON.stringify({ wallet: address(3), authorized: true, lockupUntil: 1700000000 }),
+            "{ broken",
+            JSON.stringify({ wallet: address(4), authorized: false }),
+        ].join("\n");
+
+        const { body } = await invoke({
+            action: "CompanyImport",
+            entityType: "investor",
+            format: "jsonl",
+            content,
+            columns: { wallet: "investorAddress" },
+        });
+
+        assert.equal(body.processedCount, 2);
+        assert.deepEqual(body.errors, [{ line: 2, field: "line", message: "is not valid JSON" }]);
+        const { body: investor } = await invoke({ action: "readInvestor", investorAddress: address(3) });
+        assert.equal(investor.data.lockupUntil, 1700000000);
+    });
+
+    it("should summarize an allowlist dry run without storing", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyImport",
+            entityType: "allowlist",
+            format: "csv",
+            content: `investorAddress,capUsdc\n${address(3)},1000\n${address(4)},-5\n`,
+            roundId: "3",
+            apiUrl: API_URL,
+            dryRun: true,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.dryRun, true);
+        assert.equal(body.valid, false);
+        assert.deepEqual(body.data.map(({ status }) => status), ["valid", "invalid"]);
+        assert.deepEqual(body.syncPayloads, [
+            {
+                action: "SYNC_BATCH",
+                batches: [{ action: "SYNC_SET_ROUND_ALLOWLIST", roundId: "3", investorAddress: address(3), capUsdc: "1000" }],
+            },
+        ]);
+        assert.equal((await store.queryByEntityType("roundAllowlist", {})).items.length, 0);
+        assert.equal(sentBodies.length, 0);
+    });
+
+    it("should require roundId for allowlist imports", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyImport",
+            entityType: "allowlist",
+            format: "csv",
+            content: `investorAddress,capUsdc\n${address(3)},1000\n`,
+        });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors, [{ field: "roundId", message: "is required for allowlist imports" }]);
+    });
+});
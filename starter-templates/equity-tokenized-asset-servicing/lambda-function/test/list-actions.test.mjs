@@ -0,0 +1,150 @@
+import { describe, it, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mockClient } from "aws-sdk-client-mock";
+import { DynamoDBDocumentClient, QueryCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
+
+// Must set AWS_REGION before importing handler
+process.env.AWS_REGION = "us-east-2";
+
+const ddbMock = mockClient(DynamoDBDocumentClient);
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.handler;
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const queryInputs = () => ddbMock.commandCalls(QueryCommand).map((call) => call.args[0].input);
+
+const employee = (n) => ({
+    RecordId: `employee:0x${String(n).padStart(40, "0")}`,
+    entityType: "employee",
+    employed: true,
+});
+
+// ---------------------------------------------------------------------------
+// Setup / Teardown
+// ---------------------------------------------------------------------------
+beforeEach(() => {
+    ddbMock.reset();
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+});
+
+afterEach(() => {
+    ddbMock.reset();
+});
+
+// ---------------------------------------------------------------------------
+// List actions
+// ---------------------------------------------------------------------------
+
+describe("listEmployees – GSI query with filters", () => {
+    it("should query the entityType index instead of scanning", async () => {
+        ddbMock.on(QueryCommand).resolves({ Items: [employee(1)] });
+
+        const { statusCode, body } = await invoke({
+            action: "listEmployees",
+            kycVerified: "true",
+            employed: false,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.length, 1);
+        assert.equal(body.nextCursor, null);
+        assert.equal(ddbMock.commandCalls(ScanCommand).length, 0);
+
+        const [input] = queryInputs();
+        assert.equal(input.IndexName, "entityType-index");
+        assert.equal(input.KeyConditionExpression, "#entityType = :entityType");
+        assert.equal(input.ExpressionAttributeValues[":entityType"], "employee");
+        assert.equal(input.FilterExpression, "#filter0 = :filter0 AND #filter1 = :filter1");
+        assert.equal(input.ExpressionAttributeNames["#filter0"], "kycVerified");
+        assert.equal(input.ExpressionAttributeValues[":filter0"], true);
+        assert.equal(input.ExpressionAttributeNames["#filter1"], "employed");
+        assert.equal(input.ExpressionAttributeValues[":filter1"], false);
+        assert.equal(input.Limit, 25);
+    });
+
+    it("should keep querying when filters thin out a page, and return a cursor at the last item", async () => {
+        ddbMock
+            .on(QueryCommand)
+            .resolvesOnce({ Items: [employee(1)], LastEvaluatedKey: { RecordId: "employee:k1", entityType: "employee" } })
+            .resolvesOnce({ Items: [employee(2), employee(3)], LastEvaluatedKey: { RecordId: "employee:k2", entityType: "employee" } });
+
+        const { body } = await invoke({ action: "listEmployees", employed: true, limit: 2 });
+
+        assert.deepEqual(body.data.map((item) => item.RecordId), [employee(1).RecordId, employee(2).RecordId]);
+        const [, second] = queryInputs();
+        assert.deepEqual(second.ExclusiveStartKey, { RecordId: "employee:k1", entityType: "employee" });
+
+        await invoke({ action: "listEmployees", employed: true, limit: 2, cursor: body.nextCursor });
+        const [, , resumed] = queryInputs();
+        assert.deepEqual(resumed.ExclusiveStartKey, { RecordId: employee(2).RecordId, entityType: "employee" });
+    });
+
+    it("should cap the limit at 100 and reject invalid limits", async () => {
+        await invoke({ action: "listEmployees", limit: 5000 });
+        assert.equal(queryInputs()[0].Limit, 100);
+
+        const { statusCode } = await invoke({ action: "listEmployees", limit: 0 });
+        assert.equal(statusCode, 400);
+    });
+});
+
+describe("listInvestors / listRounds / listPurchases / listAllowlist", () => {
+    it("listInvestors should filter on authorization", async () => {
+        await invoke({ action: "listInvestors", authorized: true });
+
+        const [input] = queryInputs();
+        assert.equal(input.ExpressionAttributeValues[":entityType"], "investor");
+        assert.equal(input.ExpressionAttributeNames["#filter0"], "authorized");
+        assert.equal(input.ExpressionAttributeValues[":filter0"], true);
+    });
+
+    it("listRounds should filter on status", async () => {
+        await invoke({ action: "listRounds", status: "open" });
+
+        const [input] = queryInputs();
+        assert.equal(input.ExpressionAttributeValues[":entityType"], "round");
+        assert.equal(input.ExpressionAttributeNames["#filter0"], "status");
+        assert.equal(input.ExpressionAttributeValues[":filter0"], "open");
+    });
+
+    it("listPurchases should filter on status, roundId and buyer", async () => {
+        await invoke({ action: "listPurchases", status: "pending", roundId: 4, buyer: `0x${"AB".repeat(20)}` });
+
+        const [input] = queryInputs();
+        assert.equal(input.ExpressionAttributeValues[":entityType"], "purchase");
+        assert.deepEqual(
+            Object.values(input.ExpressionAttributeValues).slice(1),
+            ["pending", "4", `0x${"ab".repeat(20)}`],
+        );
+    });
+
+    it("listAllowlist should narrow a round with a key condition, not a filter", async () => {
+        ddbMock.on(QueryCommand).resolves({
+            Items: [{ RecordId: "round:4:allowlist:0xabc", entityType: "roundAllowlist", capUsdc: "1000" }],
+        });
+
+        const { body } = await invoke({ action: "listAllowlist", roundId: 4 });
+
+        assert.equal(body.data[0].capUsdc, "1000");
+        const [input] = queryInputs();
+        assert.equal(input.ExpressionAttributeValues[":entityType"], "roundAllowlist");
+        assert.equal(input.KeyConditionExpression, "#entityType = :entityType AND begins_with(#recordId, :recordIdPrefix)");
+        assert.equal(input.ExpressionAttributeValues[":recordIdPrefix"], "round:4:allowlist:");
+        assert.equal(input.FilterExpression, undefined);
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+import { createLocalServer } from "../server.mjs";
+
+let server;
+let baseUrl;
+before(async () => {
+    const { createHandler } = await import("../index.mjs");
+    server = createLocalServer(createHandler(createMemoryStore()));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const post = async (body) => {
+    const response = await fetch(baseUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { statusCode: response.status, contentType: response.headers.get("content-type"), body: await response.json() };
+};
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+
+// ---------------------------------------------------------------------------
+// Local server
+// ---------------------------------------------------------------------------
+
+describe("Local HTTP server", () => {
+    it("should run actions through the handler and keep state between requests", async () => {
+        const created = await post({ action: "CompanyEmployeeInput", employeeAddress: EMPLOYEE, employed: true });
+        assert.equal(created.statusCode, 200);
+        assert.equal(created.contentType, "application/json");
+
+        const read = await post({ action: "readEmployee", employeeAddress: EMPLOYEE });
+        assert.equal(read.statusCode, 200);
+        assert.equal(read.body.data.employed, true);
+    });
+
+    it("should return the handler's status codes", async () => {
+        assert.equal((await post({ action: "readEmployee", employeeAddress: `0x${"01".repeat(20)}` })).statusCode, 404);
+        assert.equal((await post({ action: "readEmployee" })).statusCode, 400);
+        assert.equal((await post("{not json")).statusCode, 400);
+
+        const unknown = await post({ action: "NotAnAction" });
+        assert.equal(unknown.statusCode, 400);
+        assert.ok(unknown.body.supportedActions.includes("readEmployee"));
+    });
+
+    it("should answer 413 to a body above the Lambda payload limit", async () => {
+        const { statusCode, body } = await post(`"${"a".repeat(6 * 1024 * 1024)}"`);
+
+        assert.equal(statusCode, 413);
+        assert.equal(body.error, "Request body too large");
+    });
+});
@@ -0,0 +1,175 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+import { stubCre } from "./cre-stub.mjs";
+
+process.env.AUTH_CLIENTS = JSON.stringify({
+    "platform-admin": { role: "company-admin", token: "platform-token-0123456789" },
+    "acme-backend": { role: "company-admin", token: "acme-token-0123456789", companyId: "acme" },
+    "cre-workflow": { role: "cre-workflow", token: "workflow-token-0123456789" },
+});
+
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body, token = "platform-token-0123456789") => {
+    const response = await handler({ headers: { authorization: `Bearer ${token}` }, body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const WORKFLOW_TOKEN = "workflow-token-0123456789";
+const ACME_API_URL = "https://acme-cre.example.com/trigger";
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+
+// CRE trigger requests sent by the handler, collected by stubCre.
+let sent = [];
+
+const employ = (companyId, employed) =>
+    invoke({ action: "CompanyEmployeeInput", companyId, employeeAddress: EMPLOYEE, employed, employeeId: `${companyId}-1` });
+
+beforeEach(() => {
+    store.clear();
+    sent = stubCre((options, body) => ({ host: options.hostname, body }));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Isolation
+// ---------------------------------------------------------------------------
+
+describe("Multi-company – isolation", () => {
+    it("should keep the same wallet apart in each company", async () => {
+        await employ("acme", true);
+        await employ("globex", false);
+
+        const acme = await invoke({ action: "readEmployee", companyId: "acme", employeeAddress: EMPLOYEE });
+        const globex = await invoke({ action: "readEmployee", companyId: "globex", employeeAddress: EMPLOYEE });
+        assert.deepEqual([acme.body.data.employed, acme.body.data.companyId], [true, "acme"]);
+        assert.deepEqual([globex.body.data.employed, globex.body.data.companyId], [false, "globex"]);
+        assert.equal(acme.body.data.RecordId, `employee:${EMPLOYEE}`);
+
+        const missing = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE });
+        assert.equal(missing.statusCode, 404, "the default company has no such employee");
+
+        const listed = await invoke({ action: "listEmployees", companyId: "acme" });
+        assert.deepEqual(listed.body.data.map(({ employeeId }) => employeeId), ["acme-1"]);
+        assert.equal((await invoke({ action: "listEmployees" })).body.data.length, 0);
+
+        const history = await invoke({ action: "readEmployeeHistory", companyId: "globex", employeeAddress: EMPLOYEE });
+        assert.equal(history.body.data.length, 1);
+        assert.equal(history.body.data[0].next.employeeId, "globex-1");
+    });
+
+    it("should keep vault totals per company", async () => {
+        await invoke({ action: "PrivateDeposit", companyId: "acme", amount: "1000" }, WORKFLOW_TOKEN);
+        await invoke({ action: "PrivateDeposit", amount: "5" }, WORKFLOW_TOKEN);
+
+        const acme = await invoke({ action: "Export", companyId: "acme", reports: ["vault"] });
+        const main = await invoke({ action: "Export", reports: ["vault"] });
+        assert.equal(acme.body.reports.vault[0].totalDeposited, "1000");
+        assert.equal(main.body.reports.vault[0].totalDeposited, "5");
+    });
+
+    it("should keep records updated by accumulator events in their company's listings", async () => {
+        await employ("acme", true);
+        await invoke(
+            { action: "TicketRedeemed", companyId: "acme", employeeAddress: EMPLOYEE, amount: "100" },
+            WORKFLOW_TOKEN,
+        );
+
+        const acme = await invoke({ action: "listEmployees", companyId: "acme" });
+        assert.deepEqual(
+            acme.body.data.map(({ RecordId, claimedAmount }) => [RecordId, claimedAmount]),
+            [[`employee:${EMPLOYEE}`, "100"]],
+        );
+        assert.equal((await invoke({ action: "listEmployees" })).body.data.length, 0);
+
+        const stored = await store.get(`acme#employee:${EMPLOYEE}`);
+        assert.equal(stored.entityType, "acme#employee");
+    });
+
+    it("should hold clients bound to a company to that company", async () => {
+        const own = await employ("acme", true);
+        assert.equal(own.statusCode, 200);
+
+        const implicit = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE }, "acme-token-0123456789");
+        assert.equal(implicit.body.data.companyId, "acme");
+
+        const other = await invoke(
+            { action: "readEmployee", companyId: "globex", employeeAddress: EMPLOYEE },
+            "acme-token-0123456789",
+        );
+        assert.equal(other.statusCode, 403);
+        assert.match(other.body.error, /may not access company globex/);
+    });
+
+    it("should reject a malformed companyId", async () => {
+        const { statusCode, body } = await invoke({ action: "listEmployees", companyId: "Acme#1" });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors.map(({ field }) => field), ["companyId"]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Company config and sync payloads
+// ---------------------------------------------------------------------------
+
+describe("Multi-company – sync", () => {
+    it("should sync to the company's apiUrl and tag its payloads", async () => {
+        await invoke({ action: "CompanyConfigInput", companyId: "acme", name: "Acme", apiUrl: ACME_API_URL });
+        const config = await invoke({ action: "readCompanyConfig", companyId: "acme" });
+        assert.deepEqual([config.body.companyId, config.body.data.apiUrl], ["acme", ACME_API_URL]);
+
+        const { body } = await employ("acme", true);
+        assert.equal(body.syncTriggered, 1);
+        assert.deepEqual(sent, [
+            {
+                host: "acme-cre.example.com",
+                body: { action: "SYNC_EMPLOYMENT_STATUS", employeeAddress: EMPLOYEE, employed: true, companyId: "acme" },
+            },
+        ]);
+
+        const outbox = await invoke({ action: "listSyncOutbox", companyId: "acme" });
+        assert.equal(outbox.body.data.length, 1);
+        assert.equal((await invoke({ action: "listSyncOutbox" })).body.data.length, 0);
+    });
+
+    it("should route on-chain events to the company they name", async () => {
+        await invoke(
+            { action: "EmploymentStatusUpdated", companyId: "acme", employeeAddress: EMPLOYEE, employed: true },
+            WORKFLOW_TOKEN,
+        );
+
+        const acme = await invoke({ action: "readEmployee", companyId: "acme", employeeAddress: EMPLOYEE });
+        assert.equal(acme.body.data.employed, true);
+        assert.equal((await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE })).statusCode, 404);
+    });
+
+    it("should only reconcile a company once it has its own contracts", async () => {
+        const { statusCode, body } = await invoke({
+            action: "Reconcile",
+            companyId: "acme",
+            rpcUrl: "https://rpc.example.com",
+        });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors.map(({ field }) => field), ["companyId"]);
+        assert.match(body.errors[0].message, /CompanyConfigInput/);
+    });
+});
@@ -0,0 +1,207 @@
+import { describe, it, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mockClient } from "aws-sdk-client-mock";
+import { TransactionCanceledException } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, PutCommand, TransactWriteCommand } from "@aws-sdk/lib-dynamodb";
+
+// Must set AWS_REGION before importing handler
+process.env.AWS_REGION = "us-east-2";
+process.env.UPSERT_MAX_RETRIES = "2";
+
+const ddbMock = mockClient(DynamoDBDocumentClient);
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.handler;
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const INVESTOR = "0xcccccccccccccccccccccccccccccccccccccccc";
+
+const versionConflict = () =>
+    new TransactionCanceledException({
+        message: "Transaction cancelled",
+        $metadata: {},
+        CancellationReasons: [{ Code: "ConditionalCheckFailed" }, { Code: "None" }],
+    });
+
+// First item of each transaction is the record write; the second is its history item.
+const recordWrites = () =>
+    ddbMock.commandCalls(TransactWriteCommand).map((call) => call.args[0].input.TransactItems[0]);
+
+// ---------------------------------------------------------------------------
+// Setup / Teardown
+// ---------------------------------------------------------------------------
+beforeEach(() => {
+    ddbMock.reset();
+    ddbMock.on(GetCommand).resolves({ Item: undefined });
+    ddbMock.on(PutCommand).resolves({});
+    ddbMock.on(TransactWriteCommand).resolves({});
+});
+
+afterEach(() => {
+    ddbMock.reset();
+});
+
+// ---------------------------------------------------------------------------
+// Versioned upserts
+// ---------------------------------------------------------------------------
+
+describe("upsertRecord – conditional writes on version", () => {
+    it("should create new records with version 1 and attribute_not_exists", async () => {
+        const { statusCode, body } = await invoke({
+            action: "EmploymentStatusUpdated",
+            employeeAddress: EMPLOYEE,
+            employed: true,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.version, 1);
+        const [{ Put }] = recordWrites();
+        assert.equal(Put.ConditionExpression, "attribute_not_exists(#pk)");
+        assert.deepEqual(Put.ExpressionAttributeNames, { "#pk": "RecordId" });
+    });
+
+    it("should require the version that was read when updating", async () => {
+        ddbMock.on(GetCommand).resolves({
+            Item: { RecordId: `employee:${EMPLOYEE}`, entityType: "employee", employed: true, version: 4 },
+        });
+
+        const { body } = await invoke({
+            action: "EmploymentStatusUpdated",
+            employeeAddress: EMPLOYEE,
+            employed: false,
+        });
+
+        assert.equal(body.data.version, 5);
+        const [{ Put }] = recordWrites();
+        assert.equal(Put.ConditionExpression, "#version = :expectedVersion");
+        assert.deepEqual(Put.ExpressionAttributeValues, { ":expectedVersion": 4 });
+        assert.equal(Put.Item.version, 5);
+    });
+
+    it("should re-read and merge when a concurrent writer wins the first attempt", async () => {
+        ddbMock
+            .on(GetCommand)
+            .resolvesOnce({ Item: { RecordId: `employee:${EMPLOYEE}`, employed: true, version: 1 } })
+            .resolves({
+                Item: { RecordId: `employee:${EMPLOYEE}`, employed: true, claimedAmount: "50", version: 2 },
+            });
+        ddbMock.on(TransactWriteCommand).rejectsOnce(versionConflict()).resolves({});
+
+        const { statusCode, body } = await invoke({
+            action: "CountryUpdated",
+            employeeAddress: EMPLOYEE,
+            country: 484,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.version, 3);
+        assert.equal(body.data.claimedAmount, "50", "concurrent increment must survive the retry");
+        assert.equal(ddbMock.commandCalls(GetCommand).length, 2);
+        assert.equal(recordWrites().length, 2);
+    });
+
+    it("should answer 409 once UPSERT_MAX_RETRIES is exhausted", async () => {
+        ddbMock.on(TransactWriteCommand).rejects(versionConflict());
+
+        const { statusCode, body } = await invoke({
+            action: "CountryUpdated",
+            employeeAddress: EMPLOYEE,
+            country: 484,
+        });
+
+        assert.equal(statusCode, 409);
+        assert.match(body.error, /^Concurrent update conflict on employee:/);
+        assert.equal(recordWrites().length, 3);
+    });
+
+    it("should not overwrite stored fields with omitted optional parameters", async () => {
+        ddbMock.on(GetCommand).resolves({
+            Item: { RecordId: `investor:${INVESTOR}`, investorAddress: INVESTOR, notes: "seed", lockupUntil: 99, version: 1 },
+        });
+
+        const { body } = await invoke({
+            action: "CompanyInvestorInput",
+            investorAddress: INVESTOR.toUpperCase().replace("0X", "0x"),
+            authorized: true,
+        });
+
+        assert.equal(body.data.notes, "seed");
+        assert.equal(body.data.lockupUntil, 99);
+        assert.equal(body.data.authorized, true);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Atomic accumulators
+// ---------------------------------------------------------------------------
+
+describe("TicketRedeemed / PrivateDeposit – atomic ADD", () => {
+    it("TicketRedeemed should ADD the amount under the version condition", async () => {
+        ddbMock.on(GetCommand).resolves({
+            Item: { RecordId: `employee:${EMPLOYEE}`, claimedAmount: 1000000000000000000000n, version: 2 },
+        });
+
+        const { statusCode, body } = await invoke({
+            action: "TicketRedeemed",
+            employeeAddress: EMPLOYEE,
+            amount: "500000000000000000000",
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.claimedAmount, "1500000000000000000000");
+        assert.equal(body.data.version, 3);
+        assert.equal(ddbMock.commandCalls(PutCommand).length, 0);
+
+        const [{ Update }] = recordWrites();
+        assert.match(Update.UpdateExpression, / ADD #add0 :add0$/);
+        assert.equal(Update.ExpressionAttributeNames["#add0"], "claimedAmount");
+        assert.equal(Update.ExpressionAttributeValues[":add0"], 500000000000000000000n);
+        assert.equal(Update.ConditionExpression, "#version = :expectedVersion");
+        assert.equal(Update.ExpressionAttributeValues[":expectedVersion"], 2);
+    });
+
+    it("TicketRedeemed should retry the ADD when a concurrent write bumps the version", async () => {
+        ddbMock
+            .on(GetCommand)
+            .resolvesOnce({ Item: { RecordId: `employee:${EMPLOYEE}`, claimedAmount: 100n, version: 1 } })
+            .resolves({ Item: { RecordId: `employee:${EMPLOYEE}`, claimedAmount: 150n, version: 2 } });
+        ddbMock.on(TransactWriteCommand).rejectsOnce(versionConflict()).resolves({});
+
+        const { body } = await invoke({ action: "TicketRedeemed", employeeAddress: EMPLOYEE, amount: "10" });
+
+        assert.equal(body.data.claimedAmount, "160");
+        assert.equal(recordWrites().length, 2);
+    });
+
+    it("PrivateDeposit should rewrite legacy string totals as numbers", async () => {
+        ddbMock.on(GetCommand).resolves({
+            Item: { RecordId: "vault:main", entityType: "vault", totalDeposited: "100", version: 1 },
+        });
+
+        const { statusCode, body } = await invoke({ action: "PrivateDeposit", amount: "50" });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.totalDeposited, "150");
+        const [{ Update }] = recordWrites();
+        assert.doesNotMatch(Update.UpdateExpression, / ADD /);
+        const [name] = Object.entries(Update.ExpressionAttributeNames).find(([, field]) => field === "totalDeposited");
+        const value = name.replace("#", ":");
+        assert.match(Update.UpdateExpression, new RegExp(`${name} = ${value}`));
+        assert.equal(Update.ExpressionAttributeValues[value], 150n);
+    });
+});
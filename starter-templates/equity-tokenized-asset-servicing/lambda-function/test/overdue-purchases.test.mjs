@@ -0,0 +1,140 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+import { stubCre } from "./cre-stub.mjs";
+
+process.env.PRIVATE_ROUNDS_SETTLEMENT_TIMEOUT_SECONDS = "600";
+
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const API_URL = "https://cre-gateway.example.com/trigger";
+const BUYER = "0xcccccccccccccccccccccccccccccccccccccccc";
+const COMMITMENT = `0x${"1".repeat(64)}`;
+const SETTLEMENT_TIMEOUT = "0x534554544c454d454e545f54494d454f55540000000000000000000000000000";
+
+// CRE trigger requests sent by the handler, collected by stubCre.
+let sentBodies = [];
+
+// PurchaseRequested received at `requestedAt` (unix seconds).
+const requestPurchase = async (purchaseId, roundId, requestedAt) => {
+    mock.method(Date, "now", () => requestedAt * 1000);
+    await invoke({
+        action: "PurchaseRequested",
+        purchaseId,
+        roundId,
+        buyer: BUYER,
+        usdcAmount: "100",
+        aceRecipientCommitment: COMMITMENT,
+    });
+    Date.now.mock.restore();
+};
+
+// ---------------------------------------------------------------------------
+// Setup / Teardown
+// ---------------------------------------------------------------------------
+beforeEach(async () => {
+    store.clear();
+    sentBodies = stubCre();
+
+    await requestPurchase("1", "3", 1700000000);
+    await requestPurchase("2", "3", 1700000300);
+    await requestPurchase("3", "4", 1700000100);
+    await requestPurchase("4", "3", 1700000000);
+    await invoke({ action: "PurchaseSettled", purchaseId: "4", aceTransferRef: COMMITMENT, usdcAmount: "100", treasury: BUYER });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Overdue purchase tests
+// ---------------------------------------------------------------------------
+
+describe("PurchaseRequested – settlement deadline", () => {
+    it("should store requestedAt and the deadline from the settlement timeout", async () => {
+        const { body } = await invoke({ action: "readPurchase", purchaseId: "1" });
+
+        assert.equal(body.data.requestedAt, 1700000000);
+        assert.equal(body.data.settlementDeadline, 1700000600);
+    });
+});
+
+describe("ListOverduePurchases", () => {
+    it("should list pending purchases past their deadline, oldest first", async () => {
+        const { statusCode, body } = await invoke({ action: "ListOverduePurchases", asOf: 1700000700 });
+
+        assert.equal(statusCode, 200);
+        assert.deepEqual(
+            body.data.map(({ purchaseId, overdueSeconds }) => [purchaseId, overdueSeconds]),
+            [["1", 100], ["3", 0]],
+        );
+    });
+
+    it("should filter by round and recompute deadlines with settlementTimeoutSeconds", async () => {
+        const { body } = await invoke({
+            action: "ListOverduePurchases",
+            asOf: 1700000400,
+            settlementTimeoutSeconds: 100,
+            roundId: "3",
+        });
+
+        assert.deepEqual(
+            body.data.map(({ purchaseId, settlementDeadline }) => [purchaseId, settlementDeadline]),
+            [["1", 1700000100], ["2", 1700000400]],
+        );
+    });
+});
+
+describe("RefundOverduePurchases", () => {
+    it("should send SYNC_REFUND_PURCHASE with the settlement-timeout reason once per purchase", async () => {
+        const { statusCode, body } = await invoke({ action: "RefundOverduePurchases", apiUrl: API_URL, asOf: 1700000700 });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.overdueCount, 2);
+        assert.equal(body.refundsTriggered, 2);
+        assert.deepEqual(sentBodies, [
+            { action: "SYNC_REFUND_PURCHASE", purchaseId: "1", reason: SETTLEMENT_TIMEOUT },
+            { action: "SYNC_REFUND_PURCHASE", purchaseId: "3", reason: SETTLEMENT_TIMEOUT },
+        ]);
+
+        const { body: again } = await invoke({ action: "RefundOverduePurchases", apiUrl: API_URL, asOf: 1700000700 });
+        assert.equal(again.overdueCount, 2);
+        assert.equal(again.refundsTriggered, 0);
+        assert.equal(sentBodies.length, 2);
+    });
+
+    it("should stop listing a purchase once PurchaseRefunded arrives", async () => {
+        await invoke({ action: "RefundOverduePurchases", apiUrl: API_URL, asOf: 1700000700 });
+        await invoke({ action: "PurchaseRefunded", purchaseId: "1", buyer: BUYER, usdcAmount: "100", reason: SETTLEMENT_TIMEOUT });
+
+        const { body } = await invoke({ action: "ListOverduePurchases", asOf: 1700000700 });
+        assert.deepEqual(body.data.map(({ purchaseId }) => purchaseId), ["3"]);
+        assert.ok(body.data[0].refundRequestedAt);
+    });
+
+    it("should require apiUrl", async () => {
+        const { statusCode, body } = await invoke({ action: "RefundOverduePurchases" });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors.map((error) => error.field), ["apiUrl"]);
+    });
+});
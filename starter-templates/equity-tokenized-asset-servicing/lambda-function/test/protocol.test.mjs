@@ -0,0 +1,232 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    ACTION_TYPE,
+    EVENT_SIGNATURES,
+    EVENTS,
+    REQUEST_ACTION_TYPE,
+    SYNC_ACTION_NAMES,
+    decodeActionReport,
+    encodeActionReport,
+    encodeRequestInstruction,
+    encodeSyncInstruction,
+    encodeSyncReport,
+    eventPayload,
+    syncPayload,
+    toJsonSchema,
+    validateSyncPayload,
+} from "../protocol/index.mjs";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const words = (...list) => `0x${list.join("")}`;
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const IDENTITY = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+
+// Reference encodings produced with viem's encodeAbiParameters.
+const KYC_REPORT = words(
+        "0000000000000000000000000000000000000000000000000000000000000000",
+        "0000000000000000000000000000000000000000000000000000000000000040",
+        "0000000000000000000000000000000000000000000000000000000000000080",
+        "000000000000000000000000aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa",
+        "0000000000000000000000000000000000000000000000000000000000000001",
+        "000000000000000000000000bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb",
+        "0000000000000000000000000000000000000000000000000000000000000348",
+);
+
+const CREATE_ROUND_REPORT = words(
+        "000000000000000000000000000000000000000000000000000000000000000b",
+        "0000000000000000000000000000000000000000000000000000000000000040",
+        "00000000000000000000000000000000000000000000000000000000000000a0",
+        "0000000000000000000000000000000000000000000000000000000000000007",
+        "000000000000000000000000000000000000000000000000000000006553f100",
+        "0000000000000000000000000000000000000000000000000000000065554280",
+        "00000000000000000000000000000000000000000000000000000000000f4240",
+        "000000000000000000000000000000000000000c9f2c9cd04674edea40000000",
+);
+
+const BATCH_REPORT = words(
+        "0000000000000000000000000000000000000000000000000000000000000005",
+        "0000000000000000000000000000000000000000000000000000000000000040",
+        "00000000000000000000000000000000000000000000000000000000000001e0",
+        "0000000000000000000000000000000000000000000000000000000000000020",
+        "0000000000000000000000000000000000000000000000000000000000000002",
+        "0000000000000000000000000000000000000000000000000000000000000040",
+        "0000000000000000000000000000000000000000000000000000000000000100",
+        "00000000000000000000000000000000000000000000000000000000000000a0",
+        "0000000000000000000000000000000000000000000000000000000000000001",
+        "0000000000000000000000000000000000000000000000000000000000000040",
+        "0000000000000000000000000000000000000000000000000000000000000040",
+        "000000000000000000000000aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa",
+        "0000000000000000000000000000000000000000000000000000000000000000",
+        "0000000000000000000000000000000000000000000000000000000000000080",
+        "000000000000000000000000000000000000000000000000000000000000000d",
+        "0000000000000000000000000000000000000000000000000000000000000040",
+        "0000000000000000000000000000000000000000000000000000000000000020",
+        "0000000000000000000000000000000000000000000000000000000000000007",
+);
+
+// ---------------------------------------------------------------------------
+// Action table
+// ---------------------------------------------------------------------------
+
+describe("Protocol action table", () => {
+    it("should number actions the way the receiver does", () => {
+        assert.equal(ACTION_TYPE.SYNC_KYC, 0);
+        assert.equal(ACTION_TYPE.SYNC_BATCH, 5);
+        assert.equal(ACTION_TYPE.SYNC_SET_TOKEN_COMPLIANCE, 17);
+        assert.equal(ACTION_TYPE.SYNC_CANCEL_ROUND, 18);
+
+        const types = SYNC_ACTION_NAMES.map((action) => ACTION_TYPE[action]);
+        assert.equal(new Set(types).size, types.length, "action types must be unique");
+    });
+
+    it("should list one signature per event", () => {
+        assert.equal(EVENT_SIGNATURES.length, Object.keys(EVENTS).length);
+        for (const [name, { signature }] of Object.entries(EVENTS)) {
+            assert.ok(signature.startsWith(`event ${name}(`), name);
+        }
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Encoding
+// ---------------------------------------------------------------------------
+
+describe("Protocol encoding", () => {
+    it("should encode reports byte-for-byte like viem", () => {
+        assert.equal(
+            encodeSyncReport({ action: "SYNC_KYC", employeeAddress: EMPLOYEE, verified: true, identityAddress: IDENTITY, country: 840 }),
+            KYC_REPORT,
+        );
+        assert.equal(
+            encodeSyncReport({
+                action: "SYNC_CREATE_ROUND",
+                roundId: "7",
+                startTime: 1700000000,
+                endTime: 1700086400,
+                tokenPriceUsdc6: "1000000",
+                maxUsdc: (10n ** 30n).toString(),
+            }),
+            CREATE_ROUND_REPORT,
+        );
+        assert.equal(
+            encodeSyncReport({
+                action: "SYNC_BATCH",
+                batches: [
+                    { action: "SYNC_EMPLOYMENT_STATUS", employeeAddress: EMPLOYEE, employed: false },
+                    { action: "SYNC_OPEN_ROUND", roundId: 7 },
+                ],
+            }),
+            BATCH_REPORT,
+        );
+    });
+
+    it("should fill optional fields with their defaults", () => {
+        const { actionType, payload } = encodeSyncInstruction({ action: "SYNC_KYC", employeeAddress: EMPLOYEE, verified: false });
+
+        assert.equal(actionType, ACTION_TYPE.SYNC_KYC);
+        assert.deepEqual(decodeActionReport(encodeSyncReport({ action: "SYNC_KYC", employeeAddress: EMPLOYEE, verified: false })), {
+            action: "SYNC_KYC",
+            employeeAddress: EMPLOYEE,
+            verified: false,
+            identityAddress: EMPLOYEE,
+            country: 0,
+        });
+        assert.match(payload, /^0x[0-9a-f]+$/);
+    });
+
+    it("should decode reports back to their JSON payloads", () => {
+        assert.deepEqual(decodeActionReport(BATCH_REPORT), {
+            action: "SYNC_BATCH",
+            batches: [
+                { action: "SYNC_EMPLOYMENT_STATUS", employeeAddress: EMPLOYEE, employed: false },
+                { action: "SYNC_OPEN_ROUND", roundId: "7" },
+            ],
+        });
+        assert.equal(decodeActionReport(CREATE_ROUND_REPORT).maxUsdc, (10n ** 30n).toString());
+        assert.throws(() => decodeActionReport("0x1234"), /too short/);
+    });
+
+    it("should wrap a report with the id of its request", () => {
+        const requestId = `0x${"ab".repeat(32)}`;
+        const instruction = encodeSyncInstruction({ action: "SYNC_OPEN_ROUND", roundId: "7" });
+        const wrapped = encodeRequestInstruction(requestId, instruction);
+
+        assert.equal(wrapped.actionType, REQUEST_ACTION_TYPE);
+        assert.ok(!Object.values(ACTION_TYPE).includes(REQUEST_ACTION_TYPE));
+        assert.deepEqual(decodeActionReport(encodeActionReport(wrapped)), { requestId, action: "SYNC_OPEN_ROUND", roundId: "7" });
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+describe("Protocol validation", () => {
+    it("should report every bad field", () => {
+        const errors = validateSyncPayload({ action: "SYNC_SET_ROUND_ALLOWLIST", roundId: -1, investorAddress: "0x12" });
+
+        assert.deepEqual(errors.map((error) => error.field), ["roundId", "investorAddress", "capUsdc"]);
+    });
+
+    it("should reject unknown actions, nested batches and zero amounts", () => {
+        assert.throws(() => encodeSyncInstruction({ action: "toString" }), /action must be one of/);
+        assert.throws(
+            () => encodeSyncInstruction({ action: "SYNC_BATCH", batches: [{ action: "SYNC_BATCH", batches: [] }] }),
+            /cannot nest SYNC_BATCH/,
+        );
+        assert.throws(() => syncPayload("SYNC_MINT", { to: EMPLOYEE, amount: "0" }), /amount must be greater than 0/);
+        assert.throws(
+            () => syncPayload("SYNC_KYC", { employeeAddress: EMPLOYEE, verified: true }),
+            /identityAddress is required when verified=true/,
+        );
+    });
+
+    it("should describe payloads as JSON Schema", () => {
+        const schema = toJsonSchema("SYNC_REFUND_PURCHASE");
+
+        assert.deepEqual(schema.required, ["action", "purchaseId"]);
+        assert.equal(schema.properties.reason.pattern, "^0x[0-9a-fA-F]{64}$");
+        assert.equal(toJsonSchema("SYNC_BATCH").properties.batches.items.oneOf.length, SYNC_ACTION_NAMES.length - 1);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Events
+// ---------------------------------------------------------------------------
+
+describe("Protocol events", () => {
+    it("should map decoded event arguments to Lambda payloads", () => {
+        assert.deepEqual(eventPayload("RoundCreated", {
+            roundId: 7n,
+            startTime: 1700000000n,
+            endTime: 1700086400n,
+            tokenPriceUsdc6: 1000000n,
+            maxUsdc: 10n ** 30n,
+        }), {
+            action: "RoundCreated",
+            roundId: "7",
+            startTime: 1700000000,
+            endTime: 1700086400,
+            tokenPriceUsdc6: "1000000",
+            maxUsdc: (10n ** 30n).toString(),
+        });
+        assert.equal(eventPayload("Unknown", {}), null);
+    });
+
+    it("should rename event arguments to the Lambda field names", () => {
+        assert.deepEqual(eventPayload("SettlementTimeoutUpdated", { previousTimeout: 3600n, newTimeout: 7200n }), {
+            action: "SettlementTimeoutUpdated",
+            previousTimeoutSeconds: 3600,
+            settlementTimeoutSeconds: 7200,
+        });
+        assert.deepEqual(eventPayload("OracleStatusUpdated", { oracle: "0xAbC", authorized: true }), {
+            action: "OracleStatusUpdated",
+            oracleAddress: "0xAbC",
+            authorized: true,
+        });
+    });
+});
@@ -0,0 +1,258 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import https from "node:https";
+import { createMemoryStore } from "../storage/index.mjs";
+import { encodeParameters } from "../protocol/index.mjs";
+
+const IDENTITY_REGISTRY = "0x1000000000000000000000000000000000000001";
+const PRIVATE_EQUITY = "0x2000000000000000000000000000000000000002";
+const PRIVATE_ROUNDS_MARKET = "0x3000000000000000000000000000000000000003";
+
+process.env.IDENTITY_REGISTRY_ADDRESS = IDENTITY_REGISTRY;
+process.env.PRIVATE_EQUITY_ADDRESS = PRIVATE_EQUITY;
+process.env.PRIVATE_ROUNDS_MARKET_ADDRESS = PRIVATE_ROUNDS_MARKET;
+// TOKEN_ADDRESS and COMPLIANCE_V2_ADDRESS are left unset: those checks are skipped.
+
+// Dynamic import so env vars are picked up; every test gets a fresh store.
+let createHandler;
+let store;
+let handler;
+before(async () => {
+    ({ createHandler } = await import("../index.mjs"));
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const RPC_URL = "https://rpc.example.com";
+const API_URL = "https://cre-gateway.example.com/trigger";
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+const IDENTITY = "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb";
+const ZERO_BYTES32 = `0x${"0".repeat(64)}`;
+
+// keccak256 selectors of the views Reconcile calls.
+const SELECTORS = {
+    "0xb9209e33": "isVerified",
+    "0xf0eb5e54": "identity",
+    "0x7e42683b": "investorCountry",
+    "0x42031eaa": "employmentStatus",
+    "0x10b55a18": "claimRequirements",
+    "0x8c65c81f": "rounds",
+};
+
+// On-chain state served by the fake RPC, keyed by view name.
+let chainState;
+const resetChain = () => {
+    chainState = {
+        isVerified: encodeParameters("bool", [true]),
+        identity: encodeParameters("address", [IDENTITY]),
+        investorCountry: encodeParameters("uint16", [840]),
+        employmentStatus: encodeParameters("bool", [false]),
+        claimRequirements: encodeParameters("uint64, bytes32, bool, bool", [0, ZERO_BYTES32, false, false]),
+        // Round 7 was never created on chain.
+        rounds: encodeParameters("uint256, uint64, uint64, uint256, uint256, uint256, uint8", [0, 0, 0, 0, 0, 0, 0]),
+    };
+};
+
+// Fake https.request answering JSON-RPC eth_call batches from `chainState`.
+let rpcCalls = [];
+const stubRpc = () =>
+    mock.method(https, "request", (_options, callback) => {
+        const req = new EventEmitter();
+        let requests = [];
+        req.write = (body) => {
+            requests = JSON.parse(body);
+        };
+        req.end = () => {
+            const responses = requests.map(({ id, params: [{ to, data }] }) => {
+                const view = SELECTORS[data.slice(0, 10)];
+                rpcCalls.push({ to, view });
+                return { jsonrpc: "2.0", id, result: chainState[view] };
+            });
+            const res = new EventEmitter();
+            res.statusCode = 200;
+            callback(res);
+            res.emit("data", JSON.stringify(responses));
+            res.emit("end");
+        };
+        return req;
+    });
+
+const outboxEntries = async () => (await store.queryByEntityType("syncOutbox", {})).items;
+
+beforeEach(async () => {
+    resetChain();
+    rpcCalls = [];
+    stubRpc();
+    store = createMemoryStore();
+    handler = createHandler(store);
+    await invoke({
+        action: "CompanyEmployeeInput",
+        employeeAddress: EMPLOYEE,
+        kycVerified: true,
+        identityAddress: IDENTITY,
+        country: 840,
+        employed: true,
+        walletFrozen: true,
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Reconcile
+// ---------------------------------------------------------------------------
+
+describe("Reconcile – report", () => {
+    it("should list drifted fields without changing anything", async () => {
+        const { statusCode, body } = await invoke({ action: "Reconcile", rpcUrl: RPC_URL });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.mode, "report");
+        assert.deepEqual(body.contracts, ["identityRegistry", "privateEquity", "privateRoundsMarket"]);
+        assert.deepEqual(body.checked, { employee: 1, investor: 0, round: 0, purchase: 0 });
+        assert.equal(body.driftCount, 1);
+        assert.deepEqual(body.data, [
+            {
+                entityType: "employee",
+                recordId: `employee:${EMPLOYEE}`,
+                differences: [{ field: "employed", lambda: true, onchain: false }],
+            },
+        ]);
+
+        const { body: employee } = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE });
+        assert.equal(employee.data.employed, true);
+        assert.equal((await outboxEntries()).length, 0);
+    });
+
+    it("should not call contracts without a configured address", async () => {
+        await invoke({ action: "Reconcile", rpcUrl: RPC_URL });
+
+        assert.ok(rpcCalls.length > 0);
+        assert.ok(rpcCalls.every(({ to }) => [IDENTITY_REGISTRY, PRIVATE_EQUITY].includes(to)));
+    });
+
+    it("should report rounds that do not exist on chain", async () => {
+        await invoke({
+            action: "CompanyRoundInput",
+            roundId: "7",
+            startTime: 1700000000,
+            endTime: 1700086400,
+            tokenPriceUsdc6: "1000000",
+            maxUsdc: "5000000",
+            status: "open",
+        });
+
+        const { body } = await invoke({ action: "Reconcile", rpcUrl: RPC_URL, entityTypes: ["round"] });
+
+        assert.deepEqual(body.checked, { round: 1 });
+        assert.deepEqual(body.data[0].differences, [{ field: "status", lambda: "open", onchain: "none" }]);
+    });
+
+    it("should report an RPC failure per record", async () => {
+        chainState.employmentStatus = undefined;
+
+        const { statusCode, body } = await invoke({ action: "Reconcile", rpcUrl: RPC_URL });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.errorCount, 1);
+        assert.match(body.data[0].error, /RPC call employmentStatus failed/);
+    });
+});
+
+describe("Reconcile – corrections", () => {
+    it("should queue SYNC_* payloads that restore the Lambda state on chain", async () => {
+        await invoke({
+            action: "CompanyRoundInput",
+            roundId: "7",
+            startTime: 1700000000,
+            endTime: 1700086400,
+            tokenPriceUsdc6: "1000000",
+            maxUsdc: "5000000",
+            status: "open",
+        });
+
+        const { statusCode, body } = await invoke({ action: "Reconcile", rpcUrl: RPC_URL, mode: "queueSync", apiUrl: API_URL });
+
+        assert.equal(statusCode, 200);
+        assert.deepEqual(
+            body.data.map((result) => result.queuedSync.map((queued) => queued.action)),
+            [["SYNC_EMPLOYMENT_STATUS"], ["SYNC_CREATE_ROUND", "SYNC_OPEN_ROUND"]],
+        );
+
+        const entries = await outboxEntries();
+        assert.equal(entries.length, 3);
+        assert.ok(entries.every((entry) => entry.status === "pending" && entry.originAction === "Reconcile"));
+        const employment = entries.find((entry) => entry.syncAction === "SYNC_EMPLOYMENT_STATUS");
+        assert.deepEqual(employment.payload, { action: "SYNC_EMPLOYMENT_STATUS", employeeAddress: EMPLOYEE, employed: true });
+    });
+
+    it("should copy on-chain values into the Lambda record", async () => {
+        const { body } = await invoke({ action: "Reconcile", rpcUrl: RPC_URL, mode: "updateLambda" });
+
+        assert.equal(body.data[0].updated, true);
+        const { body: employee } = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE });
+        assert.equal(employee.data.employed, false);
+        assert.equal(employee.data.source, "reconcile");
+        assert.equal(employee.data.walletFrozen, true, "unchecked fields are left alone");
+
+        const { body: again } = await invoke({ action: "Reconcile", rpcUrl: RPC_URL });
+        assert.equal(again.driftCount, 0);
+    });
+
+    it("should require rpcUrl and, for queueSync, apiUrl", async () => {
+        const { statusCode, body } = await invoke({ action: "Reconcile", mode: "queueSync" });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors.map((error) => error.field), ["rpcUrl", "apiUrl"]);
+    });
+
+    it("should reject unknown modes and entity types", async () => {
+        const { statusCode, body } = await invoke({ action: "Reconcile", rpcUrl: RPC_URL, mode: "fix", entityTypes: ["goal"] });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors.map((error) => error.field), ["mode", "entityTypes"]);
+    });
+});
+
+describe("Reconcile – companies", () => {
+    const ACME_IDENTITY_REGISTRY = "0x4000000000000000000000000000000000000004";
+    const ACME_PRIVATE_EQUITY = "0x5000000000000000000000000000000000000005";
+
+    it("should read another company's records from its own contracts", async () => {
+        await invoke({
+            action: "CompanyConfigInput",
+            companyId: "acme",
+            contracts: { identityRegistry: ACME_IDENTITY_REGISTRY, privateEquity: ACME_PRIVATE_EQUITY },
+        });
+        await invoke({ action: "CompanyEmployeeInput", companyId: "acme", employeeAddress: EMPLOYEE, employed: true });
+
+        const { statusCode, body } = await invoke({ action: "Reconcile", companyId: "acme", rpcUrl: RPC_URL });
+
+        assert.equal(statusCode, 200);
+        assert.deepEqual(body.contracts, ["identityRegistry", "privateEquity"]);
+        assert.deepEqual(body.checked, { employee: 1, investor: 0, round: 0, purchase: 0 });
+        assert.ok(rpcCalls.length > 0);
+        assert.ok(rpcCalls.every(({ to }) => [ACME_IDENTITY_REGISTRY, ACME_PRIVATE_EQUITY].includes(to)));
+    });
+
+    it("should reject unknown contract names and malformed addresses", async () => {
+        const unknown = await invoke({ action: "CompanyConfigInput", companyId: "acme", contracts: { vault: ACME_PRIVATE_EQUITY } });
+        const malformed = await invoke({ action: "CompanyConfigInput", companyId: "acme", contracts: { token: "0x1234" } });
+
+        assert.deepEqual([unknown.statusCode, malformed.statusCode], [400, 400]);
+        assert.match(unknown.body.errors[0].message, /vault is not one of/);
+        assert.deepEqual(malformed.body.errors.map((error) => error.field), ["contracts"]);
+    });
+});
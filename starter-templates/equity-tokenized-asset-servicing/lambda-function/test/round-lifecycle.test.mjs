@@ -0,0 +1,123 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore } from "../storage/index.mjs";
+import { stubCre } from "./cre-stub.mjs";
+
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const API_URL = "https://cre-gateway.example.com/trigger";
+
+// CRE trigger requests sent by the handler, collected by stubCre.
+let sentBodies = [];
+
+// Round 3 as RoundCreated leaves it: a draft.
+const createDraftRound = () =>
+    invoke({
+        action: "RoundCreated",
+        roundId: "3",
+        startTime: 1700000000,
+        endTime: 1700086400,
+        tokenPriceUsdc6: "1000000",
+        maxUsdc: "5000000",
+    });
+
+// ---------------------------------------------------------------------------
+// Setup / Teardown
+// ---------------------------------------------------------------------------
+beforeEach(async () => {
+    store.clear();
+    sentBodies = stubCre();
+    await createDraftRound();
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Round lifecycle
+// ---------------------------------------------------------------------------
+
+describe("CompanyRoundInput – round state machine", () => {
+    it("should reject closing a draft round without sending anything", async () => {
+        const { statusCode, body } = await invoke({ action: "CompanyRoundInput", roundId: "3", closeRound: true, apiUrl: API_URL });
+
+        assert.equal(statusCode, 400);
+        assert.equal(body.error, "Invalid round transition");
+        assert.deepEqual(body.errors, [{ field: "closeRound", message: "cannot move a draft round to closed" }]);
+        assert.equal(sentBodies.length, 0);
+    });
+
+    it("should send SYNC_CANCEL_ROUND for cancelRound", async () => {
+        await invoke({ action: "RoundOpened", roundId: "3" });
+
+        const { statusCode, body } = await invoke({ action: "CompanyRoundInput", roundId: "3", cancelRound: true, apiUrl: API_URL });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.syncTriggered, 1);
+        assert.deepEqual(sentBodies, [{ action: "SYNC_CANCEL_ROUND", roundId: "3" }]);
+        assert.equal(body.data.status, "open", "the status follows the RoundCancelled event");
+    });
+
+    it("should reopen a closed round", async () => {
+        await invoke({ action: "RoundOpened", roundId: "3" });
+        await invoke({ action: "RoundClosed", roundId: "3" });
+
+        const { statusCode } = await invoke({ action: "CompanyRoundInput", roundId: "3", openRound: true });
+
+        assert.equal(statusCode, 200);
+    });
+
+    it("should reject every transition out of cancelled", async () => {
+        const { body: cancelled } = await invoke({ action: "RoundCancelled", roundId: "3" });
+        assert.equal(cancelled.data.status, "cancelled");
+
+        for (const params of [{ openRound: true }, { cancelRound: true }, { status: "draft" }]) {
+            const { statusCode } = await invoke({ action: "CompanyRoundInput", roundId: "3", ...params });
+            assert.equal(statusCode, 400, JSON.stringify(params));
+        }
+    });
+
+    it("should reject free-form statuses and combined flags", async () => {
+        const unknown = await invoke({ action: "CompanyRoundInput", roundId: "3", status: "paused" });
+        assert.equal(unknown.statusCode, 400);
+        assert.deepEqual(unknown.body.errors, [{ field: "status", message: "must be one of draft, open, closed, cancelled" }]);
+
+        const combined = await invoke({ action: "CompanyRoundInput", roundId: "3", openRound: true, closeRound: true });
+        assert.deepEqual(combined.body.errors, [{ field: "closeRound", message: "cannot be combined with openRound" }]);
+
+        const conflicting = await invoke({ action: "CompanyRoundInput", roundId: "3", openRound: true, status: "closed" });
+        assert.deepEqual(conflicting.body.errors, [{ field: "status", message: "conflicts with openRound" }]);
+    });
+
+    it("should report an invalid transition in a dry run", async () => {
+        const { statusCode, body } = await invoke({ action: "CompanyRoundInput", roundId: "3", openRound: true, dryRun: true });
+        assert.equal(body.valid, true);
+
+        await invoke({ action: "RoundOpened", roundId: "3" });
+        const again = await invoke({ action: "CompanyRoundInput", roundId: "3", openRound: true, dryRun: true });
+
+        assert.equal(statusCode, 200);
+        assert.equal(again.statusCode, 200);
+        assert.equal(again.body.valid, false);
+        assert.deepEqual(again.body.errors, [{ field: "openRound", message: "round is already open" }]);
+    });
+});
@@ -0,0 +1,200 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { ConditionFailedError, createCompanyStore, createMemoryStore, createSqliteStore } from "../storage/index.mjs";
+
+// The default handler runs on a SQLite file, with no AWS_REGION and no client mock.
+const tempDir = mkdtempSync(join(tmpdir(), "equity-storage-"));
+delete process.env.AWS_REGION;
+process.env.STORAGE_BACKEND = "sqlite";
+process.env.SQLITE_PATH = join(tempDir, "handler.sqlite");
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.handler;
+});
+
+after(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+
+const item = (recordId, fields = {}) => ({ RecordId: recordId, entityType: "employee", ...fields });
+
+// ---------------------------------------------------------------------------
+// Store contract – every non-DynamoDB backend must behave the same
+// ---------------------------------------------------------------------------
+let sqliteFiles = 0;
+const backends = {
+    memory: async () => createMemoryStore(),
+    sqlite: async () => createSqliteStore({ filename: join(tempDir, `contract-${(sqliteFiles += 1)}.sqlite`) }),
+};
+
+for (const [backend, createStore] of Object.entries(backends)) {
+    describe(`${backend} store`, () => {
+        it("should honour exists and equals conditions", async () => {
+            const store = await createStore();
+            await store.write([{ put: item("employee:a", { version: 1 }), condition: { exists: false } }]);
+
+            await assert.rejects(
+                store.write([{ put: item("employee:a", { version: 2 }), condition: { exists: false } }]),
+                ConditionFailedError,
+            );
+            await assert.rejects(
+                store.write([{ put: item("employee:a", { version: 2 }), condition: { equals: { version: 5 } } }]),
+                ConditionFailedError,
+            );
+            await store.write([{ put: item("employee:a", { version: 2 }), condition: { equals: { version: 1 } } }]);
+
+            assert.equal((await store.get("employee:a")).version, 2);
+            assert.equal(await store.get("employee:missing"), null);
+        });
+
+        it("should apply all operations of a write or none", async () => {
+            const store = await createStore();
+            await store.write([{ put: item("employee:a", { version: 1 }) }]);
+
+            await assert.rejects(
+                store.write([
+                    { put: item("employee:b") },
+                    { put: item("employee:a", { version: 9 }), condition: { equals: { version: 3 } } },
+                ]),
+                ConditionFailedError,
+            );
+
+            assert.equal(await store.get("employee:b"), null);
+            assert.equal((await store.get("employee:a")).version, 1);
+        });
+
+        it("should SET and ADD in an update, keeping bigint totals exact", async () => {
+            const store = await createStore();
+            await store.write([{ put: item("employee:a", { claimedAmount: 10n ** 30n, version: 1 }) }]);
+
+            await store.write([{
+                update: { recordId: "employee:a", set: { version: 2, employed: true }, add: { claimedAmount: 5n } },
+                condition: { equals: { version: 1 } },
+            }]);
+
+            const updated = await store.get("employee:a");
+            assert.equal(updated.claimedAmount, 10n ** 30n + 5n);
+            assert.equal(updated.employed, true);
+            assert.equal(updated.version, 2);
+        });
+
+        it("should page entity types in record id order, with filters and prefixes", async () => {
+            const store = await createStore();
+            for (const n of [3, 1, 2, 4]) {
+                await store.write([{ put: item(`employee:${n}`, { employed: n !== 2 }) }]);
+            }
+            await store.write([{ put: { RecordId: "round:1", entityType: "round" } }]);
+
+            const first = await store.queryByEntityType("employee", { filters: { employed: true }, limit: 2 });
+            assert.deepEqual(first.items.map((entry) => entry.RecordId), ["employee:1"]);
+            assert.deepEqual(first.lastKey, { RecordId: "employee:2", entityType: "employee" });
+
+            const rest = await store.queryByEntityType("employee", {
+                filters: { employed: true },
+                exclusiveStartKey: first.lastKey,
+            });
+            assert.deepEqual(rest.items.map((entry) => entry.RecordId), ["employee:3", "employee:4"]);
+            assert.equal(rest.lastKey, null);
+
+            const prefixed = await store.queryByEntityType("employee", { recordIdPrefix: "employee:4" });
+            assert.deepEqual(prefixed.items.map((entry) => entry.RecordId), ["employee:4"]);
+        });
+
+        it("should keep a company store's records, pages and history to that company", async () => {
+            const store = await createStore();
+            const acme = createCompanyStore(store, "acme");
+            await store.write([{ put: item("employee:1") }]);
+            for (const n of [1, 2, 3]) {
+                await acme.write([{ put: item(`employee:${n}`) }]);
+            }
+            await acme.write([{ put: { RecordId: "history:employee:1:1", entityType: "history", historyOf: "employee:1", historySeq: 1 } }]);
+            await acme.write([{ update: { recordId: "employee:1", set: { employed: true } } }]);
+
+            assert.deepEqual(await acme.get("employee:1"), { RecordId: "employee:1", entityType: "employee", companyId: "acme", employed: true });
+            assert.equal((await store.get("acme#employee:1")).entityType, "acme#employee");
+            assert.equal((await store.queryByEntityType("employee", {})).items.length, 1);
+
+            const first = await acme.queryByEntityType("employee", { limit: 2 });
+            assert.deepEqual(first.lastKey, { RecordId: "employee:2", entityType: "employee" });
+            const rest = await acme.queryByEntityType("employee", { exclusiveStartKey: first.lastKey });
+            assert.deepEqual(rest.items.map((entry) => entry.RecordId), ["employee:3"]);
+
+            const { items } = await acme.queryHistory("employee:1", { limit: 10, ascending: true });
+            assert.deepEqual(items.map((entry) => [entry.historyOf, entry.entityType]), [["employee:1", "history"]]);
+            assert.equal((await store.queryHistory("employee:1", { limit: 10, ascending: true })).items.length, 0);
+        });
+
+        it("should page history by sequence in both directions", async () => {
+            const store = await createStore();
+            for (const seq of [1, 2, 3]) {
+                await store.write([{
+                    put: { RecordId: `history:employee:a:${seq}`, entityType: "history", historyOf: "employee:a", historySeq: seq },
+                }]);
+            }
+
+            const newest = await store.queryHistory("employee:a", { limit: 2, ascending: false });
+            assert.deepEqual(newest.items.map((entry) => entry.historySeq), [3, 2]);
+
+            const oldest = await store.queryHistory("employee:a", {
+                limit: 2,
+                ascending: false,
+                exclusiveStartKey: newest.lastKey,
+            });
+            assert.deepEqual(oldest.items.map((entry) => entry.historySeq), [1]);
+            assert.equal(oldest.lastKey, null);
+        });
+
+        it("should delete records", async () => {
+            const store = await createStore();
+            await store.write([{ put: item("employee:a") }]);
+            await store.delete("employee:a");
+
+            assert.equal(await store.get("employee:a"), null);
+        });
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Handler on STORAGE_BACKEND=sqlite
+// ---------------------------------------------------------------------------
+
+describe("handler – STORAGE_BACKEND=sqlite", () => {
+    it("should run without AWS_REGION and keep state across invocations", async () => {
+        const created = await invoke({ action: "CompanyEmployeeInput", employeeAddress: EMPLOYEE, employed: true });
+        assert.equal(created.statusCode, 200);
+
+        await invoke({ action: "TicketRedeemed", employeeAddress: EMPLOYEE, amount: "7" });
+        await invoke({ action: "TicketRedeemed", employeeAddress: EMPLOYEE, amount: "5" });
+
+        const { statusCode, body } = await invoke({ action: "readEmployee", employeeAddress: EMPLOYEE });
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.employed, true);
+        assert.equal(body.data.claimedAmount, "12");
+        assert.equal(body.data.version, 3);
+
+        const { body: history } = await invoke({ action: "readEmployeeHistory", employeeAddress: EMPLOYEE });
+        assert.deepEqual(history.data.map((entry) => entry.historySeq), [3, 2, 1]);
+
+        const { body: list } = await invoke({ action: "listEmployees", employed: true });
+        assert.deepEqual(list.data.map((entry) => entry.employeeAddress), [EMPLOYEE]);
+    });
+});
@@ -0,0 +1,360 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import https from "node:https";
+import { createMemoryStore } from "../storage/index.mjs";
+import { signRequest } from "../auth.mjs";
+
+process.env.OUTBOX_MAX_ATTEMPTS = "2";
+process.env.SYNC_SIGNING_SECRET = "sync-secret";
+
+// Outbox entries written by one invocation must be visible to the next.
+const store = createMemoryStore();
+
+// Dynamic import so env vars are picked up
+let handler;
+before(async () => {
+    const mod = await import("../index.mjs");
+    handler = mod.createHandler(store);
+});
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const invoke = async (body) => {
+    const response = await handler({ body: JSON.stringify(body) });
+    return {
+        statusCode: response.statusCode,
+        body: JSON.parse(response.body),
+    };
+};
+
+const API_URL = "https://cre-gateway.example.com/trigger";
+const EMPLOYEE = "0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa";
+
+const seed = (item) => store.write([{ put: item }]);
+
+const outboxEntries = async () => (await store.queryByEntityType("syncOutbox", {})).items;
+
+// Fake https.request: every POST answers with `statusCode`, or fails at socket level.
+// Request bodies are collected in `sentBodies`.
+let sentBodies = [];
+const stubCre = ({ statusCode = 200, networkError = null } = {}) =>
+    mock.method(https, "request", (_options, callback) => {
+        const req = new EventEmitter();
+        req.write = (body) => {
+            sentBodies.push(JSON.parse(body));
+        };
+        req.end = () => {
+            if (networkError) {
+                req.emit("error", new Error(networkError));
+                return;
+            }
+            const res = new EventEmitter();
+            res.statusCode = statusCode;
+            callback(res);
+            res.emit("data", JSON.stringify({ ok: statusCode < 300 }));
+            res.emit("end");
+        };
+        return req;
+    });
+
+// ---------------------------------------------------------------------------
+// Setup / Teardown
+// ---------------------------------------------------------------------------
+beforeEach(() => {
+    store.clear();
+    sentBodies = [];
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+// ---------------------------------------------------------------------------
+// Outbox tests
+// ---------------------------------------------------------------------------
+
+describe("Company input – sync payloads go through the outbox", () => {
+    it("should record a delivered outbox entry when CRE accepts the payload", async () => {
+        stubCre({ statusCode: 200 });
+
+        const { statusCode, body } = await invoke({
+            action: "CompanyEmployeeInput",
+            employeeAddress: EMPLOYEE,
+            employed: true,
+            apiUrl: API_URL,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.syncTriggered, 1);
+        assert.equal(body.syncResponses[0].action, "SYNC_EMPLOYMENT_STATUS");
+        assert.equal(body.syncResponses[0].deliveryStatus, "delivered");
+
+        const [entry] = await outboxEntries();
+        assert.equal(entry.outboxId, body.syncResponses[0].outboxId);
+        assert.equal(entry.status, "delivered");
+        assert.equal(entry.attemptCount, 1);
+        assert.equal(entry.originAction, "CompanyEmployeeInput");
+        assert.equal(entry.originRecordId, `employee:${EMPLOYEE}`);
+        assert.deepEqual(entry.payload, {
+            action: "SYNC_EMPLOYMENT_STATUS",
+            employeeAddress: EMPLOYEE,
+            employed: true,
+        });
+    });
+
+    it("should keep the record and a pending entry when CRE is down", async () => {
+        stubCre({ statusCode: 503 });
+
+        const { statusCode, body } = await invoke({
+            action: "CompanyEmployeeInput",
+            employeeAddress: EMPLOYEE,
+            employed: true,
+            apiUrl: API_URL,
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.employed, true);
+        assert.equal(body.syncResponses[0].deliveryStatus, "pending");
+        assert.match(body.syncResponses[0].error, /POST request failed \(503\)/);
+
+        const [entry] = await outboxEntries();
+        assert.equal(entry.status, "pending");
+        assert.equal(entry.attempts.length, 1);
+        assert.equal(entry.attempts[0].ok, false);
+        assert.ok(entry.nextAttemptAt > entry.lastAttemptAt, "retry must be scheduled in the future");
+    });
+});
+
+describe("Signed SYNC envelopes", () => {
+    it("should sign each delivery attempt with its own nonce and the entry's requestId", async () => {
+        stubCre({ statusCode: 503 });
+        await invoke({ action: "CompanyRoundInput", roundId: "5", openRound: true, apiUrl: API_URL });
+        const [entry] = await outboxEntries();
+        await invoke({ action: "ReplaySyncOutboxEntry", outboxId: entry.outboxId });
+
+        assert.equal(sentBodies.length, 2);
+        const [first, second] = sentBodies;
+        assert.deepEqual(JSON.parse(first.payload), { action: "SYNC_OPEN_ROUND", roundId: "5", requestId: entry.outboxId });
+        assert.equal(JSON.parse(second.payload).requestId, entry.outboxId, "a retry keeps the requestId");
+        assert.equal(first.nonce, `${entry.outboxId}:1`);
+        assert.equal(second.nonce, `${entry.outboxId}:2`);
+        assert.equal(
+            first.signature,
+            signRequest("sync-secret", { timestamp: first.timestamp, nonce: first.nonce }, first.payload),
+        );
+        assert.ok(Math.abs(first.timestamp - Date.now() / 1000) < 60);
+    });
+});
+
+describe("DrainSyncOutbox", () => {
+    it("should deliver due entries and skip entries still in backoff", async () => {
+        const past = new Date(Date.now() - 60_000).toISOString();
+        const future = new Date(Date.now() + 60_000).toISOString();
+        for (const [outboxId, nextAttemptAt] of [["due", past], ["later", future]]) {
+            await seed({
+                RecordId: `outbox:${outboxId}`,
+                entityType: "syncOutbox",
+                outboxId,
+                apiUrl: API_URL,
+                payload: { action: "SYNC_OPEN_ROUND", roundId: "1" },
+                syncAction: "SYNC_OPEN_ROUND",
+                status: "pending",
+                attemptCount: 1,
+                attempts: [{ attemptedAt: past, ok: false, error: "timeout" }],
+                nextAttemptAt,
+                createdAt: past,
+            });
+        }
+        stubCre({ statusCode: 200 });
+
+        const { statusCode, body } = await invoke({ action: "DrainSyncOutbox" });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.attempted, 1);
+        assert.equal(body.delivered, 1);
+        assert.equal(body.stillPending, 1);
+        assert.equal((await store.get("outbox:due")).status, "delivered");
+        assert.equal((await store.get("outbox:due")).attempts.length, 2);
+        assert.equal((await store.get("outbox:later")).status, "pending");
+    });
+
+    it("should mark an entry failed once OUTBOX_MAX_ATTEMPTS is reached", async () => {
+        stubCre({ networkError: "connect ECONNREFUSED" });
+        await invoke({
+            action: "CompanyRoundInput",
+            roundId: "7",
+            openRound: true,
+            apiUrl: API_URL,
+        });
+        const [entry] = await outboxEntries();
+        await seed({ ...entry, nextAttemptAt: new Date(0).toISOString() });
+
+        const { body } = await invoke({ action: "DrainSyncOutbox" });
+
+        assert.equal(body.failed, 1);
+        const failed = await store.get(entry.RecordId);
+        assert.equal(failed.status, "failed");
+        assert.equal(failed.attemptCount, 2);
+        assert.equal(failed.nextAttemptAt, null);
+        assert.equal(failed.lastError, "connect ECONNREFUSED");
+    });
+});
+
+describe("Outbox delivery claims", () => {
+    const seedEntry = (overrides = {}) =>
+        seed({
+            RecordId: "outbox:claimed",
+            entityType: "syncOutbox",
+            outboxId: "claimed",
+            apiUrl: API_URL,
+            payload: { action: "SYNC_OPEN_ROUND", roundId: "2" },
+            syncAction: "SYNC_OPEN_ROUND",
+            status: "pending",
+            attemptCount: 1,
+            attempts: [],
+            nextAttemptAt: new Date(0).toISOString(),
+            createdAt: new Date(0).toISOString(),
+            ...overrides,
+        });
+
+    it("should post a due entry once when two drains race for it", async () => {
+        await seedEntry();
+        const request = stubCre({ statusCode: 200 });
+
+        const drains = await Promise.all([
+            invoke({ action: "DrainSyncOutbox" }),
+            invoke({ action: "DrainSyncOutbox" }),
+        ]);
+
+        assert.equal(request.mock.callCount(), 1);
+        assert.equal(drains.reduce((total, { body }) => total + body.attempted, 0), 1);
+        const delivered = await store.get("outbox:claimed");
+        assert.equal(delivered.status, "delivered");
+        assert.equal(delivered.attemptCount, 2);
+    });
+
+    it("should leave an entry with a live lease to the invocation delivering it", async () => {
+        await seedEntry({ status: "delivering", leaseExpiresAt: new Date(Date.now() + 60_000).toISOString() });
+        const request = stubCre({ statusCode: 200 });
+
+        const drained = await invoke({ action: "DrainSyncOutbox" });
+        const replayed = await invoke({ action: "ReplaySyncOutboxEntry", outboxId: "claimed" });
+        const discarded = await invoke({ action: "DiscardSyncOutboxEntry", outboxId: "claimed" });
+
+        assert.equal(drained.body.attempted, 0);
+        assert.deepEqual([replayed.statusCode, discarded.statusCode], [409, 409]);
+        assert.match(replayed.body.error, /is being delivered/);
+        assert.equal(request.mock.callCount(), 0);
+    });
+
+    it("should not let a drain pick up an entry while its inline delivery is in flight", async () => {
+        let drain;
+        const request = mock.method(https, "request", (_options, callback) => {
+            const req = new EventEmitter();
+            req.write = () => {};
+            req.end = async () => {
+                // The first POST drains while the CompanyRoundInput invocation still waits on it.
+                if (!drain) {
+                    drain = invoke({ action: "DrainSyncOutbox" });
+                    await drain;
+                }
+                const res = new EventEmitter();
+                res.statusCode = 200;
+                callback(res);
+                res.emit("data", "{}");
+                res.emit("end");
+            };
+            return req;
+        });
+
+        await invoke({ action: "CompanyRoundInput", roundId: "8", openRound: true, apiUrl: API_URL });
+
+        assert.equal(request.mock.callCount(), 1);
+        assert.equal((await drain).body.attempted, 0);
+        const [entry] = await outboxEntries();
+        assert.deepEqual([entry.status, entry.attemptCount, entry.leaseExpiresAt], ["delivered", 1, null]);
+    });
+
+    it("should take over an entry whose lease has expired", async () => {
+        await seedEntry({ status: "delivering", leaseExpiresAt: new Date(Date.now() - 1000).toISOString() });
+        stubCre({ statusCode: 200 });
+
+        const { body } = await invoke({ action: "DrainSyncOutbox" });
+
+        assert.deepEqual([body.attempted, body.delivered, body.stillPending], [1, 1, 0]);
+        assert.equal((await store.get("outbox:claimed")).attemptCount, 2);
+    });
+});
+
+describe("Outbox operator actions", () => {
+    const seedFailedEntry = (status = "failed") =>
+        seed({
+            RecordId: "outbox:stuck",
+            entityType: "syncOutbox",
+            outboxId: "stuck",
+            apiUrl: API_URL,
+            payload: { action: "SYNC_CLOSE_ROUND", roundId: "3" },
+            syncAction: "SYNC_CLOSE_ROUND",
+            status,
+            attemptCount: 2,
+            attempts: [],
+            nextAttemptAt: null,
+            createdAt: new Date(0).toISOString(),
+        });
+
+    it("ReplaySyncOutboxEntry should redeliver a failed entry", async () => {
+        await seedFailedEntry();
+        const request = stubCre({ statusCode: 200 });
+
+        const { statusCode, body } = await invoke({ action: "ReplaySyncOutboxEntry", outboxId: "stuck" });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.syncResponse.deliveryStatus, "delivered");
+        assert.equal(body.data.attemptCount, 3);
+        assert.equal(request.mock.callCount(), 1);
+    });
+
+    it("ReplaySyncOutboxEntry should reject an already delivered entry with 409", async () => {
+        await seedFailedEntry("delivered");
+
+        const { statusCode, body } = await invoke({ action: "ReplaySyncOutboxEntry", outboxId: "stuck" });
+
+        assert.equal(statusCode, 409);
+        assert.match(body.error, /already delivered/);
+    });
+
+    it("DiscardSyncOutboxEntry should stop further retries", async () => {
+        await seedFailedEntry("pending");
+
+        const { statusCode, body } = await invoke({
+            action: "DiscardSyncOutboxEntry",
+            outboxId: "stuck",
+            reason: "round closed manually",
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.status, "discarded");
+        assert.equal(body.data.discardReason, "round closed manually");
+        assert.equal(body.data.nextAttemptAt, null);
+    });
+
+    it("listSyncOutbox should filter by status", async () => {
+        await seedFailedEntry();
+
+        const { body } = await invoke({ action: "listSyncOutbox", status: "failed" });
+        assert.equal(body.data.length, 1);
+        assert.equal(body.data[0].outboxId, "stuck");
+
+        const { body: pendingBody } = await invoke({ action: "listSyncOutbox", status: "pending" });
+        assert.equal(pendingBody.data.length, 0);
+    });
+
+    it("readSyncOutboxEntry should return 404 for an unknown id", async () => {
+        const { statusCode, body } = await invoke({ action: "readSyncOutboxEntry", outboxId: "missing" });
+
+        assert.equal(statusCode, 404);
+        assert.equal(body.error, "Outbox entry not found");
+    });
+});
@@ -221,7 +221,7 @@ describe("GoalUpdated – types match protocol (bytes32, bool)", () => {
     it("should handle achieved=false", async () => {
         const { statusCode, body } = await invoke({
             action: "GoalUpdated",
-            goalId: "perf-2024-q1",
+            goalId: `0x${"0b".repeat(32)}`,
             achieved: false,
         });
 
@@ -319,4 +319,73 @@ describe("Validation", () => {
         const body = JSON.parse(response.body);
         assert.equal(response.statusCode, 400);
     });
+
+    it("should name every malformed field", async () => {
+        const { statusCode, body } = await invoke({
+            action: "IdentityRegistered",
+            employeeAddress: "0x1234",
+            identityAddress: IDENTITY,
+            country: "abc",
+        });
+
+        assert.equal(statusCode, 400);
+        assert.match(body.error, /^Invalid parameters for action IdentityRegistered/);
+        assert.deepEqual(body.errors.map((error) => error.field), ["employeeAddress", "country"]);
+        assert.equal(ddbMock.commandCalls(PutCommand).length, 0, "nothing should be stored");
+    });
+
+    it("should enforce uint16, bytes32, uint64 and uint256 ranges", async () => {
+        const cases = [
+            { action: "CountryUpdated", employeeAddress: EMPLOYEE, country: 65536 },
+            { action: "GoalUpdated", goalId: "perf-2024-q1", achieved: true },
+            { action: "InvestorLockupUpdated", investorAddress: EMPLOYEE, lockupUntil: -1 },
+            { action: "TicketRedeemed", employeeAddress: EMPLOYEE, amount: "not-a-number" },
+            { action: "PrivateDeposit", amount: (2n ** 256n).toString() },
+            { action: "EmploymentStatusUpdated", employeeAddress: EMPLOYEE, employed: "false" },
+        ];
+
+        for (const params of cases) {
+            const { statusCode, body } = await invoke(params);
+            assert.equal(statusCode, 400, params.action);
+            assert.equal(body.errors.length, 1, params.action);
+        }
+    });
+
+    it("should report nested batch entries by path", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyEmployeeBatchInput",
+            employees: [
+                { employeeAddress: EMPLOYEE, employed: true },
+                { employeeAddress: EMPLOYEE, cliffEndTimestamp: "soon" },
+            ],
+        });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors, [{ field: "employees[1].cliffEndTimestamp", message: "must be a uint64 unix timestamp" }]);
+    });
+
+    it("should check extraSyncPayloads against the protocol definitions", async () => {
+        const { statusCode, body } = await invoke({
+            action: "CompanyEmployeeInput",
+            employeeAddress: EMPLOYEE,
+            extraSyncPayloads: [
+                { action: "SYNC_OPEN_ROUND", roundId: 1 },
+                { action: "SYNC_MINT", to: EMPLOYEE, amount: "0" },
+            ],
+        });
+
+        assert.equal(statusCode, 400);
+        assert.deepEqual(body.errors, [{ field: "extraSyncPayloads", message: "[1].amount must be greater than 0" }]);
+    });
+
+    it("should accept uint256 values beyond Number precision as decimal strings", async () => {
+        const { statusCode, body } = await invoke({
+            action: "TicketRedeemed",
+            employeeAddress: EMPLOYEE,
+            amount: "500000000000000000000000",
+        });
+
+        assert.equal(statusCode, 200);
+        assert.equal(body.data.claimedAmount, "500000000000000000000000");
+    });
 });
@@ -0,0 +1,165 @@
+// Field types for action parameters. The on-chain types (address, bytes32, uint16, uint256) come from
+// the shared protocol module, so input that the workflow (or the contracts behind it) would refuse is
+// rejected here with a 400 instead of being stored.
+import { COMPANY_ID_PATTERN, FIELD_TYPES, parseUint, validateSyncPayload } from "./protocol/index.mjs";
+
+// Thrown by validateParams; `errors` lists every offending field as { field, message }.
+export class ValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+export const address = FIELD_TYPES.address;
+
+export const bytes32 = FIELD_TYPES.bytes32;
+
+export const uint16 = FIELD_TYPES.uint16;
+
+// Timestamps are uint64 on chain but stored as numbers, so they also have to be safe integers.
+export const timestamp = (value) => {
+  const parsed = parseUint(value);
+  return parsed !== null && parsed <= BigInt(Number.MAX_SAFE_INTEGER) ? null : "must be a uint64 unix timestamp";
+};
+
+// uint256 values travel as decimal strings (JSON numbers lose precision above 2^53).
+export const uint256 = FIELD_TYPES.uint256;
+
+export const positiveUint256 = (value) => uint256(value) ?? (parseUint(value) > 0n ? null : "must be greater than 0");
+
+export const positiveInteger = (value) => {
+  const parsed = parseUint(value);
+  return parsed !== null && parsed > 0n && parsed <= BigInt(Number.MAX_SAFE_INTEGER) ? null : "must be a positive integer";
+};
+
+export const companyId = (value) =>
+  typeof value === "string" && COMPANY_ID_PATTERN.test(value)
+    ? null
+    : "must be 1-63 lowercase letters, digits or dashes, starting with a letter or digit";
+
+export const boolean = (value) => (typeof value === "boolean" ? null : "must be a boolean");
+
+// List filters also arrive from query-string style callers.
+export const booleanFilter = (value) =>
+  typeof value === "boolean" || value === "true" || value === "false" ? null : "must be true or false";
+
+export const string = (value) => (typeof value === "string" ? null : "must be a string");
+
+export const nonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0 ? null : "must be a non-empty string";
+
+export const httpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol) ? null : "must be an http(s) URL";
+  } catch {
+    return "must be an http(s) URL";
+  }
+};
+
+export const oneOf = (...values) => (value) =>
+  values.includes(value) ? null : `must be one of ${values.join(", ")}`;
+
+// An array of scalar values, each checked with `type`.
+export const listOf = (type) => (value) => {
+  if (!Array.isArray(value)) {
+    return "must be an array";
+  }
+  const index = value.findIndex((entry) => type(entry) !== null);
+  return index === -1 ? null : `[${index}] ${type(value[index])}`;
+};
+
+export const object = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value) ? null : "must be an object";
+
+// An object whose keys are all in `keys`, each value checked with `type`.
+export const keyedBy = (keys, type) => (value) => {
+  if (object(value)) {
+    return "must be an object";
+  }
+  for (const [key, entry] of Object.entries(value)) {
+    if (!keys.includes(key)) {
+      return `.${key} is not one of ${keys.join(", ")}`;
+    }
+    const message = type(entry);
+    if (message) {
+      return `.${key} ${message}`;
+    }
+  }
+  return null;
+};
+
+// Raw SYNC_* payloads forwarded to the workflow as-is; checked against the protocol definitions.
+export const syncPayloads = (value) => {
+  if (!Array.isArray(value)) {
+    return "must be an array";
+  }
+  const errors = value.flatMap((entry, index) => validateSyncPayload(entry, `[${index}].`));
+  return errors.length === 0 ? null : errors.map(({ field, message }) => `${field} ${message}`).join("; ");
+};
+
+export const arrayOf = (schema) => ({ items: schema });
+
+export const required = (type) => ({ type, required: true });
+
+const collectErrors = (schema, params, prefix, errors) => {
+  for (const [field, spec] of Object.entries(schema)) {
+    const { type, required: isRequired } = spec.required ? spec : { type: spec };
+    const path = `${prefix}${field}`;
+    const value = params[field];
+
+    if (value == null) {
+      if (isRequired) {
+        errors.push({ field: path, message: "is required" });
+      }
+      continue;
+    }
+
+    if (typeof type === "function") {
+      const message = type(value);
+      if (message) {
+        errors.push({ field: path, message });
+      }
+      continue;
+    }
+
+    if (!Array.isArray(value)) {
+      errors.push({ field: path, message: "must be an array" });
+      continue;
+    }
+    value.forEach((entry, index) => {
+      if (object(entry)) {
+        errors.push({ field: `${path}[${index}]`, message: "must be an object" });
+        return;
+      }
+      collectErrors(type.items, entry, `${path}[${index}].`, errors);
+    });
+  }
+};
+
+// Every offending field of `params` against `schema`, as { field, message }.
+export const schemaErrors = (schema, params) => {
+  const errors = [];
+  collectErrors(schema, params, "", errors);
+  return errors;
+};
+
+// Checks `params` against an action schema: { field: type | required(type) }. Fields outside the
+// schema are left alone. Throws a ValidationError naming every bad field at once.
+export const validateParams = (action, params, schema) => {
+  if (!schema) {
+    throw new ValidationError(`Missing required parameters for action ${action}`, []);
+  }
+
+  const errors = schemaErrors(schema, params);
+  if (errors.length === 0) {
+    return;
+  }
+
+  const missingOnly = errors.every((error) => error.message === "is required");
+  const message = missingOnly
+    ? `Missing required parameters for action ${action}`
+    : `Invalid parameters for action ${action}`;
+  throw new ValidationError(message, errors);
+};
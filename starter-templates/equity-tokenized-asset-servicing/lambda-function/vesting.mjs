@@ -0,0 +1,130 @@
+// Employee grant vesting, computed from the grant record the Lambda holds (see readEmployeeVesting).
+// Amounts are uint256 decimal strings and are computed as BigInt; timestamps are unix seconds.
+//
+// A grant's totalAmount is split into goal-gated tranches (`goalTranches`, each vesting in full once
+// its goal is achieved) and the rest, which vests over time:
+//   cliff   everything at the cliff (or at startTimestamp without one),
+//   linear  pro rata from startTimestamp over durationSeconds,
+//   graded  periodCount equal installments, one every periodSeconds from startTimestamp.
+// Nothing vests before cliffEndTimestamp, and a revoked grant stops vesting at revokedAt.
+
+export const VESTING_SCHEDULES = ["cliff", "linear", "graded"];
+
+const sum = (values) => values.reduce((total, value) => total + BigInt(value || 0), 0n);
+
+const timeVested = (grant, amount, at) => {
+  const elapsed = at - Number(grant.startTimestamp ?? 0);
+  if (elapsed < 0) {
+    return 0n;
+  }
+  if (grant.schedule === "linear") {
+    const duration = Number(grant.durationSeconds);
+    return elapsed >= duration ? amount : (amount * BigInt(elapsed)) / BigInt(duration);
+  }
+  if (grant.schedule === "graded") {
+    const periods = Math.min(Math.floor(elapsed / Number(grant.periodSeconds)), Number(grant.periodCount));
+    return (amount * BigInt(periods)) / BigInt(grant.periodCount);
+  }
+  return amount;
+};
+
+// Times after `base` at which the schedule itself (ignoring the cliff) next vests more.
+const scheduleSteps = (grant, amount, base) => {
+  const start = Number(grant.startTimestamp ?? 0);
+  if (grant.schedule === "linear") {
+    const vested = timeVested(grant, amount, base);
+    if (vested >= amount) {
+      return [];
+    }
+    // First whole second at which amount * elapsed / duration reaches vested + 1.
+    const duration = BigInt(grant.durationSeconds);
+    return [start + Number(((vested + 1n) * duration + amount - 1n) / amount)];
+  }
+  if (grant.schedule === "graded") {
+    const period = Number(grant.periodSeconds);
+    const index = base < start ? 1 : Math.floor((base - start) / period) + 1;
+    return index <= Number(grant.periodCount) ? [start + index * period] : [];
+  }
+  return [start];
+};
+
+// Earliest time after `at` at which the time-vested amount grows, or null when it never will.
+const nextVestingTimestamp = (grant, amount, at, cliff) => {
+  if (grant.status === "revoked" || amount === 0n) {
+    return null;
+  }
+  const vestedBy = (time) => (time >= cliff ? timeVested(grant, amount, time) : 0n);
+  const current = vestedBy(at);
+  const candidates = [cliff, ...scheduleSteps(grant, amount, at), ...scheduleSteps(grant, amount, cliff)].filter(
+    (time) => time > at && vestedBy(time) > current,
+  );
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+};
+
+/**
+ * Vested, claimed and claimable amounts of a grant at `asOf`. Claimable is what has vested and was
+ * neither claimed on chain (`claimedAmount`) nor paid out by the vesting driver (`paidOutAmount`).
+ * @param {{ totalAmount: string, schedule?: string, startTimestamp?: number, cliffEndTimestamp?: number,
+ *   durationSeconds?: number, periodSeconds?: number, periodCount?: number,
+ *   goalTranches?: Array<{ goalId: string, amount: string }>, status?: string, revokedAt?: number }} grant
+ * @param {{ asOf: number, claimedAmount?: string, paidOutAmount?: string, achievedGoals?: Set<string> }} context
+ */
+export const computeVesting = (grant, { asOf, claimedAmount = "0", paidOutAmount = "0", achievedGoals = new Set() }) => {
+  const totalAmount = BigInt(grant.totalAmount || 0);
+  const goalTranches = grant.goalTranches || [];
+  const timeAmount = totalAmount - sum(goalTranches.map((tranche) => tranche.amount));
+
+  const at = grant.status === "revoked" && grant.revokedAt != null ? Math.min(asOf, Number(grant.revokedAt)) : asOf;
+  const cliff = Number(grant.cliffEndTimestamp ?? 0);
+  const pastCliff = at >= cliff;
+
+  const tranches = goalTranches.map(({ goalId, amount }) => {
+    const achieved = achievedGoals.has(String(goalId).toLowerCase());
+    return { goalId, amount: String(amount), achieved, vested: achieved && pastCliff };
+  });
+  const vestedAmount =
+    (pastCliff ? timeVested(grant, timeAmount, at) : 0n) +
+    sum(tranches.filter(({ vested }) => vested).map(({ amount }) => amount));
+  const claimed = BigInt(claimedAmount || 0);
+  const paidOut = BigInt(paidOutAmount || 0);
+  const claimable = vestedAmount - claimed - paidOut;
+
+  return {
+    totalAmount: String(totalAmount),
+    vestedAmount: String(vestedAmount),
+    unvestedAmount: String(totalAmount - vestedAmount),
+    claimedAmount: String(claimed),
+    paidOutAmount: String(paidOut),
+    claimableAmount: String(claimable > 0n ? claimable : 0n),
+    nextVestingTimestamp: nextVestingTimestamp(grant, timeAmount, at, cliff),
+    tranches,
+  };
+};
+
+/**
+ * Checks the schedule fields of a grant; returns `{ field, message }` errors (empty when valid).
+ * @param {object} grant the merged grant record
+ */
+export const grantScheduleErrors = (grant) => {
+  const errors = [];
+  if (grant.totalAmount == null) {
+    errors.push({ field: "totalAmount", message: "is required" });
+  }
+  if (grant.schedule !== undefined && grant.schedule !== "cliff" && grant.startTimestamp == null) {
+    errors.push({ field: "startTimestamp", message: `is required for a ${grant.schedule} schedule` });
+  }
+  if (grant.schedule === "linear" && grant.durationSeconds == null) {
+    errors.push({ field: "durationSeconds", message: "is required for a linear schedule" });
+  }
+  if (grant.schedule === "graded") {
+    for (const field of ["periodSeconds", "periodCount"]) {
+      if (grant[field] == null) {
+        errors.push({ field, message: "is required for a graded schedule" });
+      }
+    }
+  }
+  if (sum((grant.goalTranches || []).map((tranche) => tranche.amount)) > BigInt(grant.totalAmount || 0)) {
+    errors.push({ field: "goalTranches", message: "must not add up to more than totalAmount" });
+  }
+  return errors;
+};